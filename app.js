@@ -14,6 +14,382 @@ const typeColors = {
   landing: '#d9480f'
 };
 
+const altitudeReferenceLabels = {
+  relative: '離陸地点基準',
+  amsl: '海抜 (AMSL)',
+  agl: '対地 (AGL)'
+};
+
+const REGULATORY_CEILING_AGL = 150;
+
+const vtolSequenceRules = {
+  minForwardTransitionLeg: 250,
+  minBackTransitionLeg: 100,
+  maxHoverAltitudeChange: 10
+};
+
+const PLAN_DB_NAME = 'vtol-flight-planner';
+const PLAN_DB_VERSION = 1;
+const AUTOSAVE_DELAY_MS = 1000;
+const UNTITLED_PLAN_NAME = '無題のプラン';
+
+const demEncodingLabels = {
+  gsi: '国土地理院 PNG 標高',
+  terrarium: 'Terrarium',
+  mapbox: 'Mapbox Terrain-RGB'
+};
+
+const demSources = {
+  gsi_best: {
+    label: '国土地理院 最適（DEM5A、範囲外は DEM10）',
+    layers: ['gsi_dem5a_png', 'gsi_dem_png']
+  },
+  gsi_dem_png: {
+    label: '国土地理院 DEM10 (dem_png)',
+    url: 'https://cyberjapandata.gsi.go.jp/xyz/dem_png/{z}/{x}/{y}.png',
+    zoom: 14,
+    encoding: 'gsi'
+  },
+  gsi_dem5a_png: {
+    label: '国土地理院 DEM5A (dem5a_png)',
+    url: 'https://cyberjapandata.gsi.go.jp/xyz/dem5a_png/{z}/{x}/{y}.png',
+    zoom: 15,
+    encoding: 'gsi'
+  },
+  terrarium: {
+    label: 'Terrarium (AWS Terrain Tiles)',
+    url: 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png',
+    zoom: 14,
+    encoding: 'terrarium'
+  },
+  mapbox: {
+    label: 'Mapbox Terrain-RGB',
+    url: 'https://api.mapbox.com/v4/mapbox.terrain-rgb/{z}/{x}/{y}.pngraw?access_token={token}',
+    zoom: 14,
+    encoding: 'mapbox'
+  },
+  custom: {
+    label: 'ローカル / カスタム URL',
+    url: null,
+    zoom: null,
+    encoding: null
+  }
+};
+
+const DEM_SETTINGS_KEY = 'vtol-dem-settings';
+const VEHICLE_PROFILE_KEY = 'vtol-vehicle-profile';
+const WIND_SETTINGS_KEY = 'vtol-wind-settings';
+// Wind arrows on the map are as long as the air mass drifts in this many seconds
+const WIND_ARROW_SECONDS = 20;
+
+const COORDINATE_SETTINGS_KEY = 'vtol-coordinate-settings';
+const GEOID_DB_NAME = 'vtol-geoid';
+const coordinateFormatLabels = {
+  decimal: '緯度・経度（度）',
+  dms: '緯度・経度（度分秒）',
+  plane: '平面直角座標',
+  mgrs: 'MGRS'
+};
+// Origins [latitude, longitude] of the JGD2011 plane rectangular zones I–XIX
+const JGD_PLANE_ZONES = [
+  [33, 129.5], [33, 131], [36, 132 + 1 / 6], [33, 133.5], [36, 134 + 1 / 3],
+  [36, 136], [36, 137 + 1 / 6], [36, 138.5], [36, 139 + 5 / 6], [40, 140 + 5 / 6],
+  [44, 140.25], [44, 142.25], [44, 144.25], [26, 142], [26, 127.5],
+  [26, 124], [26, 131], [20, 136], [26, 154]
+];
+const JGD_PLANE_ZONE_NAMES = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI', 'XII', 'XIII', 'XIV', 'XV', 'XVI', 'XVII', 'XVIII', 'XIX'];
+// Zones are assigned by prefecture (and by municipality in Hokkaido, Kagoshima, Tokyo and
+// Okinawa), so the automatic choice takes the zone of the nearest of these towns: each
+// prefectural capital plus towns spread over the larger prefectures and the remote islands.
+const JGD_PLANE_ZONE_TOWNS = [
+  // I: Nagasaki and the Kagoshima islands west of 130°E
+  [32.745, 129.874, 1], [33.18, 129.72, 1], [34.2, 129.29, 1], [33.75, 129.69, 1], [32.7, 128.84, 1],
+  [31.83, 129.87, 1], [28.38, 129.49, 1], [27.73, 128.98, 1], [27.04, 128.42, 1],
+  // II: Fukuoka, Saga, Kumamoto, Oita, Miyazaki and Kagoshima
+  [33.607, 130.418, 2], [33.249, 130.299, 2], [32.79, 130.742, 2], [33.238, 131.613, 2], [31.911, 131.424, 2],
+  [31.56, 130.558, 2], [33.88, 130.88, 2], [33.6, 131.19, 2], [32.21, 130.76, 2], [32.09, 130.35, 2], [30.36, 130.53, 2], [30.73, 131.0, 2],
+  // III: Yamaguchi, Shimane and Hiroshima
+  [34.186, 131.471, 3], [33.96, 130.94, 3], [34.17, 132.22, 3], [35.472, 133.051, 3], [34.67, 131.84, 3],
+  [36.21, 133.32, 3], [34.397, 132.46, 3], [34.49, 133.36, 3],
+  // IV: Shikoku
+  [34.066, 134.559, 4], [34.34, 134.043, 4], [33.842, 132.766, 4], [33.22, 132.56, 4], [33.56, 133.531, 4], [32.91, 132.72, 4],
+  // V: Hyogo, Tottori and Okayama
+  [34.691, 135.183, 5], [34.73, 135.41, 5], [34.82, 134.69, 5], [35.54, 134.82, 5], [35.504, 134.238, 5], [35.43, 133.33, 5],
+  [34.662, 133.935, 5], [34.98, 133.47, 5],
+  // VI: Kyoto, Osaka, Fukui, Shiga, Mie, Nara and Wakayama
+  [35.021, 135.756, 6], [35.47, 135.39, 6], [34.686, 135.52, 6], [36.065, 136.222, 6], [35.65, 136.06, 6],
+  [35.004, 135.868, 6], [34.73, 136.509, 6], [34.07, 136.19, 6], [34.685, 135.833, 6], [34.226, 135.168, 6], [33.72, 135.99, 6],
+  // VII: Ishikawa, Toyama, Gifu and Aichi
+  [36.594, 136.626, 7], [37.39, 136.9, 7], [36.695, 137.211, 7], [35.391, 136.722, 7], [36.14, 137.25, 7],
+  [35.18, 136.907, 7], [34.77, 137.39, 7],
+  // VIII: Niigata, Nagano, Yamanashi and Shizuoka
+  [37.902, 139.023, 8], [37.15, 138.24, 8], [38.02, 138.37, 8], [36.651, 138.181, 8], [36.35, 138.6, 8], [36.25, 138.48, 8], [36.24, 137.97, 8],
+  [35.51, 137.82, 8], [35.664, 138.568, 8], [34.977, 138.383, 8], [35.1, 138.86, 8], [35.1, 139.07, 8], [34.68, 138.95, 8], [34.71, 137.73, 8],
+  // IX: Tokyo (with the Izu islands), Fukushima, Tochigi, Ibaraki, Saitama, Chiba, Gunma and Kanagawa
+  [35.69, 139.692, 9], [34.75, 139.36, 9], [33.11, 139.79, 9], [37.75, 140.468, 9], [37.05, 140.89, 9],
+  [37.49, 139.93, 9], [36.566, 139.884, 9], [36.342, 140.447, 9], [35.857, 139.649, 9], [35.605, 140.123, 9],
+  [36.391, 139.061, 9], [36.65, 139.04, 9], [35.448, 139.642, 9], [35.26, 139.15, 9], [35.33, 139.35, 9],
+  // X: Aomori, Akita, Yamagata, Iwate and Miyagi
+  [40.824, 140.74, 10], [40.51, 141.49, 10], [40.6, 140.46, 10], [39.719, 140.102, 10], [40.27, 140.56, 10],
+  [38.24, 140.364, 10], [37.92, 140.12, 10], [39.704, 141.153, 10], [39.64, 141.95, 10], [38.269, 140.872, 10],
+  // XI: Hokkaido's Oshima, Hiyama and Shiribeshi, Otaru, Date and around Lake Toya
+  [41.77, 140.73, 11], [41.43, 140.11, 11], [41.87, 140.13, 11], [42.45, 139.85, 11], [42.51, 140.38, 11],
+  [42.9, 140.76, 11], [42.98, 140.51, 11], [43.19, 140.79, 11], [43.19, 141.0, 11], [42.47, 140.86, 11], [42.56, 140.76, 11],
+  // XII: central and northern Hokkaido
+  [43.064, 141.347, 12], [42.32, 140.97, 12], [42.63, 141.6, 12], [42.82, 141.65, 12], [43.2, 141.78, 12],
+  [43.77, 142.37, 12], [43.34, 142.38, 12], [44.36, 142.46, 12], [43.94, 141.64, 12], [45.42, 141.67, 12], [42.17, 142.77, 12],
+  // XIII: Okhotsk, Tokachi, Kushiro and Nemuro
+  [44.02, 144.27, 13], [43.8, 143.89, 13], [44.36, 143.35, 13], [42.92, 143.2, 13], [43.17, 143.24, 13],
+  [42.29, 143.31, 13], [42.98, 144.38, 13], [43.33, 145.58, 13],
+  // XIV: Ogasawara, XV–XVII: Okinawa, XVIII: Okinotorishima, XIX: Minamitorishima
+  [27.09, 142.19, 14], [26.64, 142.16, 14], [26.212, 127.681, 15], [26.59, 127.98, 15], [26.34, 126.8, 15],
+  [24.8, 125.28, 16], [24.34, 124.16, 16], [24.47, 123.0, 16], [25.83, 131.23, 17], [25.95, 131.3, 17],
+  [20.42, 136.08, 18], [24.29, 153.98, 19]
+];
+const JGD_PLANE_SCALE = 0.9999;
+const UTM_SCALE = 0.9996;
+const MGRS_BAND_LETTERS = 'CDEFGHJKLMNPQRSTUVWX';
+const MGRS_COLUMN_LETTERS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const MGRS_ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+// Lowest northing of each latitude band, which picks the 2000 km cycle of the row letter
+const MGRS_BAND_MIN_NORTHING = {
+  C: 1100000, D: 2000000, E: 2800000, F: 3700000, G: 4600000, H: 5500000, J: 6400000,
+  K: 7300000, L: 8200000, M: 9100000, N: 0, P: 800000, Q: 1700000, R: 2600000,
+  S: 3500000, T: 4400000, U: 5300000, V: 6200000, W: 7000000, X: 7900000
+};
+
+// Gauss-Krüger series on GRS80 as used by GSI for the plane rectangular coordinates
+const GRS80_A = 6378137;
+const GRS80_N = 1 / (2 * 298.257222101 - 1);
+const TM_ARC_COEFFICIENTS = [
+  1 + GRS80_N ** 2 / 4 + GRS80_N ** 4 / 64,
+  -1.5 * (GRS80_N - GRS80_N ** 3 / 8 - GRS80_N ** 5 / 64),
+  (15 / 16) * (GRS80_N ** 2 - GRS80_N ** 4 / 4),
+  -(35 / 48) * (GRS80_N ** 3 - (5 / 16) * GRS80_N ** 5),
+  (315 / 512) * GRS80_N ** 4,
+  -(693 / 1280) * GRS80_N ** 5
+];
+const TM_ALPHA = [
+  GRS80_N / 2 - (2 / 3) * GRS80_N ** 2 + (5 / 16) * GRS80_N ** 3 + (41 / 180) * GRS80_N ** 4 - (127 / 288) * GRS80_N ** 5,
+  (13 / 48) * GRS80_N ** 2 - (3 / 5) * GRS80_N ** 3 + (557 / 1440) * GRS80_N ** 4 + (281 / 630) * GRS80_N ** 5,
+  (61 / 240) * GRS80_N ** 3 - (103 / 140) * GRS80_N ** 4 + (15061 / 26880) * GRS80_N ** 5,
+  (49561 / 161280) * GRS80_N ** 4 - (179 / 168) * GRS80_N ** 5,
+  (34729 / 80640) * GRS80_N ** 5
+];
+const TM_BETA = [
+  GRS80_N / 2 - (2 / 3) * GRS80_N ** 2 + (37 / 96) * GRS80_N ** 3 - (1 / 360) * GRS80_N ** 4 - (81 / 512) * GRS80_N ** 5,
+  (1 / 48) * GRS80_N ** 2 + (1 / 15) * GRS80_N ** 3 - (437 / 1440) * GRS80_N ** 4 + (46 / 105) * GRS80_N ** 5,
+  (17 / 480) * GRS80_N ** 3 - (37 / 840) * GRS80_N ** 4 - (209 / 4480) * GRS80_N ** 5,
+  (4397 / 161280) * GRS80_N ** 4 - (11 / 504) * GRS80_N ** 5,
+  (4583 / 161280) * GRS80_N ** 5
+];
+const TM_DELTA = [
+  2 * GRS80_N - (2 / 3) * GRS80_N ** 2 - 2 * GRS80_N ** 3 + (116 / 45) * GRS80_N ** 4 + (26 / 45) * GRS80_N ** 5 - (2854 / 675) * GRS80_N ** 6,
+  (7 / 3) * GRS80_N ** 2 - (8 / 5) * GRS80_N ** 3 - (227 / 45) * GRS80_N ** 4 + (2704 / 315) * GRS80_N ** 5 + (2323 / 945) * GRS80_N ** 6,
+  (56 / 15) * GRS80_N ** 3 - (136 / 35) * GRS80_N ** 4 - (1262 / 105) * GRS80_N ** 5 + (73814 / 2835) * GRS80_N ** 6,
+  (4279 / 630) * GRS80_N ** 4 - (332 / 35) * GRS80_N ** 5 - (399572 / 14175) * GRS80_N ** 6,
+  (4174 / 315) * GRS80_N ** 5 - (144838 / 6237) * GRS80_N ** 6,
+  (601676 / 22275) * GRS80_N ** 6
+];
+
+const flightPhaseLabels = {
+  hover: '回転翼',
+  fixed: '固定翼'
+};
+const DEM_CACHE_DB_NAME = 'vtol-dem-cache';
+const DEM_CACHE_EVICT_INTERVAL = 20;
+const DEM_CACHE_ACCESS_FLUSH_MS = 5000;
+const DEM_FETCH_CONCURRENCY = 6;
+// 3D terrain reads many tiles, so only the most recent ones stay decoded in memory
+const DEM_MEMORY_TILE_LIMIT = 256;
+
+const AIRSPACE_DB_NAME = 'vtol-airspace';
+const airspaceModeLabels = {
+  block: '進入禁止（保存不可）',
+  warn: '警告のみ'
+};
+const airspaceReferenceLabels = {
+  agl: '対地',
+  amsl: '海抜'
+};
+
+// Reversing the route turns each phase change into its opposite
+const reversedTypes = {
+  takeoff: 'landing',
+  landing: 'takeoff',
+  transition_to_fixed: 'transition_to_rotary',
+  transition_to_rotary: 'transition_to_fixed',
+  transit: 'transit'
+};
+const NUDGE_STEP_METERS = 1;
+const NUDGE_STEP_LARGE_METERS = 10;
+
+// Actions a waypoint can carry. toItem builds the MAV_CMD written after the waypoint
+// (navigation actions replace its NAV_WAYPOINT); imports are keyed by MAV_CMD name and
+// return the fields for a matching item, or null to leave the item to another action.
+const waypointActionTypes = {
+  loiter_time: {
+    label: '旋回待機（時間）',
+    icon: '⏱',
+    navigation: true,
+    fields: [
+      { key: 'seconds', label: '時間 (s)', value: 30, min: 0, step: 5 },
+      { key: 'radius', label: '半径 (m, 負で反時計回り)', value: 50, step: 5 }
+    ],
+    toItem: ({ seconds, radius }) => ({ command: MAV_CMD.NAV_LOITER_TIME, params: [seconds, 0, radius, 0] }),
+    imports: {
+      NAV_LOITER_TIME: ([seconds, , radius]) => ({ seconds: seconds ?? 0, radius: radius ?? 0 })
+    }
+  },
+  loiter_turns: {
+    label: '旋回待機（周回）',
+    icon: '⟳',
+    navigation: true,
+    fields: [
+      { key: 'turns', label: '周回数', value: 1, min: 0, step: 1 },
+      { key: 'radius', label: '半径 (m, 負で反時計回り)', value: 50, step: 5 }
+    ],
+    toItem: ({ turns, radius }) => ({ command: MAV_CMD.NAV_LOITER_TURNS, params: [turns, 0, radius, 0] }),
+    imports: {
+      NAV_LOITER_TURNS: ([turns, , radius]) => ({ turns: turns ?? 0, radius: radius ?? 0 })
+    }
+  },
+  change_speed: {
+    label: '速度変更',
+    icon: '⏩',
+    fields: [
+      { key: 'speedType', label: '速度の種類', value: 0, options: [[0, '対気速度'], [1, '対地速度']] },
+      { key: 'speed', label: '速度 (m/s)', value: 15, min: 0.5, step: 0.5 }
+    ],
+    toItem: ({ speedType, speed }) => ({ command: MAV_CMD.DO_CHANGE_SPEED, params: [speedType, speed, -1, 0, 0, 0, 0] }),
+    imports: {
+      DO_CHANGE_SPEED: ([speedType, speed]) => ((speedType === 0 || speedType === 1) && speed > 0 ? { speedType, speed } : null)
+    }
+  },
+  camera_photo: {
+    label: '写真撮影',
+    icon: '📷',
+    fields: [],
+    toItem: () => ({ command: MAV_CMD.IMAGE_START_CAPTURE, params: [0, 0, 1, 0, 0, 0, 0] }),
+    imports: {
+      IMAGE_START_CAPTURE: ([, , count]) => (count === 1 ? {} : null)
+    }
+  },
+  camera_interval: {
+    label: 'インターバル撮影（時間）',
+    icon: '🎞',
+    fields: [
+      { key: 'interval', label: '間隔 (s)', value: 2, min: 0.1, step: 0.5 }
+    ],
+    toItem: ({ interval }) => ({ command: MAV_CMD.IMAGE_START_CAPTURE, params: [0, interval, 0, 0, 0, 0, 0] }),
+    imports: {
+      IMAGE_START_CAPTURE: ([, interval]) => (interval > 0 ? { interval } : null)
+    }
+  },
+  camera_distance: {
+    label: 'インターバル撮影（距離）',
+    icon: '📏',
+    fields: [
+      { key: 'distance', label: '間隔 (m, 0 で停止)', value: 20, min: 0, step: 1 }
+    ],
+    toItem: ({ distance }) => ({ command: MAV_CMD.DO_SET_CAM_TRIGG_DIST, params: [distance, 0, 1, 0, 0, 0, 0] }),
+    imports: {
+      DO_SET_CAM_TRIGG_DIST: ([distance]) => (distance >= 0 ? { distance } : null)
+    }
+  },
+  camera_stop: {
+    label: '撮影停止',
+    icon: '⏹',
+    fields: [],
+    toItem: () => ({ command: MAV_CMD.IMAGE_STOP_CAPTURE, params: [0, 0, 0, 0, 0, 0, 0] }),
+    imports: {
+      IMAGE_STOP_CAPTURE: () => ({})
+    }
+  },
+  gimbal: {
+    label: 'ジンバル角度',
+    icon: '🎥',
+    fields: [
+      { key: 'pitch', label: 'ピッチ (°)', value: -90, min: -90, step: 5 },
+      { key: 'yaw', label: 'ヨー (°)', value: 0, step: 5 }
+    ],
+    // Mode 2 is MAV_MOUNT_MODE_MAVLINK_TARGETING
+    toItem: ({ pitch, yaw }) => ({ command: MAV_CMD.DO_MOUNT_CONTROL, params: [pitch, 0, yaw, 0, 0, 0, 2] }),
+    imports: {
+      DO_MOUNT_CONTROL: ([pitch, , yaw]) => ({ pitch: pitch ?? 0, yaw: yaw ?? 0 })
+    }
+  },
+  roi: {
+    label: '注視点 (ROI)',
+    icon: '🎯',
+    fields: [
+      { key: 'latitude', label: '緯度', value: (wp) => wp.latitude, min: -90, step: 'any' },
+      { key: 'longitude', label: '経度', value: (wp) => wp.longitude, min: -180, step: 'any' },
+      { key: 'altitude', label: '高度 (m, 離陸地点基準)', value: 0, step: 1 }
+    ],
+    toItem: ({ latitude, longitude, altitude }) => ({
+      command: MAV_CMD.DO_SET_ROI_LOCATION,
+      frame: MAV_FRAME.GLOBAL_RELATIVE_ALT,
+      params: [0, 0, 0, 0, latitude, longitude, altitude]
+    }),
+    imports: {
+      DO_SET_ROI_LOCATION: (params) => (isQgcCoordinate(params[4], params[5]) ? { latitude: params[4], longitude: params[5], altitude: params[6] ?? 0 } : null)
+    }
+  },
+  roi_none: {
+    label: '注視点を解除',
+    icon: '⊘',
+    fields: [],
+    toItem: () => ({ command: MAV_CMD.DO_SET_ROI_NONE, params: [0, 0, 0, 0, 0, 0, 0] }),
+    imports: {
+      DO_SET_ROI_NONE: () => ({})
+    }
+  },
+  delay: {
+    label: '待機',
+    icon: '⏸',
+    fields: [
+      { key: 'seconds', label: '時間 (s)', value: 10, min: 0, step: 1 }
+    ],
+    toItem: ({ seconds }) => ({ command: MAV_CMD.NAV_DELAY, params: [seconds, -1, -1, -1, 0, 0, 0] }),
+    imports: {
+      NAV_DELAY: ([seconds]) => (seconds >= 0 ? { seconds } : null)
+    }
+  },
+  servo: {
+    label: 'サーボ出力',
+    icon: '⚙',
+    fields: [
+      { key: 'servo', label: 'サーボ番号', value: 1, min: 1, step: 1 },
+      { key: 'pwm', label: 'PWM (µs)', value: 1500, min: 0, step: 50 }
+    ],
+    toItem: ({ servo, pwm }) => ({ command: MAV_CMD.DO_SET_SERVO, params: [servo, pwm, 0, 0, 0, 0, 0] }),
+    imports: {
+      DO_SET_SERVO: ([servo, pwm]) => ({ servo: servo ?? 1, pwm: pwm ?? 0 })
+    }
+  },
+  payload_release: {
+    label: 'ペイロード投下',
+    icon: '📦',
+    fields: [
+      { key: 'gripper', label: 'グリッパー番号', value: 1, min: 1, step: 1 }
+    ],
+    // Action 0 is GRIPPER_ACTION_RELEASE
+    toItem: ({ gripper }) => ({ command: MAV_CMD.DO_GRIPPER, params: [gripper, 0, 0, 0, 0, 0, 0] }),
+    imports: {
+      DO_GRIPPER: ([gripper, action]) => (action === 0 ? { gripper: gripper ?? 1 } : null)
+    }
+  }
+};
+
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 1500;
+
+const issueSeverityLabels = {
+  error: 'エラー',
+  warning: '警告'
+};
+
 const planSchema = {
   $id: 'https://example.com/vtol-flight-plan.schema.json',
   type: 'object',
@@ -22,7 +398,99 @@ const planSchema = {
   properties: {
     version: { type: 'string' },
     vehicleType: { type: 'string', const: 'VTOL' },
+    generatedAt: { type: 'string' },
     description: { type: 'string' },
+    altitudeReference: { type: 'string', enum: Object.keys(altitudeReferenceLabels) },
+    minTerrainClearance: { type: 'number', minimum: 0 },
+    geoFence: {
+      type: 'object',
+      required: ['polygons', 'circles'],
+      additionalProperties: false,
+      properties: {
+        polygons: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'inclusion', 'polygon'],
+            additionalProperties: false,
+            properties: {
+              id: { type: 'string' },
+              inclusion: { type: 'boolean' },
+              polygon: {
+                type: 'array',
+                minItems: 3,
+                items: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'number' } }
+              }
+            }
+          }
+        },
+        circles: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'inclusion', 'center', 'radius'],
+            additionalProperties: false,
+            properties: {
+              id: { type: 'string' },
+              inclusion: { type: 'boolean' },
+              center: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'number' } },
+              radius: { type: 'number', exclusiveMinimum: 0 }
+            }
+          }
+        }
+      }
+    },
+    surveys: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'polygon', 'camera', 'gsd', 'frontalOverlap', 'sideOverlap', 'angle', 'turnaroundDistance'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string' },
+          polygon: {
+            type: 'array',
+            minItems: 3,
+            items: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'number' } }
+          },
+          camera: {
+            type: 'object',
+            required: ['name', 'focalLength', 'sensorWidth', 'sensorHeight', 'imageWidth', 'imageHeight', 'landscape'],
+            additionalProperties: false,
+            properties: {
+              name: { type: 'string' },
+              focalLength: { type: 'number', exclusiveMinimum: 0 },
+              sensorWidth: { type: 'number', exclusiveMinimum: 0 },
+              sensorHeight: { type: 'number', exclusiveMinimum: 0 },
+              imageWidth: { type: 'integer', minimum: 1 },
+              imageHeight: { type: 'integer', minimum: 1 },
+              landscape: { type: 'boolean' }
+            }
+          },
+          gsd: { type: 'number', exclusiveMinimum: 0 },
+          frontalOverlap: { type: 'number', minimum: 0, exclusiveMaximum: 100 },
+          sideOverlap: { type: 'number', minimum: 0, exclusiveMaximum: 100 },
+          angle: { type: 'number' },
+          turnaroundDistance: { type: 'number', minimum: 0 },
+          flyAlternateTransects: { type: 'boolean' },
+          splitConcavePolygons: { type: 'boolean' }
+        }
+      }
+    },
+    rallyPoints: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'latitude', 'longitude', 'altitude'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string' },
+          latitude: { type: 'number', minimum: -90, maximum: 90 },
+          longitude: { type: 'number', minimum: -180, maximum: 180 },
+          altitude: { type: 'number' }
+        }
+      }
+    },
     waypoints: {
       type: 'array',
       minItems: 2,
@@ -36,7 +504,35 @@ const planSchema = {
           latitude: { type: 'number', minimum: -90, maximum: 90 },
           longitude: { type: 'number', minimum: -180, maximum: 180 },
           altitude: { type: 'number', minimum: 0 },
-          note: { type: 'string' }
+          altitudeReference: { type: 'string', enum: Object.keys(altitudeReferenceLabels) },
+          note: { type: 'string' },
+          surveyId: { type: 'string' },
+          surveyRole: { type: 'string', enum: ['turnaround', 'entry', 'exit'] },
+          actions: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['type'],
+              properties: {
+                type: { type: 'string', enum: Object.keys(waypointActionTypes) }
+              },
+              additionalProperties: { type: 'number' }
+            }
+          },
+          preservedItems: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['command', 'frame', 'params'],
+              additionalProperties: false,
+              properties: {
+                command: { type: 'integer', minimum: 0 },
+                frame: { type: 'integer', minimum: 0 },
+                params: { type: 'array', minItems: 7, maxItems: 7 },
+                autoContinue: { type: 'boolean' }
+              }
+            }
+          }
         }
       }
     }
@@ -47,23 +543,512 @@ const ajv = new window.ajv7.default({ allErrors: true, strict: false });
 ajv.addSchema(planSchema);
 const validatePlan = ajv.getSchema(planSchema.$id);
 
+const QGC_SCHEMA_URL = 'JSON_Schema4AeroStation.json';
+
+const MAV_CMD = {
+  NAV_WAYPOINT: 16,
+  NAV_LOITER_UNLIM: 17,
+  NAV_LOITER_TURNS: 18,
+  NAV_LOITER_TIME: 19,
+  NAV_LAND: 21,
+  NAV_TAKEOFF: 22,
+  NAV_LOITER_TO_ALT: 31,
+  NAV_SPLINE_WAYPOINT: 82,
+  NAV_VTOL_TAKEOFF: 84,
+  NAV_VTOL_LAND: 85,
+  NAV_DELAY: 93,
+  DO_CHANGE_SPEED: 178,
+  DO_SET_SERVO: 183,
+  DO_SET_ROI_LOCATION: 195,
+  DO_SET_ROI_NONE: 197,
+  DO_MOUNT_CONTROL: 205,
+  DO_SET_CAM_TRIGG_DIST: 206,
+  DO_GRIPPER: 211,
+  DO_GIMBAL_MANAGER_PITCHYAW: 1000,
+  IMAGE_START_CAPTURE: 2000,
+  IMAGE_STOP_CAPTURE: 2001,
+  DO_VTOL_TRANSITION: 3000
+};
+
+const MAV_FRAME = {
+  GLOBAL: 0,
+  MISSION: 2,
+  GLOBAL_RELATIVE_ALT: 3,
+  GLOBAL_INT: 5,
+  GLOBAL_RELATIVE_ALT_INT: 6,
+  GLOBAL_TERRAIN_ALT: 10,
+  GLOBAL_TERRAIN_ALT_INT: 11
+};
+
+// QGroundControl's AltitudeMode values written next to each SimpleItem
+const qgcAltitudeModes = {
+  relative: { frame: MAV_FRAME.GLOBAL_RELATIVE_ALT, altitudeMode: 1 },
+  amsl: { frame: MAV_FRAME.GLOBAL, altitudeMode: 2 },
+  agl: { frame: MAV_FRAME.GLOBAL_TERRAIN_ALT, altitudeMode: 4 }
+};
+
+const MAV_VTOL_STATE = {
+  MC: 3,
+  FW: 4
+};
+
+const qgcDefaults = {
+  firmwareType: 12, // MAV_AUTOPILOT_PX4
+  vehicleType: 20 // MAV_TYPE_VTOL_QUADROTOR
+};
+
+// Navigation commands we can turn back into planner waypoints. Anything not
+// listed as exact is imported as the closest waypoint type and reported.
+const qgcNavCommandTypes = {
+  [MAV_CMD.NAV_VTOL_TAKEOFF]: 'takeoff',
+  [MAV_CMD.NAV_TAKEOFF]: 'takeoff',
+  [MAV_CMD.NAV_WAYPOINT]: 'transit',
+  [MAV_CMD.NAV_SPLINE_WAYPOINT]: 'transit',
+  [MAV_CMD.NAV_LOITER_UNLIM]: 'transit',
+  [MAV_CMD.NAV_LOITER_TURNS]: 'transit',
+  [MAV_CMD.NAV_LOITER_TIME]: 'transit',
+  [MAV_CMD.NAV_LOITER_TO_ALT]: 'transit',
+  [MAV_CMD.NAV_VTOL_LAND]: 'landing',
+  [MAV_CMD.NAV_LAND]: 'landing'
+};
+
+const qgcExactNavCommands = new Set([
+  MAV_CMD.NAV_VTOL_TAKEOFF,
+  MAV_CMD.NAV_WAYPOINT,
+  MAV_CMD.NAV_VTOL_LAND
+]);
+
+const importStatusLabels = {
+  converted: '変換',
+  approximated: '近似',
+  preserved: '保持',
+  dropped: '破棄'
+};
+
+const gisFormats = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  kmz: { label: 'KMZ', extension: 'kmz', mimeType: 'application/vnd.google-earth.kmz' },
+  gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' }
+};
+
+// KML altitudeMode for each altitude reference. Takeoff-relative altitudes have no
+// KML equivalent and are written as absolute heights after resolving the DEM.
+const kmlAltitudeModes = {
+  relative: 'absolute',
+  amsl: 'absolute',
+  agl: 'relativeToGround'
+};
+
+const GPX_EXTENSION_NS = 'https://example.com/vtol-flight-plan/gpx';
+// The report map is captured even if some tiles have not loaded by then
+const REPORT_SNAPSHOT_TIMEOUT = 10000;
+
+const MAVLINK_SETTINGS_KEY = 'vtol-mavlink-settings';
+const MAVLINK_STX = 0xfd;
+const MAVLINK_HEADER_LENGTH = 10;
+const MAVLINK_SIGNATURE_LENGTH = 13;
+const MAVLINK_GCS_SYSTEM_ID = 255;
+const MAVLINK_GCS_COMPONENT_ID = 190;
+const MAVLINK_TIMEOUT_MS = 1500;
+const MAVLINK_RETRIES = 5;
+const MAVLINK_HEARTBEAT_INTERVAL_MS = 1000;
+const MAV_TYPE_GCS = 6;
+const MAV_AUTOPILOT_INVALID = 8;
+const MAV_MISSION_ACCEPTED = 0;
+
+// Fields are listed in wire order: base fields sorted by size, then extensions.
+const mavlinkMessages = {
+  HEARTBEAT: {
+    id: 0,
+    crcExtra: 50,
+    fields: [['customMode', 'uint32'], ['type', 'uint8'], ['autopilot', 'uint8'], ['baseMode', 'uint8'], ['systemStatus', 'uint8'], ['mavlinkVersion', 'uint8']]
+  },
+  SYS_STATUS: {
+    id: 1,
+    crcExtra: 124,
+    fields: [
+      ['onboardControlSensorsPresent', 'uint32'], ['onboardControlSensorsEnabled', 'uint32'], ['onboardControlSensorsHealth', 'uint32'],
+      ['load', 'uint16'], ['voltageBattery', 'uint16'], ['currentBattery', 'int16'], ['dropRateComm', 'uint16'], ['errorsComm', 'uint16'],
+      ['errorsCount1', 'uint16'], ['errorsCount2', 'uint16'], ['errorsCount3', 'uint16'], ['errorsCount4', 'uint16'],
+      ['batteryRemaining', 'int8']
+    ]
+  },
+  GLOBAL_POSITION_INT: {
+    id: 33,
+    crcExtra: 104,
+    fields: [
+      ['timeBootMs', 'uint32'], ['lat', 'int32'], ['lon', 'int32'], ['alt', 'int32'], ['relativeAlt', 'int32'],
+      ['vx', 'int16'], ['vy', 'int16'], ['vz', 'int16'], ['hdg', 'uint16']
+    ]
+  },
+  MISSION_REQUEST: {
+    id: 40,
+    crcExtra: 230,
+    fields: [['seq', 'uint16'], ['targetSystem', 'uint8'], ['targetComponent', 'uint8'], ['missionType', 'uint8']]
+  },
+  MISSION_CURRENT: {
+    id: 42,
+    crcExtra: 28,
+    fields: [['seq', 'uint16']]
+  },
+  MISSION_REQUEST_LIST: {
+    id: 43,
+    crcExtra: 132,
+    fields: [['targetSystem', 'uint8'], ['targetComponent', 'uint8'], ['missionType', 'uint8']]
+  },
+  MISSION_COUNT: {
+    id: 44,
+    crcExtra: 221,
+    fields: [['count', 'uint16'], ['targetSystem', 'uint8'], ['targetComponent', 'uint8'], ['missionType', 'uint8']]
+  },
+  MISSION_CLEAR_ALL: {
+    id: 45,
+    crcExtra: 232,
+    fields: [['targetSystem', 'uint8'], ['targetComponent', 'uint8'], ['missionType', 'uint8']]
+  },
+  MISSION_ACK: {
+    id: 47,
+    crcExtra: 153,
+    fields: [['targetSystem', 'uint8'], ['targetComponent', 'uint8'], ['type', 'uint8'], ['missionType', 'uint8']]
+  },
+  MISSION_REQUEST_INT: {
+    id: 51,
+    crcExtra: 196,
+    fields: [['seq', 'uint16'], ['targetSystem', 'uint8'], ['targetComponent', 'uint8'], ['missionType', 'uint8']]
+  },
+  MISSION_ITEM_INT: {
+    id: 73,
+    crcExtra: 38,
+    fields: [
+      ['param1', 'float'], ['param2', 'float'], ['param3', 'float'], ['param4', 'float'],
+      ['x', 'int32'], ['y', 'int32'], ['z', 'float'],
+      ['seq', 'uint16'], ['command', 'uint16'],
+      ['targetSystem', 'uint8'], ['targetComponent', 'uint8'], ['frame', 'uint8'], ['current', 'uint8'], ['autocontinue', 'uint8'],
+      ['missionType', 'uint8']
+    ]
+  },
+  EXTENDED_SYS_STATE: {
+    id: 245,
+    crcExtra: 130,
+    fields: [['vtolState', 'uint8'], ['landedState', 'uint8']]
+  }
+};
+
+const mavlinkMessagesById = new Map(Object.entries(mavlinkMessages).map(([name, definition]) => [definition.id, { name, ...definition }]));
+
+const mavlinkFieldSizes = {
+  int8: 1,
+  uint8: 1,
+  int16: 2,
+  uint16: 2,
+  uint32: 4,
+  int32: 4,
+  float: 4
+};
+
+// MAV_FRAME values whose x/y carry latitude/longitude in degE7
+const mavlinkGlobalFrames = new Set([0, 3, 5, 6, 10, 11]);
+
+const missionResultLabels = {
+  0: '受理',
+  1: '一般エラー',
+  2: '未対応の座標系',
+  3: '未対応のコマンド',
+  4: 'ミッションの容量不足',
+  5: 'パラメータが不正',
+  13: 'シーケンス番号が不正',
+  14: '機体が受け付けません',
+  15: '操作が取り消されました'
+};
+
+const vtolStateLabels = {
+  0: '不明',
+  1: '固定翼へ移行中',
+  2: '回転翼へ移行中',
+  3: '回転翼',
+  4: '固定翼'
+};
+
+const landedStateLabels = {
+  0: '不明',
+  1: '地上',
+  2: '飛行中',
+  3: '離陸中',
+  4: '着陸中'
+};
+
+const simulationPhaseLabels = {
+  takeoff: '離陸上昇',
+  transition_to_fixed: '固定翼へ移行',
+  transition_to_rotary: '回転翼へ移行',
+  landing: '着陸降下',
+  hover: '回転翼飛行',
+  fixed: '固定翼巡航'
+};
+
+const TERRAIN_DEM_PROTOCOL = 'vtoldem';
+// Offline, 3D terrain this many zoom levels below a DEM source is rebuilt from its cached tiles
+const TERRAIN_DOWNSAMPLE_LEVELS = 2;
+const TERRAIN_3D_PITCH = 60;
+const PATH_RIBBON_WIDTH_METERS = 4;
+const PATH_RIBBON_THICKNESS_METERS = 2;
+
+const TELEMETRY_TRAIL_LIMIT = 5000;
+const TELEMETRY_REPLAY_MAX_GAP_MS = 1000;
+const CROSS_TRACK_WARNING_METERS = 30;
+
+let qgcValidatorPromise = null;
+
+const cameraPresets = [
+  { name: 'Sony RX1R II', focalLength: 35, sensorWidth: 35.9, sensorHeight: 24, imageWidth: 7952, imageHeight: 5304 },
+  { name: 'DJI Zenmuse P1 (35mm)', focalLength: 35, sensorWidth: 35.9, sensorHeight: 24, imageWidth: 8192, imageHeight: 5460 },
+  { name: 'Sony α6100 (16mm)', focalLength: 16, sensorWidth: 23.5, sensorHeight: 15.6, imageWidth: 6000, imageHeight: 4000 },
+  { name: 'MicaSense RedEdge-P', focalLength: 5.5, sensorWidth: 7.12, sensorHeight: 5.33, imageWidth: 1456, imageHeight: 1088 }
+];
+
+const CUSTOM_CAMERA_NAME = 'カスタム';
+
+const surveyDefaults = {
+  gsd: 2,
+  frontalOverlap: 75,
+  sideOverlap: 65,
+  angle: 0,
+  turnaroundDistance: 50,
+  flyAlternateTransects: false,
+  splitConcavePolygons: true
+};
+
 const state = {
   waypoints: [],
-  markers: new Map(),
-  profileToken: 0
+  altitudeReference: 'relative',
+  minTerrainClearance: 30,
+  terrainFindings: [],
+  terrainViolationSegments: new Set(),
+  geoFence: { polygons: [], circles: [] },
+  rallyPoints: [],
+  waypointFeatures: [],
+  hoveredWaypointId: null,
+  waypointDrag: null,
+  waypointList: {
+    cards: new Map(),
+    heights: new Map(),
+    range: null,
+    spacers: null,
+    framePending: false
+  },
+  selectedWaypointIds: new Set(),
+  selectionAnchorId: null,
+  pathInsertDrag: null,
+  boxSelect: null,
+  profileToken: 0,
+  profile: {
+    samples: [],
+    waypoints: [],
+    view: null,
+    layout: null,
+    hover: null,
+    pointer: null,
+    cursorMarker: null
+  },
+  fenceViolations: new Map(),
+  airspaceLayers: [],
+  airspaceConflicts: [],
+  sequenceIssues: [],
+  areaDraft: null,
+  selectedFenceId: null,
+  fenceHandles: [],
+  rallyMarkers: new Map(),
+  rallyPlacement: false,
+  surveys: [],
+  selectedSurveyId: null,
+  vehicle: {
+    hoverSpeed: 5,
+    cruiseSpeed: 15,
+    climbRate: 3,
+    descentRate: 2,
+    transitionDuration: 20,
+    backTransitionDuration: 15,
+    hoverPower: 1400,
+    cruisePower: 450,
+    landingDuration: 60,
+    batteryCapacity: 600,
+    reservePercent: 20,
+    maxHeadwind: 10,
+    maxHoverCrosswind: 8
+  },
+  wind: {
+    layers: [{ altitude: 0, direction: 0, speed: 0 }],
+    source: ''
+  },
+  windFindings: [],
+  coordinateSettings: {
+    format: 'decimal',
+    planeZone: 'auto'
+  },
+  geoid: null,
+  flightEstimate: null,
+  estimateElements: new Map(),
+  reachability: [],
+  terrainFollow: {
+    targetAgl: 80,
+    tolerance: 10,
+    maxClimbRate: 3,
+    maxDescentRate: 2,
+    groundSpeed: 15
+  },
+  terrainFollowPreview: null,
+  history: {
+    entries: [],
+    index: -1
+  },
+  currentPlanId: null,
+  autosaveTimer: null,
+  demSettings: {
+    sourceId: 'gsi_best',
+    customUrl: 'http://localhost:8080/{z}/{x}/{y}.png',
+    customEncoding: 'gsi',
+    customZoom: 14,
+    mapboxToken: '',
+    cacheLimitMb: 200,
+    prefetchBuffer: 500
+  },
+  mavlinkSettings: {
+    url: 'ws://localhost:5760',
+    homeAtZero: false
+  },
+  telemetry: {
+    position: null,
+    heading: null,
+    groundSpeed: null,
+    vtolState: null,
+    landedState: null,
+    battery: null,
+    currentSeq: null,
+    activeWaypointId: null,
+    progress: null,
+    trail: [],
+    trace: [],
+    missionWaypointIds: [],
+    marker: null,
+    renderPending: false,
+    replay: null
+  },
+  simulation: {
+    timeline: null,
+    time: 0,
+    playing: false,
+    lastFrame: null,
+    frame: null,
+    current: null,
+    active: false,
+    marker: null,
+    terrain3d: false,
+    terrainRevision: 0
+  },
+  mavlink: {
+    socket: null,
+    target: null,
+    sequence: 0,
+    buffer: new Uint8Array(0),
+    waiters: [],
+    heartbeatTimer: null,
+    busy: false,
+    message: ''
+  },
+  demCacheWrites: 0,
+  demCacheAccess: new Map(),
+  demCacheAccessTimer: null
 };
 
+let planDbPromise = null;
+let demCacheDbPromise = null;
+const waypointListeners = new Set();
+const groundElevationCache = new Map();
+let airspaceDbPromise = null;
+let geoidDbPromise = null;
+
 const tileCache = new Map();
-const TILE_ZOOM = 14;
+const pendingTiles = new Map();
+const WAYPOINT_CARD_ESTIMATED_HEIGHT = 300;
+const WAYPOINT_CARD_GAP = 12;
+const WAYPOINT_LIST_OVERSCAN = 3;
+const WAYPOINT_ACTION_BADGE_PREFIX = 'waypoint-actions:';
+const GROUND_CACHE_LIMIT = 50000;
 const SAMPLE_SPACING_METERS = 80;
+const PROFILE_TARGET_SAMPLES = 600;
+const PROFILE_MIN_SPACING_METERS = 10;
 
 const mapElement = document.getElementById('map');
 const waypointListElement = document.getElementById('waypointList');
+const waypointScrollContainer = document.querySelector('.controls');
 const planFileInput = document.getElementById('planFileInput');
+const gisFormatSelect = document.getElementById('gisFormatSelect');
 const newWaypointTypeSelect = document.getElementById('newWaypointType');
 const defaultAltitudeInput = document.getElementById('defaultAltitude');
 const profileCanvas = document.getElementById('profileCanvas');
 const toggleFullscreenBtn = document.getElementById('toggleFullscreenBtn');
+const importReportDialog = document.getElementById('importReportDialog');
+const importReportSummary = document.getElementById('importReportSummary');
+const importReportBody = document.getElementById('importReportBody');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
+const historyListElement = document.getElementById('historyList');
+const planNameInput = document.getElementById('planNameInput');
+const planSearchInput = document.getElementById('planSearchInput');
+const planLibraryList = document.getElementById('planLibraryList');
+const revisionListElement = document.getElementById('revisionList');
+const libraryStatus = document.getElementById('libraryStatus');
+const demSourceSelect = document.getElementById('demSource');
+const demCustomSettings = document.getElementById('demCustomSettings');
+const demMapboxSettings = document.getElementById('demMapboxSettings');
+const demStatus = document.getElementById('demStatus');
+const mavlinkUrlInput = document.getElementById('mavlinkUrlInput');
+const mavlinkHomeInput = document.getElementById('mavlinkHomeInput');
+const mavlinkConnectBtn = document.getElementById('mavlinkConnectBtn');
+const mavlinkProgress = document.getElementById('mavlinkProgress');
+const mavlinkStatus = document.getElementById('mavlinkStatus');
+const simulationPlayBtn = document.getElementById('simulationPlayBtn');
+const simulationScrub = document.getElementById('simulationScrub');
+const simulationTimeLabel = document.getElementById('simulationTime');
+const simulationStatus = document.getElementById('simulationStatus');
+const simulationSpeedSelect = document.getElementById('simulationSpeedSelect');
+const telemetryOverlay = document.getElementById('telemetryOverlay');
+const telemetryStatus = document.getElementById('telemetryStatus');
+const telemetryReplayBtn = document.getElementById('telemetryReplayBtn');
+const selectionPanel = document.getElementById('selectionPanel');
+const selectionSummary = document.getElementById('selectionSummary');
+const bulkTypeSelect = document.getElementById('bulkTypeSelect');
+const planIssuesDialog = document.getElementById('planIssuesDialog');
+const planIssuesSummary = document.getElementById('planIssuesSummary');
+const planIssuesList = document.getElementById('planIssuesList');
+const planIssuesProceedBtn = document.getElementById('planIssuesProceedBtn');
+const fenceKindSelect = document.getElementById('fenceKind');
+const fenceListElement = document.getElementById('fenceList');
+const airspaceLayerList = document.getElementById('airspaceLayerList');
+const airspaceConflictList = document.getElementById('airspaceConflicts');
+const airspaceStatus = document.getElementById('airspaceStatus');
+const drawActions = document.getElementById('drawActions');
+const drawHint = document.getElementById('drawHint');
+const rallyListElement = document.getElementById('rallyList');
+const addRallyPointBtn = document.getElementById('addRallyPointBtn');
+const reachabilitySummary = document.getElementById('reachabilitySummary');
+const flightSummary = document.getElementById('flightSummary');
+const windLayerList = document.getElementById('windLayerList');
+const windFindingsElement = document.getElementById('windFindings');
+const windStatus = document.getElementById('windStatus');
+const coordinatePasteInput = document.getElementById('coordinatePasteInput');
+const geoidStatus = document.getElementById('geoidStatus');
+const surveyListElement = document.getElementById('surveyList');
+const surveyEditor = document.getElementById('surveyEditor');
+const surveyCameraSelect = document.getElementById('surveyCamera');
+const surveyStats = document.getElementById('surveyStats');
+const altitudeReferenceSelect = document.getElementById('altitudeReference');
+const minTerrainClearanceInput = document.getElementById('minTerrainClearance');
+const terrainFindingsElement = document.getElementById('terrainFindings');
+const terrainFollowSection = document.getElementById('terrainFollowSection');
+const terrainFollowStatus = document.getElementById('terrainFollowStatus');
+const terrainFollowActions = document.getElementById('terrainFollowActions');
 
 let map;
 
@@ -83,14 +1068,59 @@ async function initialize() {
 
   map.addControl(new maplibregl.NavigationControl(), 'top-left');
 
-  map.on('load', () => {
+  map.on('load', async () => {
     setupMapSources();
     bindUiEvents();
-    renderWaypointsList();
-    updateMapVisualization();
+    bindWaypointViews();
+    renderGeoFenceList();
+    renderRallyPointList();
+    bindVehicleProfileInputs();
+    bindWindControls();
+    bindCoordinateControls();
+    bindSurveyEditor();
+    renderSurveyList();
+    bindTerrainInputs();
+    bindTerrainFollowInputs();
+    bindPlanLibrary();
+    bindProfileInteractions();
+    bindDemSettings();
+    bindMavlinkControls();
+    bindTelemetryControls();
+    bindSimulationControls();
+    bindAirspaceControls();
+    const restored = await restoreLastSession();
+    emitWaypointChange({ fit: restored });
+    resetHistory('開始');
   });
 
   map.on('click', (event) => {
+    const [waypoint] = map.getLayer('waypoint-circles')
+      ? map.queryRenderedFeatures(event.point, { layers: ['waypoint-circles'] })
+      : [];
+    if (waypoint && !state.areaDraft) {
+      selectWaypoint(waypoint.id, event.originalEvent, false);
+      return;
+    }
+
+    // Shift is reserved for selecting waypoints
+    if (event.originalEvent.shiftKey) return;
+
+    if (state.areaDraft) {
+      handleAreaDraftClick(event.lngLat);
+      return;
+    }
+
+    if (state.rallyPlacement) {
+      addRallyPoint(event.lngLat.lat, event.lngLat.lng);
+      return;
+    }
+
+    const [midpoint] = map.queryRenderedFeatures(event.point, { layers: ['flight-path-midpoints'] });
+    if (midpoint) {
+      insertWaypointOnSegment(midpoint.properties.segmentIndex, event.lngLat.lat, event.lngLat.lng);
+      return;
+    }
+
     const altitude = Number(defaultAltitudeInput.value) || 0;
     addWaypoint({
       type: newWaypointTypeSelect.value,
@@ -104,9 +1134,48 @@ async function initialize() {
 
 function bindUiEvents() {
   document.getElementById('savePlanBtn').addEventListener('click', handleSavePlan);
+  document.getElementById('exportQgcBtn').addEventListener('click', handleExportQgcPlan);
+  document.getElementById('exportGisBtn').addEventListener('click', handleExportGis);
+  document.getElementById('reportBtn').addEventListener('click', handleOpenReport);
   document.getElementById('loadPlanBtn').addEventListener('click', () => planFileInput.click());
   planFileInput.addEventListener('change', handleLoadPlan);
   toggleFullscreenBtn.addEventListener('click', toggleFullscreen);
+  document.getElementById('drawFencePolygonBtn').addEventListener('click', () => startAreaDraft('fence', 'polygon'));
+  document.getElementById('drawFenceCircleBtn').addEventListener('click', () => startAreaDraft('fence', 'circle'));
+  document.getElementById('finishDrawBtn').addEventListener('click', finishAreaDraft);
+  document.getElementById('cancelDrawBtn').addEventListener('click', cancelAreaDraft);
+  addRallyPointBtn.addEventListener('click', () => setRallyPlacement(!state.rallyPlacement));
+  document.getElementById('drawSurveyBtn').addEventListener('click', () => startAreaDraft('survey', 'polygon'));
+  undoBtn.addEventListener('click', undo);
+  redoBtn.addEventListener('click', redo);
+  bindWaypointSelection();
+  map.on('mousemove', (event) => {
+    if (state.areaDraft) {
+      refreshAreaDraft(event.lngLat);
+    }
+  });
+  document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && state.areaDraft) {
+      cancelAreaDraft();
+    }
+    if (event.key === 'Escape' && state.rallyPlacement) {
+      setRallyPlacement(false);
+    }
+    if (!isEditableTarget(event.target) && state.selectedWaypointIds.size > 0) {
+      handleSelectionKey(event);
+    }
+    // Text fields keep their native undo
+    if ((event.ctrlKey || event.metaKey) && !isEditableTarget(event.target)) {
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    }
+  });
 }
 
 async function getInitialCenter(fallback) {
@@ -139,115 +1208,776 @@ function setupMapSources() {
       type: 'line',
       source: 'flight-path',
       paint: {
-        'line-color': '#ff5c5c',
-        'line-width': 3
+        'line-color': ['case', ['boolean', ['get', 'violation'], false], '#c92a2a', '#ff5c5c'],
+        'line-width': ['case', ['boolean', ['get', 'violation'], false], 6, 3]
       }
     });
   }
-}
-
-function emptyLineString() {
-  return {
-    type: 'Feature',
-    geometry: {
-      type: 'LineString',
-      coordinates: []
-    },
-    properties: {}
-  };
-}
 
-function addWaypoint({ type, latitude, longitude, altitude, note }) {
-  const waypoint = {
-    id: `wp-${Date.now()}-${Math.random().toString(16).slice(2, 7)}`,
-    type,
-    latitude,
-    longitude,
-    altitude,
-    note: note ?? ''
-  };
+  if (!map.getSource('flight-path-midpoints')) {
+    map.addSource('flight-path-midpoints', {
+      type: 'geojson',
+      data: emptyFeatureCollection()
+    });
+  }
 
-  state.waypoints.push(waypoint);
-  renderWaypointsList();
-  updateMapVisualization(true);
-}
+  if (!map.getLayer('flight-path-midpoints')) {
+    map.addLayer({
+      id: 'flight-path-midpoints',
+      type: 'circle',
+      source: 'flight-path-midpoints',
+      paint: {
+        'circle-radius': 5,
+        'circle-color': '#fff',
+        'circle-stroke-color': '#ff5c5c',
+        'circle-stroke-width': 2
+      }
+    });
+  }
 
-function renderWaypointsList() {
-  waypointListElement.innerHTML = '';
+  if (!map.getSource('waypoints')) {
+    map.addSource('waypoints', {
+      type: 'geojson',
+      data: emptyFeatureCollection(),
+      promoteId: 'id'
+    });
+  }
 
-  if (state.waypoints.length === 0) {
-    const empty = document.createElement('p');
-    empty.textContent = 'ウェイポイントがまだありません。マップをクリックして追加してください。';
-    empty.className = 'hint';
-    waypointListElement.appendChild(empty);
-    return;
+  if (!map.getLayer('waypoint-circles')) {
+    map.addLayer({
+      id: 'waypoint-circles',
+      type: 'circle',
+      source: 'waypoints',
+      paint: {
+        'circle-radius': ['case', ['boolean', ['feature-state', 'hover'], false], 10, 8],
+        'circle-color': ['match', ['get', 'type'], ...Object.entries(typeColors).flat(), '#3b3b3b'],
+        'circle-stroke-color': ['case', ['boolean', ['feature-state', 'selected'], false], '#0066cc', '#fff'],
+        'circle-stroke-width': ['case', ['boolean', ['feature-state', 'selected'], false], 4, 2]
+      }
+    });
   }
 
-  const fragment = document.createDocumentFragment();
+  if (!map.getLayer('waypoint-action-badges')) {
+    map.addLayer({
+      id: 'waypoint-action-badges',
+      type: 'symbol',
+      source: 'waypoints',
+      filter: ['!=', ['get', 'actionBadge'], ''],
+      layout: {
+        'icon-image': ['get', 'actionBadge'],
+        'icon-anchor': 'left',
+        'icon-offset': [12, 0],
+        'icon-allow-overlap': true,
+        'icon-ignore-placement': true
+      }
+    });
+  }
 
-  state.waypoints.forEach((wp, index) => {
-    const card = document.createElement('article');
-    card.className = 'waypoint-card';
+  if (!map.getSource('geofence')) {
+    map.addSource('geofence', {
+      type: 'geojson',
+      data: emptyFeatureCollection()
+    });
+  }
 
-    const header = document.createElement('header');
-    const title = document.createElement('h3');
-    title.textContent = `${index + 1}. ${typeLabels[wp.type]}`;
-    header.appendChild(title);
+  if (!map.getLayer('geofence-fill')) {
+    map.addLayer({
+      id: 'geofence-fill',
+      type: 'fill',
+      source: 'geofence',
+      paint: {
+        'fill-color': ['case', ['get', 'inclusion'], '#2b8a3e', '#c92a2a'],
+        'fill-opacity': 0.12
+      }
+    }, 'flight-path-line');
+  }
 
-    const deleteButton = document.createElement('button');
-    deleteButton.textContent = '削除';
-    deleteButton.classList.add('danger');
-    deleteButton.addEventListener('click', () => removeWaypoint(wp.id));
-    header.appendChild(deleteButton);
-    card.appendChild(header);
+  if (!map.getLayer('geofence-line')) {
+    map.addLayer({
+      id: 'geofence-line',
+      type: 'line',
+      source: 'geofence',
+      paint: {
+        'line-color': ['case', ['get', 'inclusion'], '#2b8a3e', '#c92a2a'],
+        'line-width': 2,
+        'line-dasharray': [2, 1]
+      }
+    }, 'flight-path-line');
+  }
 
-    const controls = document.createElement('div');
-    controls.className = 'waypoint-controls';
+  if (!map.getSource('airspace')) {
+    map.addSource('airspace', {
+      type: 'geojson',
+      data: emptyFeatureCollection()
+    });
+  }
 
-    controls.appendChild(createLabeledSelect('種別', wp.type, Object.entries(typeLabels), (value) => updateWaypoint(wp.id, { type: value })));
-    controls.appendChild(createLabeledInput('高度 (m)', 'number', wp.altitude, (value) => updateWaypoint(wp.id, { altitude: Number(value) || 0 }), { min: 0, step: 1 }));
-    controls.appendChild(createLabeledInput('緯度', 'number', wp.latitude.toFixed(7), (value) => updateWaypoint(wp.id, { latitude: parseFloat(value) || wp.latitude }), { step: 'any' }));
-    controls.appendChild(createLabeledInput('経度', 'number', wp.longitude.toFixed(7), (value) => updateWaypoint(wp.id, { longitude: parseFloat(value) || wp.longitude }), { step: 'any' }));
-    controls.appendChild(createLabeledTextarea('備考', wp.note, (value) => updateWaypoint(wp.id, { note: value })));
+  if (!map.getLayer('airspace-fill')) {
+    map.addLayer({
+      id: 'airspace-fill',
+      type: 'fill',
+      source: 'airspace',
+      paint: {
+        'fill-color': ['match', ['get', 'mode'], 'block', '#e03131', '#f59f00'],
+        'fill-opacity': 0.15
+      }
+    }, 'flight-path-line');
+  }
 
-    card.appendChild(controls);
+  if (!map.getLayer('airspace-line')) {
+    map.addLayer({
+      id: 'airspace-line',
+      type: 'line',
+      source: 'airspace',
+      paint: {
+        'line-color': ['match', ['get', 'mode'], 'block', '#e03131', '#f59f00'],
+        'line-width': 1.5
+      }
+    }, 'flight-path-line');
+  }
 
-    const actions = document.createElement('div');
-    actions.className = 'waypoint-actions';
+  if (!map.getSource('wind-arrows')) {
+    map.addSource('wind-arrows', {
+      type: 'geojson',
+      data: emptyFeatureCollection()
+    });
+  }
 
-    const upBtn = document.createElement('button');
-    upBtn.textContent = '↑';
-    upBtn.classList.add('secondary');
-    upBtn.disabled = index === 0;
-    upBtn.addEventListener('click', () => moveWaypoint(index, index - 1));
+  if (!map.getLayer('wind-arrows')) {
+    map.addLayer({
+      id: 'wind-arrows',
+      type: 'line',
+      source: 'wind-arrows',
+      layout: {
+        'line-cap': 'round',
+        'line-join': 'round'
+      },
+      paint: {
+        'line-color': ['case', ['get', 'exceeded'], '#d9480f', '#1864ab'],
+        'line-width': 2
+      }
+    });
+  }
 
-    const downBtn = document.createElement('button');
-    downBtn.textContent = '↓';
-    downBtn.classList.add('secondary');
-    downBtn.disabled = index === state.waypoints.length - 1;
-    downBtn.addEventListener('click', () => moveWaypoint(index, index + 1));
+  if (!map.getSource('surveys')) {
+    map.addSource('surveys', {
+      type: 'geojson',
+      data: emptyFeatureCollection()
+    });
+  }
 
-    actions.appendChild(upBtn);
-    actions.appendChild(downBtn);
-    card.appendChild(actions);
+  if (!map.getLayer('survey-area-fill')) {
+    map.addLayer({
+      id: 'survey-area-fill',
+      type: 'fill',
+      source: 'surveys',
+      paint: {
+        'fill-color': '#1c7ed6',
+        'fill-opacity': ['case', ['get', 'selected'], 0.2, 0.1]
+      }
+    }, 'flight-path-line');
+  }
 
-    fragment.appendChild(card);
-  });
+  if (!map.getLayer('survey-area-line')) {
+    map.addLayer({
+      id: 'survey-area-line',
+      type: 'line',
+      source: 'surveys',
+      paint: {
+        'line-color': '#1c7ed6',
+        'line-width': 2
+      }
+    }, 'flight-path-line');
+  }
 
-  waypointListElement.appendChild(fragment);
-}
+  if (!map.getSource('area-draft')) {
+    map.addSource('area-draft', {
+      type: 'geojson',
+      data: emptyFeatureCollection()
+    });
+  }
 
-function createLabeledInput(labelText, type, value, onChange, attrs = {}) {
-  const wrapper = document.createElement('label');
-  wrapper.textContent = labelText;
-  const input = document.createElement('input');
-  input.type = type;
-  input.value = value;
-  Object.entries(attrs).forEach(([key, val]) => input.setAttribute(key, val));
-  input.addEventListener('change', (event) => onChange(event.target.value));
-  wrapper.appendChild(input);
-  return wrapper;
-}
+  if (!map.getLayer('area-draft-line')) {
+    map.addLayer({
+      id: 'area-draft-line',
+      type: 'line',
+      source: 'area-draft',
+      paint: {
+        'line-color': '#1c7ed6',
+        'line-width': 2,
+        'line-dasharray': [1, 1]
+      }
+    });
+  }
+
+  if (!map.getSource('reachability')) {
+    map.addSource('reachability', {
+      type: 'geojson',
+      data: emptyFeatureCollection()
+    });
+  }
+
+  if (!map.getLayer('reachability-violation-line')) {
+    map.addLayer({
+      id: 'reachability-violation-line',
+      type: 'line',
+      source: 'reachability',
+      layout: {
+        'line-cap': 'round'
+      },
+      paint: {
+        'line-color': '#f76707',
+        'line-width': 12,
+        'line-opacity': 0.35
+      }
+    }, 'flight-path-line');
+  }
+
+  if (!map.getSource('flight-path-3d')) {
+    map.addSource('flight-path-3d', {
+      type: 'geojson',
+      data: emptyFeatureCollection()
+    });
+  }
+
+  if (!map.getLayer('flight-path-3d-curtain')) {
+    map.addLayer({
+      id: 'flight-path-3d-curtain',
+      type: 'fill-extrusion',
+      source: 'flight-path-3d',
+      layout: { visibility: 'none' },
+      paint: {
+        'fill-extrusion-color': '#ff5c5c',
+        'fill-extrusion-base': 0,
+        'fill-extrusion-height': ['get', 'base'],
+        'fill-extrusion-opacity': 0.15
+      }
+    });
+  }
+
+  if (!map.getLayer('flight-path-3d-ribbon')) {
+    map.addLayer({
+      id: 'flight-path-3d-ribbon',
+      type: 'fill-extrusion',
+      source: 'flight-path-3d',
+      layout: { visibility: 'none' },
+      paint: {
+        'fill-extrusion-color': '#ff5c5c',
+        'fill-extrusion-base': ['get', 'base'],
+        'fill-extrusion-height': ['get', 'top'],
+        'fill-extrusion-opacity': 0.9
+      }
+    });
+  }
+
+  if (!map.getSource('simulation-vehicle-3d')) {
+    map.addSource('simulation-vehicle-3d', {
+      type: 'geojson',
+      data: emptyFeatureCollection()
+    });
+  }
+
+  if (!map.getLayer('simulation-vehicle-3d-box')) {
+    map.addLayer({
+      id: 'simulation-vehicle-3d-box',
+      type: 'fill-extrusion',
+      source: 'simulation-vehicle-3d',
+      layout: { visibility: 'none' },
+      paint: {
+        'fill-extrusion-color': '#f08c00',
+        'fill-extrusion-base': ['get', 'base'],
+        'fill-extrusion-height': ['get', 'top']
+      }
+    });
+  }
+
+  if (!map.getSource('telemetry-trail')) {
+    map.addSource('telemetry-trail', {
+      type: 'geojson',
+      data: emptyLineString()
+    });
+  }
+
+  if (!map.getLayer('telemetry-trail-line')) {
+    map.addLayer({
+      id: 'telemetry-trail-line',
+      type: 'line',
+      source: 'telemetry-trail',
+      paint: {
+        'line-color': '#2f9e44',
+        'line-width': 3,
+        'line-opacity': 0.8
+      }
+    });
+  }
+}
+
+function emptyLineString() {
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: []
+    },
+    properties: {}
+  };
+}
+
+function emptyFeatureCollection() {
+  return {
+    type: 'FeatureCollection',
+    features: []
+  };
+}
+
+function createId(prefix) {
+  return `${prefix}-${Date.now()}-${Math.random().toString(16).slice(2, 7)}`;
+}
+
+// Waypoint edits are announced here; views subscribe instead of being rebuilt by every caller.
+// A change with ids keeps the order and touches only those waypoints.
+function onWaypointChange(listener) {
+  waypointListeners.add(listener);
+  return () => waypointListeners.delete(listener);
+}
+
+function emitWaypointChange(change = {}) {
+  waypointListeners.forEach((listener) => listener(change));
+}
+
+function bindWaypointViews() {
+  onWaypointChange((change) => (change.ids ? patchWaypointCards() : renderWaypointsList()));
+  onWaypointChange((change) => updateMapVisualization(change.fit, change.ids));
+  waypointScrollContainer.addEventListener('scroll', scheduleWaypointWindow, { passive: true });
+  window.addEventListener('resize', scheduleWaypointWindow);
+  bindWaypointLayerEvents();
+}
+
+function addWaypoint({ type, latitude, longitude, altitude, note }) {
+  const waypoint = {
+    id: createId('wp'),
+    type,
+    latitude,
+    longitude,
+    altitude,
+    note: note ?? ''
+  };
+
+  state.waypoints.push(waypoint);
+  recordHistory(`${typeLabels[type]}を追加`);
+  emitWaypointChange({ fit: true });
+}
+
+// The card list is virtualized: only cards near the scrolled viewport exist in the
+// DOM, between two spacers sized from measured (or estimated) card heights.
+function renderWaypointsList() {
+  refreshPlanChecks();
+  pruneWaypointSelection();
+  waypointListElement.innerHTML = '';
+  state.estimateElements.clear();
+  state.waypointList.cards.clear();
+  state.waypointList.range = null;
+  state.waypointList.spacers = null;
+
+  if (state.waypoints.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = 'ウェイポイントがまだありません。マップをクリックして追加してください。';
+    empty.className = 'hint';
+    waypointListElement.appendChild(empty);
+    renderWaypointSelection();
+    return;
+  }
+
+  state.waypointList.spacers = [createListSpacer(), createListSpacer()];
+  waypointListElement.append(...state.waypointList.spacers);
+  renderWaypointWindow();
+  renderWaypointSelection();
+}
+
+function createListSpacer() {
+  const spacer = document.createElement('div');
+  spacer.className = 'waypoint-list-spacer';
+  return spacer;
+}
+
+function waypointCardHeight(wp) {
+  return (state.waypointList.heights.get(wp.id) ?? WAYPOINT_CARD_ESTIMATED_HEIGHT) + WAYPOINT_CARD_GAP;
+}
+
+function visibleWaypointRange() {
+  const containerRect = waypointScrollContainer.getBoundingClientRect();
+  const listRect = waypointListElement.getBoundingClientRect();
+  const top = containerRect.top - listRect.top;
+  const bottom = top + waypointScrollContainer.clientHeight;
+
+  let offset = 0;
+  let first = state.waypoints.length;
+  let last = state.waypoints.length - 1;
+  for (let i = 0; i < state.waypoints.length; i += 1) {
+    const height = waypointCardHeight(state.waypoints[i]);
+    if (first === state.waypoints.length && offset + height >= top) first = i;
+    if (offset > bottom) {
+      last = i - 1;
+      break;
+    }
+    offset += height;
+  }
+  first = Math.min(first, state.waypoints.length - 1);
+  return [
+    Math.max(0, first - WAYPOINT_LIST_OVERSCAN),
+    Math.min(state.waypoints.length - 1, Math.max(first, last) + WAYPOINT_LIST_OVERSCAN)
+  ];
+}
+
+// Cards that stay in range are kept as they are so a focused field survives scrolling
+function renderWaypointWindow() {
+  const list = state.waypointList;
+  if (!list.spacers) return;
+  const [first, last] = visibleWaypointRange();
+  if (list.range && list.range[0] === first && list.range[1] === last) return;
+  list.range = [first, last];
+
+  const visibleIds = new Set(state.waypoints.slice(first, last + 1).map((wp) => wp.id));
+  list.cards.forEach((card, id) => {
+    if (visibleIds.has(id)) return;
+    card.remove();
+    list.cards.delete(id);
+    state.estimateElements.delete(id);
+  });
+
+  const [topSpacer, bottomSpacer] = list.spacers;
+  let cursor = topSpacer;
+  for (let index = first; index <= last; index += 1) {
+    const wp = state.waypoints[index];
+    let card = list.cards.get(wp.id);
+    if (!card) {
+      card = createWaypointCard(wp, index);
+      list.cards.set(wp.id, card);
+      cursor.after(card);
+    }
+    cursor = card;
+  }
+
+  const sumHeights = (waypoints) => waypoints.reduce((sum, wp) => sum + waypointCardHeight(wp), 0);
+  topSpacer.style.height = `${sumHeights(state.waypoints.slice(0, first))}px`;
+  bottomSpacer.style.height = `${sumHeights(state.waypoints.slice(last + 1))}px`;
+  list.cards.forEach((card, id) => {
+    if (card.offsetHeight > 0) list.heights.set(id, card.offsetHeight);
+  });
+}
+
+function scheduleWaypointWindow() {
+  if (state.waypointList.framePending) return;
+  state.waypointList.framePending = true;
+  requestAnimationFrame(() => {
+    state.waypointList.framePending = false;
+    renderWaypointWindow();
+  });
+}
+
+// Edits that keep the order patch the rendered cards in place, leaving the field being typed in alone.
+// Checks such as the mission sequence can change on cards other than the edited one.
+function patchWaypointCards() {
+  refreshPlanChecks();
+  state.waypoints.forEach((wp, index) => {
+    const card = state.waypointList.cards.get(wp.id);
+    if (!card) return;
+
+    card.querySelector('h3').textContent = waypointCardTitle(wp, index);
+    card.querySelectorAll('[data-field]').forEach((field) => {
+      if (field === document.activeElement) return;
+      field.value = waypointFieldValue(wp, field.dataset.field);
+    });
+    card.querySelector('[data-field="altitude"]').parentElement.firstChild.nodeValue = `高度 (m, ${altitudeReferenceLabels[effectiveAltitudeReference(wp)]})`;
+    card.querySelectorAll('[data-field="planeX"], [data-field="planeY"]').forEach((field) => {
+      field.parentElement.firstChild.nodeValue = planeFieldLabel(wp, field.dataset.field);
+    });
+    patchMissionActionList(card.querySelector('.mission-action-list'), wp);
+    card.querySelector('.waypoint-issues')?.remove();
+    card.classList.remove('has-violation', 'has-warning');
+    const issues = waypointCardIssues(index);
+    if (issues.length > 0) {
+      card.classList.add(issues.some((issue) => issue.severity === 'error') ? 'has-violation' : 'has-warning');
+      card.querySelector('.waypoint-controls').after(createIssueList(issues));
+    }
+  });
+  renderWaypointSelection();
+}
+
+function scrollToWaypointCard(id) {
+  const index = state.waypoints.findIndex((wp) => wp.id === id);
+  if (index === -1) return;
+  const rendered = state.waypointList.cards.get(id);
+  if (rendered) {
+    rendered.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    return;
+  }
+  const offset = state.waypoints.slice(0, index).reduce((sum, wp) => sum + waypointCardHeight(wp), 0);
+  const listTop = waypointListElement.getBoundingClientRect().top - waypointScrollContainer.getBoundingClientRect().top + waypointScrollContainer.scrollTop;
+  waypointScrollContainer.scrollTop = listTop + offset;
+  renderWaypointWindow();
+}
+
+function waypointCardTitle(wp, index) {
+  const surveyIndex = wp.surveyId ? state.surveys.findIndex((survey) => survey.id === wp.surveyId) : -1;
+  return surveyIndex === -1
+    ? `${index + 1}. ${typeLabels[wp.type]}`
+    : `${index + 1}. ${typeLabels[wp.type]}（サーベイ ${surveyIndex + 1}）`;
+}
+
+function waypointFieldValue(wp, field) {
+  switch (field) {
+    case 'altitudeReference':
+      return wp.altitudeReference ?? '';
+    case 'latitude':
+    case 'longitude':
+      return state.coordinateSettings.format === 'dms' ? formatDms(wp[field], field === 'longitude') : wp[field].toFixed(7);
+    case 'planeX':
+    case 'planeY': {
+      const { x, y } = planeFromLatLon(wp.latitude, wp.longitude, waypointPlaneZone(wp));
+      return (field === 'planeX' ? x : y).toFixed(3);
+    }
+    case 'mgrs':
+      return mgrsFromLatLon(wp.latitude, wp.longitude) ?? '';
+    default:
+      return wp[field];
+  }
+}
+
+function waypointCardIssues(index) {
+  return [
+    ...(state.fenceViolations.get(index) ?? []).map((violation) => ({ severity: 'error', message: `次の区間: ${violation.message}` })),
+    ...state.sequenceIssues.filter((issue) => issue.index === index)
+  ];
+}
+
+function withField(wrapper, field) {
+  wrapper.lastChild.dataset.field = field;
+  return wrapper;
+}
+
+function createWaypointCard(wp, index) {
+  const card = document.createElement('article');
+  card.className = 'waypoint-card';
+  card.dataset.waypointId = wp.id;
+  if (wp.id === state.telemetry.activeWaypointId) card.classList.add('mission-active');
+  card.classList.toggle('selected', state.selectedWaypointIds.has(wp.id));
+  bindWaypointCardDrop(card, index);
+
+  const header = document.createElement('header');
+  const title = document.createElement('h3');
+  title.className = 'waypoint-handle';
+  title.draggable = true;
+  title.title = 'クリックで選択（Shift で範囲、Ctrl で追加）、ドラッグで並べ替え';
+  title.addEventListener('click', (event) => selectWaypoint(wp.id, event, true));
+  title.addEventListener('dragstart', (event) => {
+    event.dataTransfer.setData('text/plain', wp.id);
+    event.dataTransfer.effectAllowed = 'move';
+  });
+  title.textContent = waypointCardTitle(wp, index);
+  header.appendChild(title);
+
+  const deleteButton = document.createElement('button');
+  deleteButton.textContent = '削除';
+  deleteButton.classList.add('danger');
+  deleteButton.addEventListener('click', () => removeWaypoint(wp.id));
+  header.appendChild(deleteButton);
+  card.appendChild(header);
+
+  const controls = document.createElement('div');
+  controls.className = 'waypoint-controls';
+
+  controls.appendChild(withField(createLabeledSelect('種別', wp.type, Object.entries(typeLabels), (value) => updateWaypoint(wp.id, { type: value })), 'type'));
+  controls.appendChild(withField(createLabeledInput(`高度 (m, ${altitudeReferenceLabels[effectiveAltitudeReference(wp)]})`, 'number', wp.altitude, (value) => updateWaypoint(wp.id, { altitude: Number(value) || 0 }), { min: 0, step: 1 }), 'altitude'));
+  controls.appendChild(withField(createLabeledSelect('高度基準', wp.altitudeReference ?? '', [
+    ['', `プラン既定（${altitudeReferenceLabels[state.altitudeReference]}）`],
+    ...Object.entries(altitudeReferenceLabels)
+  ], (value) => changeWaypointAltitudeReference(wp.id, value || null)), 'altitudeReference'));
+  createPositionInputs(wp).forEach((input) => controls.appendChild(input));
+  controls.appendChild(withField(createLabeledTextarea('備考', wp.note, (value) => updateWaypoint(wp.id, { note: value })), 'note'));
+
+  card.appendChild(controls);
+  card.appendChild(createMissionActionList(wp));
+
+  const issues = waypointCardIssues(index);
+  if (issues.length > 0) {
+    card.classList.add(issues.some((issue) => issue.severity === 'error') ? 'has-violation' : 'has-warning');
+    card.appendChild(createIssueList(issues));
+  }
+
+  if (wp.preservedItems?.length) {
+    card.appendChild(createPreservedItemsList(wp.preservedItems));
+  }
+
+  const estimate = document.createElement('p');
+  estimate.className = 'analysis-summary waypoint-estimate';
+  fillWaypointEstimate(estimate, wp.id);
+  state.estimateElements.set(wp.id, estimate);
+  card.appendChild(estimate);
+
+  const actions = document.createElement('div');
+  actions.className = 'waypoint-actions';
+
+  const upBtn = document.createElement('button');
+  upBtn.textContent = '↑';
+  upBtn.classList.add('secondary');
+  upBtn.disabled = index === 0;
+  upBtn.addEventListener('click', () => moveWaypoint(index, index - 1));
+
+  const downBtn = document.createElement('button');
+  downBtn.textContent = '↓';
+  downBtn.classList.add('secondary');
+  downBtn.disabled = index === state.waypoints.length - 1;
+  downBtn.addEventListener('click', () => moveWaypoint(index, index + 1));
+
+  actions.appendChild(upBtn);
+  if (index < state.waypoints.length - 1) {
+    const followBtn = document.createElement('button');
+    followBtn.textContent = '次の区間を地形追従';
+    followBtn.classList.add('secondary');
+    followBtn.addEventListener('click', () => previewTerrainFollow(index));
+    actions.appendChild(followBtn);
+  }
+  actions.appendChild(downBtn);
+  card.appendChild(actions);
+
+  return card;
+}
+
+function missionActionSignature(wp) {
+  return (wp.actions ?? []).map((action) => action.type).join(',');
+}
+
+function createMissionActionList(wp) {
+  const section = document.createElement('div');
+  section.className = 'mission-action-list';
+  section.dataset.signature = missionActionSignature(wp);
+
+  (wp.actions ?? []).forEach((action, index) => {
+    const definition = waypointActionTypes[action.type];
+    const item = document.createElement('div');
+    item.className = 'mission-action';
+
+    const title = document.createElement('span');
+    title.className = 'mission-action-title';
+    title.textContent = `${definition.icon} ${definition.label}`;
+    item.appendChild(title);
+
+    definition.fields.forEach((field) => {
+      const onChange = (value) => updateMissionAction(wp.id, index, field.key, Number(value));
+      const wrapper = field.options
+        ? createLabeledSelect(field.label, String(action[field.key]), field.options.map(([value, text]) => [String(value), text]), onChange)
+        : createLabeledInput(field.label, 'number', action[field.key], onChange, field.min == null ? { step: field.step } : { min: field.min, step: field.step });
+      Object.assign(wrapper.lastChild.dataset, { actionIndex: index, actionField: field.key });
+      item.appendChild(wrapper);
+    });
+
+    const removeButton = document.createElement('button');
+    removeButton.textContent = '削除';
+    removeButton.classList.add('secondary');
+    removeButton.addEventListener('click', () => removeMissionAction(wp.id, index));
+    item.appendChild(removeButton);
+    section.appendChild(item);
+  });
+
+  section.appendChild(createLabeledSelect('アクションを追加', '', [
+    ['', '選択してください'],
+    ...Object.entries(waypointActionTypes).map(([type, definition]) => [type, `${definition.icon} ${definition.label}`])
+  ], (value) => {
+    if (value) addMissionAction(wp.id, value);
+  }));
+  return section;
+}
+
+// Rebuilt when actions are added or removed, otherwise only the values change
+function patchMissionActionList(section, wp) {
+  if (section.dataset.signature !== missionActionSignature(wp)) {
+    section.replaceWith(createMissionActionList(wp));
+    return;
+  }
+  section.querySelectorAll('[data-action-field]').forEach((field) => {
+    if (field === document.activeElement) return;
+    field.value = String(wp.actions[Number(field.dataset.actionIndex)][field.dataset.actionField]);
+  });
+}
+
+// Adding and removing get their own history entries; only value edits coalesce
+function replaceMissionActions(id, actions, label) {
+  const index = state.waypoints.findIndex((wp) => wp.id === id);
+  state.waypoints[index].actions = actions;
+  recordHistory(`地点 ${index + 1}: ${label}`);
+  emitWaypointChange({ ids: [id] });
+}
+
+function addMissionAction(id, type) {
+  const wp = state.waypoints.find((item) => item.id === id);
+  if (!wp) return;
+  const definition = waypointActionTypes[type];
+  const action = { type };
+  definition.fields.forEach((field) => {
+    action[field.key] = typeof field.value === 'function' ? field.value(wp) : field.value;
+  });
+  replaceMissionActions(id, [...(wp.actions ?? []), action], `${definition.label}を追加`);
+}
+
+function updateMissionAction(id, index, key, value) {
+  const wp = state.waypoints.find((item) => item.id === id);
+  const action = wp?.actions?.[index];
+  if (!action) return;
+  const definition = waypointActionTypes[action.type];
+  const field = definition.fields.find((entry) => entry.key === key);
+  const updated = Number.isFinite(value) ? Math.max(field.min ?? -Infinity, value) : action[key];
+  const actions = wp.actions.map((entry, i) => (i === index ? { ...entry, [key]: updated } : entry));
+  updateWaypoint(id, { actions }, `${definition.label}を編集`);
+}
+
+function removeMissionAction(id, index) {
+  const wp = state.waypoints.find((item) => item.id === id);
+  const action = wp?.actions?.[index];
+  if (!action) return;
+  replaceMissionActions(id, wp.actions.filter((_, i) => i !== index), `${waypointActionTypes[action.type].label}を削除`);
+}
+
+function refreshPlanChecks() {
+  state.sequenceIssues = checkMissionSequence(state.waypoints, state.altitudeReference);
+  state.fenceViolations = checkGeoFenceViolations(state.waypoints, state.geoFence);
+}
+
+function createIssueList(issues) {
+  const list = document.createElement('ul');
+  list.className = 'waypoint-issues';
+  issues.forEach((issue) => {
+    const entry = document.createElement('li');
+    entry.className = issue.severity;
+    entry.textContent = issue.message;
+    list.appendChild(entry);
+  });
+  return list;
+}
+
+function createPreservedItemsList(items) {
+  const list = document.createElement('ul');
+  list.className = 'preserved-items';
+  list.title = '読み込んだプランから引き継いだコマンドです。書き出し時にそのまま出力されます。';
+  items.forEach((item) => {
+    const entry = document.createElement('li');
+    entry.textContent = `MAV_CMD ${item.command} (変更不可)`;
+    list.appendChild(entry);
+  });
+  return list;
+}
+
+function createLabeledInput(labelText, type, value, onChange, attrs = {}) {
+  const wrapper = document.createElement('label');
+  wrapper.textContent = labelText;
+  const input = document.createElement('input');
+  input.type = type;
+  input.value = value;
+  Object.entries(attrs).forEach(([key, val]) => input.setAttribute(key, val));
+  input.addEventListener('change', (event) => onChange(event.target.value));
+  wrapper.appendChild(input);
+  return wrapper;
+}
 
 function createLabeledSelect(labelText, selectedValue, options, onChange) {
   const wrapper = document.createElement('label');
@@ -282,78 +2012,2656 @@ function moveWaypoint(fromIndex, toIndex) {
   if (toIndex < 0 || toIndex >= state.waypoints.length) return;
   const [item] = state.waypoints.splice(fromIndex, 1);
   state.waypoints.splice(toIndex, 0, item);
-  renderWaypointsList();
-  updateMapVisualization();
+  recordHistory(`地点 ${fromIndex + 1} を ${toIndex + 1} 番目へ移動`);
+  emitWaypointChange();
 }
 
-function updateWaypoint(id, updates) {
-  const waypoint = state.waypoints.find((wp) => wp.id === id);
-  if (!waypoint) return;
-  Object.assign(waypoint, updates);
-  renderWaypointsList();
-  updateMapVisualization();
+function updateWaypoint(id, updates, label = '編集') {
+  const index = state.waypoints.findIndex((wp) => wp.id === id);
+  if (index === -1) return;
+  Object.assign(state.waypoints[index], updates);
+  recordHistory(`地点 ${index + 1}: ${label}`, `waypoint:${id}:${Object.keys(updates).join(',')}`);
+  emitWaypointChange({ ids: [id] });
 }
 
 function removeWaypoint(id) {
+  const index = state.waypoints.findIndex((wp) => wp.id === id);
   state.waypoints = state.waypoints.filter((wp) => wp.id !== id);
-  renderWaypointsList();
-  updateMapVisualization();
+  recordHistory(`地点 ${index + 1}: 削除`);
+  emitWaypointChange();
 }
 
-function updateMapVisualization(fitToFlight = false) {
-  refreshMarkers();
-  refreshPath();
-  updateElevationProfile();
-  if (fitToFlight) {
-    fitMapToFlightPath();
-  }
-}
+function bindWaypointSelection() {
+  Object.entries(typeLabels).forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    bulkTypeSelect.appendChild(option);
+  });
+  document.getElementById('applyBulkEditBtn').addEventListener('click', applyBulkEdit);
+  document.getElementById('deleteSelectionBtn').addEventListener('click', () => removeWaypoints([...state.selectedWaypointIds]));
+  document.getElementById('clearSelectionBtn').addEventListener('click', () => setWaypointSelection([]));
+  document.getElementById('reverseRouteBtn').addEventListener('click', reverseRoute);
 
-function refreshMarkers() {
-  for (const marker of state.markers.values()) {
-    marker.remove();
-  }
-  state.markers.clear();
+  map.on('mouseenter', 'flight-path-midpoints', () => {
+    map.getCanvas().style.cursor = 'copy';
+  });
+  map.on('mouseleave', 'flight-path-midpoints', () => {
+    map.getCanvas().style.cursor = '';
+  });
+  map.on('mousedown', 'flight-path-midpoints', (event) => {
+    if (event.originalEvent.shiftKey || state.areaDraft) return;
+    event.preventDefault();
+    state.pathInsertDrag = { segmentIndex: event.features[0].properties.segmentIndex, point: event.point, moved: false };
+  });
+  map.on('mousemove', (event) => {
+    const drag = state.pathInsertDrag;
+    if (!drag) return;
+    drag.moved = drag.moved || Math.hypot(event.point.x - drag.point.x, event.point.y - drag.point.y) > 3;
+    if (drag.moved) refreshPathMidpoints(event.lngLat);
+  });
+  map.on('mouseup', (event) => {
+    const drag = state.pathInsertDrag;
+    state.pathInsertDrag = null;
+    // Without movement the map click inserts at the midpoint instead
+    if (drag?.moved) insertWaypointOnSegment(drag.segmentIndex, event.lngLat.lat, event.lngLat.lng);
+  });
 
-  state.waypoints.forEach((wp) => {
-    const marker = new maplibregl.Marker({
-      color: typeColors[wp.type] ?? '#3b3b3b',
-      draggable: true
-    })
-      .setLngLat([wp.longitude, wp.latitude])
-      .addTo(map);
+  map.boxZoom.disable();
+  map.getCanvasContainer().addEventListener('mousedown', startBoxSelect);
+}
 
-    marker.on('dragend', () => {
-      const lngLat = marker.getLngLat();
-      updateWaypoint(wp.id, { latitude: lngLat.lat, longitude: lngLat.lng });
-    });
+function insertWaypointOnSegment(segmentIndex, latitude, longitude) {
+  const start = state.waypoints[segmentIndex];
+  const end = state.waypoints[segmentIndex + 1];
+  if (!start || !end) return;
 
-    marker.getElement().setAttribute('title', `${typeLabels[wp.type]}\n高度: ${wp.altitude}m`);
+  const total = haversineDistance(start.latitude, start.longitude, end.latitude, end.longitude);
+  const t = total > 0 ? Math.min(1, haversineDistance(start.latitude, start.longitude, latitude, longitude) / total) : 0.5;
+  const sameReference = effectiveAltitudeReference(start) === effectiveAltitudeReference(end);
+  const waypoint = {
+    id: createId('wp'),
+    type: newWaypointTypeSelect.value,
+    latitude,
+    longitude,
+    altitude: sameReference ? Math.round(interpolateCoordinate(start.altitude, end.altitude, t)) : start.altitude,
+    note: ''
+  };
+  if (start.altitudeReference) waypoint.altitudeReference = start.altitudeReference;
 
-    state.markers.set(wp.id, marker);
-  });
+  state.waypoints.splice(segmentIndex + 1, 0, waypoint);
+  state.selectedWaypointIds = new Set([waypoint.id]);
+  state.selectionAnchorId = waypoint.id;
+  recordHistory(`地点 ${segmentIndex + 2} に${typeLabels[waypoint.type]}を挿入`);
+  emitWaypointChange();
 }
 
-function refreshPath() {
-  const source = map.getSource('flight-path');
-  if (!source) return;
+// List clicks support range selection; map clicks toggle with Shift as there is no order on the map
+function selectWaypoint(id, event, fromList) {
+  const selected = state.selectedWaypointIds;
+  if (fromList && event.shiftKey && state.selectionAnchorId) {
+    const ids = state.waypoints.map((wp) => wp.id);
+    const [from, to] = [ids.indexOf(state.selectionAnchorId), ids.indexOf(id)].sort((a, b) => a - b);
+    if (from !== -1) {
+      setWaypointSelection(ids.slice(from, to + 1), state.selectionAnchorId);
+      return;
+    }
+  }
 
-  const coordinates = state.waypoints.map((wp) => [wp.longitude, wp.latitude]);
-  source.setData({
-    type: 'Feature',
-    geometry: {
-      type: 'LineString',
-      coordinates
-    },
-    properties: {}
-  });
+  if (event.shiftKey || event.ctrlKey || event.metaKey) {
+    const next = new Set(selected);
+    if (next.has(id)) {
+      next.delete(id);
+    } else {
+      next.add(id);
+    }
+    setWaypointSelection([...next], id);
+  } else {
+    setWaypointSelection(selected.size === 1 && selected.has(id) ? [] : [id], id);
+  }
 }
 
-function fitMapToFlightPath() {
-  if (state.waypoints.length < 2) return;
-  const bounds = new maplibregl.LngLatBounds();
-  state.waypoints.forEach((wp) => bounds.extend([wp.longitude, wp.latitude]));
-  map.fitBounds(bounds, { padding: 60, duration: 1000 });
+function setWaypointSelection(ids, anchorId = null) {
+  state.selectedWaypointIds = new Set(ids);
+  state.selectionAnchorId = anchorId;
+  renderWaypointSelection();
+}
+
+function pruneWaypointSelection() {
+  const ids = new Set(state.waypoints.map((wp) => wp.id));
+  state.selectedWaypointIds = new Set([...state.selectedWaypointIds].filter((id) => ids.has(id)));
+  if (!ids.has(state.selectionAnchorId)) state.selectionAnchorId = null;
+}
+
+function renderWaypointSelection() {
+  const selected = state.selectedWaypointIds;
+  if (map.getSource('waypoints')) {
+    map.removeFeatureState({ source: 'waypoints' }, 'selected');
+    selected.forEach((id) => map.setFeatureState({ source: 'waypoints', id }, { selected: true }));
+  }
+  waypointListElement.querySelectorAll('.waypoint-card').forEach((card) => {
+    card.classList.toggle('selected', selected.has(card.dataset.waypointId));
+  });
+
+  selectionPanel.hidden = selected.size === 0;
+  selectionSummary.textContent = `${selected.size} 地点を選択中`;
+  // Arrow keys nudge the selection instead of panning the map
+  if (selected.size > 0) {
+    map.keyboard.disable();
+  } else {
+    map.keyboard.enable();
+  }
+}
+
+function startBoxSelect(event) {
+  if (!event.shiftKey || event.button !== 0 || state.areaDraft) return;
+  const container = map.getCanvasContainer();
+  const rect = container.getBoundingClientRect();
+  const origin = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  const box = document.createElement('div');
+  box.className = 'box-select';
+  container.appendChild(box);
+  map.dragPan.disable();
+  event.preventDefault();
+
+  let current = origin;
+  const onMove = (moveEvent) => {
+    current = { x: moveEvent.clientX - rect.left, y: moveEvent.clientY - rect.top };
+    Object.assign(box.style, {
+      left: `${Math.min(origin.x, current.x)}px`,
+      top: `${Math.min(origin.y, current.y)}px`,
+      width: `${Math.abs(current.x - origin.x)}px`,
+      height: `${Math.abs(current.y - origin.y)}px`
+    });
+  };
+  const onUp = () => {
+    document.removeEventListener('mousemove', onMove);
+    document.removeEventListener('mouseup', onUp);
+    box.remove();
+    map.dragPan.enable();
+    if (Math.abs(current.x - origin.x) < 3 && Math.abs(current.y - origin.y) < 3) return;
+
+    const [minX, maxX] = [origin.x, current.x].sort((a, b) => a - b);
+    const [minY, maxY] = [origin.y, current.y].sort((a, b) => a - b);
+    const inside = state.waypoints.filter((wp) => {
+      const { x, y } = map.project([wp.longitude, wp.latitude]);
+      return x >= minX && x <= maxX && y >= minY && y <= maxY;
+    });
+    setWaypointSelection([...state.selectedWaypointIds, ...inside.map((wp) => wp.id)], state.selectionAnchorId);
+  };
+  document.addEventListener('mousemove', onMove);
+  document.addEventListener('mouseup', onUp);
+}
+
+function bindWaypointCardDrop(card, index) {
+  card.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    card.classList.add('drop-target');
+  });
+  card.addEventListener('dragleave', () => card.classList.remove('drop-target'));
+  card.addEventListener('drop', (event) => {
+    event.preventDefault();
+    card.classList.remove('drop-target');
+    const fromIndex = state.waypoints.findIndex((wp) => wp.id === event.dataTransfer.getData('text/plain'));
+    if (fromIndex !== -1 && fromIndex !== index) moveWaypoint(fromIndex, index);
+  });
+}
+
+function handleSelectionKey(event) {
+  const step = event.shiftKey ? NUDGE_STEP_LARGE_METERS : NUDGE_STEP_METERS;
+  const offsets = {
+    ArrowUp: [step, 0],
+    ArrowDown: [-step, 0],
+    ArrowRight: [0, step],
+    ArrowLeft: [0, -step]
+  };
+  if (offsets[event.key] && !event.ctrlKey && !event.metaKey && !event.altKey) {
+    event.preventDefault();
+    moveSelectedWaypoints(...offsets[event.key], true);
+  } else if (event.key === 'Delete' || event.key === 'Backspace') {
+    event.preventDefault();
+    removeWaypoints([...state.selectedWaypointIds]);
+  } else if (event.key === 'Escape') {
+    setWaypointSelection([]);
+  }
+}
+
+function moveSelectedWaypoints(north, east, nudge = false) {
+  const ids = state.selectedWaypointIds;
+  state.waypoints.forEach((wp) => {
+    if (!ids.has(wp.id)) return;
+    [wp.latitude, wp.longitude] = unprojectFromMeters([east, north], [wp.latitude, wp.longitude]);
+  });
+  // Repeated key presses collapse into one history entry
+  recordHistory(`${ids.size} 地点を移動`, nudge ? `nudge:${[...ids].join(',')}` : null);
+  emitWaypointChange({ ids: [...ids] });
+}
+
+function removeWaypoints(ids) {
+  if (ids.length === 0) return;
+  if (ids.length > 1 && !confirm(`選択した ${ids.length} 地点を削除しますか？`)) return;
+  const removed = new Set(ids);
+  state.waypoints = state.waypoints.filter((wp) => !removed.has(wp.id));
+  recordHistory(`${ids.length} 地点を削除`);
+  emitWaypointChange();
+}
+
+function applyBulkEdit() {
+  const ids = state.selectedWaypointIds;
+  const altitude = document.getElementById('bulkAltitudeInput').value;
+  const altitudeOffset = Number(document.getElementById('bulkAltitudeOffsetInput').value) || 0;
+  const north = Number(document.getElementById('bulkNorthInput').value) || 0;
+  const east = Number(document.getElementById('bulkEastInput').value) || 0;
+  const type = bulkTypeSelect.value;
+  if (ids.size === 0 || (altitude === '' && !altitudeOffset && !north && !east && !type)) return;
+
+  state.waypoints.forEach((wp) => {
+    if (!ids.has(wp.id)) return;
+    if (altitude !== '') wp.altitude = Number(altitude) || 0;
+    wp.altitude = Math.max(0, wp.altitude + altitudeOffset);
+    if (type) wp.type = type;
+    if (north || east) [wp.latitude, wp.longitude] = unprojectFromMeters([east, north], [wp.latitude, wp.longitude]);
+  });
+  recordHistory(`${ids.size} 地点を一括編集`);
+  selectionPanel.querySelectorAll('input').forEach((input) => {
+    input.value = '';
+  });
+  bulkTypeSelect.value = '';
+  emitWaypointChange({ ids: [...ids] });
+}
+
+function reverseRoute() {
+  if (state.waypoints.length < 2) return;
+  state.waypoints = state.waypoints.reverse().map((wp) => ({ ...wp, type: reversedTypes[wp.type] ?? wp.type }));
+  recordHistory('ルートを反転');
+  emitWaypointChange();
+}
+
+function snapshotPlan() {
+  return structuredClone({
+    waypoints: state.waypoints,
+    altitudeReference: state.altitudeReference,
+    minTerrainClearance: state.minTerrainClearance,
+    geoFence: state.geoFence,
+    rallyPoints: state.rallyPoints,
+    surveys: state.surveys
+  });
+}
+
+// Each entry holds the plan as it was right after the labelled edit. Edits sharing a
+// coalesce key in quick succession (typing, repeated drags) replace the latest entry.
+function recordHistory(label, coalesceKey = null) {
+  const history = state.history;
+  const latest = history.entries[history.index];
+  const now = Date.now();
+  history.entries.splice(history.index + 1);
+
+  if (coalesceKey && latest?.coalesceKey === coalesceKey && now - latest.time < HISTORY_COALESCE_MS) {
+    Object.assign(latest, { snapshot: snapshotPlan(), time: now });
+  } else {
+    history.entries.push({ label, coalesceKey, time: now, snapshot: snapshotPlan() });
+    if (history.entries.length > HISTORY_LIMIT) {
+      history.entries.shift();
+    }
+    history.index = history.entries.length - 1;
+  }
+  renderHistory();
+  scheduleAutosave();
+}
+
+// Starts a fresh timeline for a plan that is already stored as-is
+function resetHistory(label) {
+  state.history.entries = [];
+  state.history.index = -1;
+  recordHistory(label);
+  clearTimeout(state.autosaveTimer);
+  state.autosaveTimer = null;
+}
+
+function undo() {
+  goToHistory(state.history.index - 1);
+}
+
+function redo() {
+  goToHistory(state.history.index + 1);
+}
+
+function goToHistory(index) {
+  const entry = state.history.entries[index];
+  if (!entry || index === state.history.index) return;
+  state.history.index = index;
+  // An edit right after undo or redo starts its own entry instead of overwriting this one
+  entry.time = 0;
+  restorePlanSnapshot(entry.snapshot);
+  renderHistory();
+  scheduleAutosave();
+}
+
+function restorePlanSnapshot(snapshot) {
+  Object.assign(state, structuredClone(snapshot));
+  altitudeReferenceSelect.value = state.altitudeReference;
+  minTerrainClearanceInput.value = state.minTerrainClearance;
+  if (state.selectedFenceId && !findGeoFence(state.selectedFenceId)) {
+    state.selectedFenceId = null;
+  }
+  if (!state.surveys.some((survey) => survey.id === state.selectedSurveyId)) {
+    state.selectedSurveyId = null;
+  }
+  state.terrainFollowPreview = null;
+  terrainFollowStatus.textContent = '';
+  terrainFollowActions.hidden = true;
+
+  renderGeoFenceList();
+  refreshFenceHandles();
+  renderRallyPointList();
+  renderSurveyList();
+  emitWaypointChange();
+}
+
+function renderHistory() {
+  const { entries, index } = state.history;
+  undoBtn.disabled = index <= 0;
+  redoBtn.disabled = index >= entries.length - 1;
+
+  historyListElement.innerHTML = '';
+  const fragment = document.createDocumentFragment();
+  entries.forEach((entry, entryIndex) => {
+    const item = document.createElement('li');
+    if (entryIndex === index) item.classList.add('current');
+    if (entryIndex > index) item.classList.add('undone');
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = entry.label;
+    button.title = new Date(entry.time).toLocaleTimeString();
+    button.addEventListener('click', () => goToHistory(entryIndex));
+    item.appendChild(button);
+    fragment.appendChild(item);
+  });
+  historyListElement.appendChild(fragment);
+}
+
+function isEditableTarget(target) {
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName) || Boolean(target?.isContentEditable);
+}
+
+function updateMapVisualization(fitToFlight = false, changedIds = null) {
+  refreshWaypointLayer(changedIds);
+  refreshPath();
+  refreshPlanAreas();
+  refreshRallyMarkers();
+  refreshReachabilityPath();
+  updateElevationProfile();
+  if (fitToFlight) {
+    fitMapToFlightPath();
+  }
+}
+
+// Only the features of changed waypoints are rebuilt when the order is unchanged
+function refreshWaypointLayer(changedIds = null) {
+  const source = map.getSource('waypoints');
+  if (!source) return;
+
+  if (changedIds && state.waypointFeatures.length === state.waypoints.length) {
+    const changed = new Set(changedIds);
+    state.waypoints.forEach((wp, index) => {
+      if (changed.has(wp.id)) state.waypointFeatures[index] = waypointFeature(wp, index);
+    });
+  } else {
+    state.waypointFeatures = state.waypoints.map(waypointFeature);
+  }
+  source.setData({ type: 'FeatureCollection', features: state.waypointFeatures });
+}
+
+function waypointFeature(wp, index) {
+  return {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [wp.longitude, wp.latitude] },
+    properties: {
+      id: wp.id,
+      type: wp.type,
+      title: [
+        `${index + 1}. ${typeLabels[wp.type]}`,
+        formatWaypointPosition(wp),
+        `高度: ${wp.altitude}m（${altitudeReferenceLabels[effectiveAltitudeReference(wp)]}）`,
+        ...(wp.actions ?? []).map((action) => `${waypointActionTypes[action.type].icon} ${waypointActionTypes[action.type].label}`)
+      ].join('\n'),
+      actionBadge: wp.actions?.length ? `${WAYPOINT_ACTION_BADGE_PREFIX}${missionActionSignature(wp)}` : ''
+    }
+  };
+}
+
+// Badges are drawn on demand for each combination of actions used on the map
+function createWaypointActionBadge(types) {
+  const ratio = window.devicePixelRatio || 1;
+  const size = 18;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil((types.length * size + 4) * ratio);
+  canvas.height = Math.ceil((size + 4) * ratio);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(ratio, ratio);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.strokeStyle = '#495057';
+  ctx.fillRect(0.5, 0.5, types.length * size + 3, size + 3);
+  ctx.strokeRect(0.5, 0.5, types.length * size + 3, size + 3);
+  ctx.fillStyle = '#212529';
+  ctx.font = `${size - 5}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  types.forEach((type, index) => {
+    ctx.fillText(waypointActionTypes[type]?.icon ?? '?', 2 + index * size + size / 2, 2 + size / 2);
+  });
+  return { image: ctx.getImageData(0, 0, canvas.width, canvas.height), pixelRatio: ratio };
+}
+
+function bindWaypointLayerEvents() {
+  const canvas = map.getCanvas();
+  map.on('styleimagemissing', (event) => {
+    if (!event.id.startsWith(WAYPOINT_ACTION_BADGE_PREFIX) || map.hasImage(event.id)) return;
+    const { image, pixelRatio } = createWaypointActionBadge(event.id.slice(WAYPOINT_ACTION_BADGE_PREFIX.length).split(','));
+    map.addImage(event.id, image, { pixelRatio });
+  });
+  map.on('mousemove', 'waypoint-circles', (event) => {
+    const [feature] = event.features;
+    if (state.hoveredWaypointId !== feature.id) {
+      if (state.hoveredWaypointId) map.setFeatureState({ source: 'waypoints', id: state.hoveredWaypointId }, { hover: false });
+      state.hoveredWaypointId = feature.id;
+      map.setFeatureState({ source: 'waypoints', id: feature.id }, { hover: true });
+    }
+    canvas.style.cursor = 'move';
+    canvas.title = feature.properties.title;
+  });
+  map.on('mouseleave', 'waypoint-circles', () => {
+    if (state.hoveredWaypointId) map.setFeatureState({ source: 'waypoints', id: state.hoveredWaypointId }, { hover: false });
+    state.hoveredWaypointId = null;
+    canvas.style.cursor = '';
+    canvas.title = '';
+  });
+
+  map.on('mousedown', 'waypoint-circles', (event) => {
+    if (event.originalEvent.shiftKey || state.areaDraft) return;
+    event.preventDefault();
+    state.waypointDrag = { id: event.features[0].id, point: event.point, lngLat: null };
+  });
+  map.on('mousemove', updateWaypointDrag);
+  map.on('mouseup', finishWaypointDrag);
+
+  // preventDefault does not stop a touch pan, so panning is switched off for the drag
+  map.on('touchstart', 'waypoint-circles', (event) => {
+    if (event.points.length !== 1 || state.areaDraft) return;
+    event.preventDefault();
+    const restorePan = map.dragPan.isEnabled();
+    map.dragPan.disable();
+    state.waypointDrag = { id: event.features[0].id, point: event.point, lngLat: null, restorePan };
+  });
+  map.on('touchmove', updateWaypointDrag);
+  map.on('touchend', finishWaypointDrag);
+  map.on('touchcancel', () => {
+    const drag = state.waypointDrag;
+    if (!drag) return;
+    state.waypointDrag = null;
+    if (drag.restorePan) map.dragPan.enable();
+    // Puts the dragged circle back where the waypoint is
+    if (drag.lngLat) emitWaypointChange({ ids: [drag.id] });
+  });
+}
+
+function updateWaypointDrag(event) {
+  const drag = state.waypointDrag;
+  if (!drag) return;
+  if (!drag.lngLat && Math.hypot(event.point.x - drag.point.x, event.point.y - drag.point.y) <= 3) return;
+  drag.lngLat = event.lngLat;
+  const index = state.waypoints.findIndex((wp) => wp.id === drag.id);
+  state.waypointFeatures[index].geometry.coordinates = [event.lngLat.lng, event.lngLat.lat];
+  map.getSource('waypoints').setData({ type: 'FeatureCollection', features: state.waypointFeatures });
+}
+
+function finishWaypointDrag() {
+  const drag = state.waypointDrag;
+  state.waypointDrag = null;
+  if (drag?.restorePan) map.dragPan.enable();
+  // A press without movement is handled as a click (selection)
+  if (!drag?.lngLat) return;
+  const wp = state.waypoints.find((item) => item.id === drag.id);
+  if (!wp) return;
+  if (state.selectedWaypointIds.has(wp.id) && state.selectedWaypointIds.size > 1) {
+    const [east, north] = projectToMeters([drag.lngLat.lat, drag.lngLat.lng], [wp.latitude, wp.longitude]);
+    moveSelectedWaypoints(north, east);
+    return;
+  }
+  updateWaypoint(wp.id, { latitude: drag.lngLat.lat, longitude: drag.lngLat.lng }, '移動');
+}
+
+function refreshPath() {
+  const source = map.getSource('flight-path');
+  if (!source) return;
+
+  const features = [];
+  for (let i = 0; i < state.waypoints.length - 1; i += 1) {
+    const start = state.waypoints[i];
+    const end = state.waypoints[i + 1];
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: [
+          [start.longitude, start.latitude],
+          [end.longitude, end.latitude]
+        ]
+      },
+      properties: {
+        segmentIndex: i,
+        violation: state.fenceViolations.has(i) || state.terrainViolationSegments.has(i) ||
+          state.airspaceConflicts.some((conflict) => conflict.segmentIndex === i)
+      }
+    });
+  }
+  source.setData({
+    type: 'FeatureCollection',
+    features
+  });
+  refreshPathMidpoints();
+}
+
+function refreshPathMidpoints(dragPosition = null) {
+  const features = [];
+  for (let i = 0; i < state.waypoints.length - 1; i += 1) {
+    const start = state.waypoints[i];
+    const end = state.waypoints[i + 1];
+    const position = state.pathInsertDrag?.segmentIndex === i && dragPosition
+      ? [dragPosition.lng, dragPosition.lat]
+      : [(start.longitude + end.longitude) / 2, (start.latitude + end.latitude) / 2];
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: position },
+      properties: { segmentIndex: i }
+    });
+  }
+  map.getSource('flight-path-midpoints')?.setData({ type: 'FeatureCollection', features });
+}
+
+function refreshPlanAreas() {
+  const fenceSource = map.getSource('geofence');
+  if (fenceSource) {
+    const polygonFeatures = state.geoFence.polygons.map((fence) => ({
+      type: 'Feature',
+      geometry: {
+        type: 'Polygon',
+        coordinates: [closeRing(fence.polygon.map(([lat, lon]) => [lon, lat]))]
+      },
+      properties: { id: fence.id, inclusion: fence.inclusion }
+    }));
+    const circleFeatures = state.geoFence.circles.map((fence) => ({
+      type: 'Feature',
+      geometry: {
+        type: 'Polygon',
+        coordinates: [circleRing(fence.center[0], fence.center[1], fence.radius)]
+      },
+      properties: { id: fence.id, inclusion: fence.inclusion }
+    }));
+    fenceSource.setData({
+      type: 'FeatureCollection',
+      features: [...polygonFeatures, ...circleFeatures]
+    });
+  }
+
+  const surveySource = map.getSource('surveys');
+  if (surveySource) {
+    surveySource.setData({
+      type: 'FeatureCollection',
+      features: state.surveys.map((survey) => ({
+        type: 'Feature',
+        geometry: {
+          type: 'Polygon',
+          coordinates: [closeRing(survey.polygon.map(([lat, lon]) => [lon, lat]))]
+        },
+        properties: { id: survey.id, selected: survey.id === state.selectedSurveyId }
+      }))
+    });
+  }
+}
+
+function closeRing(coordinates) {
+  if (coordinates.length === 0) return coordinates;
+  const [firstLon, firstLat] = coordinates[0];
+  const [lastLon, lastLat] = coordinates[coordinates.length - 1];
+  if (firstLon === lastLon && firstLat === lastLat) return coordinates;
+  return [...coordinates, coordinates[0]];
+}
+
+function circleRing(lat, lon, radius, steps = 64) {
+  const ring = [];
+  for (let i = 0; i <= steps; i += 1) {
+    const [pointLat, pointLon] = destinationPoint(lat, lon, (i / steps) * 360, radius);
+    ring.push([pointLon, pointLat]);
+  }
+  return ring;
+}
+
+function renderGeoFenceList() {
+  fenceListElement.innerHTML = '';
+  const fences = [
+    ...state.geoFence.polygons.map((fence, index) => ({ fence, shape: 'polygon', index })),
+    ...state.geoFence.circles.map((fence, index) => ({ fence, shape: 'circle', index }))
+  ];
+
+  if (fences.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = 'ジオフェンスはありません。';
+    empty.className = 'hint';
+    fenceListElement.appendChild(empty);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  fences.forEach(({ fence, shape, index }) => {
+    const item = document.createElement('div');
+    item.className = 'fence-item';
+    item.classList.toggle('selected', fence.id === state.selectedFenceId);
+
+    const title = document.createElement('span');
+    title.className = 'fence-title';
+    title.textContent = fenceLabel(fence, shape, index);
+    item.appendChild(title);
+
+    item.appendChild(createLabeledSelect('種類', fence.inclusion ? 'inclusion' : 'exclusion', [
+      ['inclusion', '包含'],
+      ['exclusion', '除外']
+    ], (value) => updateGeoFence(fence.id, { inclusion: value === 'inclusion' })));
+
+    if (shape === 'circle') {
+      item.appendChild(createLabeledInput('半径 (m)', 'number', Math.round(fence.radius), (value) => {
+        const radius = Number(value);
+        if (radius > 0) updateGeoFence(fence.id, { radius });
+      }, { min: 1, step: 1 }));
+    }
+
+    const editButton = document.createElement('button');
+    editButton.textContent = fence.id === state.selectedFenceId ? '編集終了' : '編集';
+    editButton.classList.add('secondary');
+    editButton.addEventListener('click', () => selectGeoFence(fence.id === state.selectedFenceId ? null : fence.id));
+    item.appendChild(editButton);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = '削除';
+    deleteButton.classList.add('danger');
+    deleteButton.addEventListener('click', () => removeGeoFence(fence.id));
+    item.appendChild(deleteButton);
+
+    fragment.appendChild(item);
+  });
+  fenceListElement.appendChild(fragment);
+}
+
+function fenceLabel(fence, shape, index) {
+  const kind = fence.inclusion ? '包含' : '除外';
+  return shape === 'circle' ? `${kind}円 ${index + 1}` : `${kind}多角形 ${index + 1}`;
+}
+
+function findGeoFence(id) {
+  const polygonIndex = state.geoFence.polygons.findIndex((fence) => fence.id === id);
+  if (polygonIndex !== -1) {
+    return { fence: state.geoFence.polygons[polygonIndex], shape: 'polygon', index: polygonIndex };
+  }
+  const circleIndex = state.geoFence.circles.findIndex((fence) => fence.id === id);
+  if (circleIndex !== -1) {
+    return { fence: state.geoFence.circles[circleIndex], shape: 'circle', index: circleIndex };
+  }
+  return null;
+}
+
+function updateGeoFence(id, updates) {
+  const found = findGeoFence(id);
+  if (!found) return;
+  Object.assign(found.fence, updates);
+  handleGeoFenceChange('ジオフェンスを編集', `fence:${id}:${Object.keys(updates).join(',')}`);
+}
+
+function removeGeoFence(id) {
+  state.geoFence.polygons = state.geoFence.polygons.filter((fence) => fence.id !== id);
+  state.geoFence.circles = state.geoFence.circles.filter((fence) => fence.id !== id);
+  if (state.selectedFenceId === id) {
+    state.selectedFenceId = null;
+  }
+  handleGeoFenceChange('ジオフェンスを削除');
+}
+
+function selectGeoFence(id) {
+  state.selectedFenceId = id;
+  renderGeoFenceList();
+  refreshFenceHandles();
+}
+
+function handleGeoFenceChange(label, coalesceKey) {
+  recordHistory(label, coalesceKey);
+  renderGeoFenceList();
+  renderWaypointsList();
+  refreshPath();
+  refreshPlanAreas();
+  refreshFenceHandles();
+}
+
+function startAreaDraft(target, shape) {
+  cancelAreaDraft();
+  setRallyPlacement(false);
+  state.areaDraft = {
+    target,
+    shape,
+    inclusion: fenceKindSelect.value === 'inclusion',
+    points: []
+  };
+  map.doubleClickZoom.disable();
+  map.getCanvas().style.cursor = 'crosshair';
+  drawActions.hidden = false;
+  drawHint.textContent = shape === 'circle'
+    ? '地図上で中心をクリックし、続けて半径の位置をクリックしてください。'
+    : '地図上で頂点をクリックし、3点以上置いたら「完了」を押してください。';
+}
+
+function handleAreaDraftClick(lngLat) {
+  const draft = state.areaDraft;
+  draft.points.push([lngLat.lat, lngLat.lng]);
+
+  if (draft.shape === 'circle' && draft.points.length === 2) {
+    finishAreaDraft();
+    return;
+  }
+  refreshAreaDraft();
+}
+
+function refreshAreaDraft(cursorLngLat) {
+  const source = map.getSource('area-draft');
+  const draft = state.areaDraft;
+  if (!source) return;
+  if (!draft || draft.points.length === 0) {
+    source.setData(emptyFeatureCollection());
+    return;
+  }
+
+  const cursor = cursorLngLat ? [cursorLngLat.lat, cursorLngLat.lng] : null;
+  let coordinates;
+  if (draft.shape === 'circle') {
+    const [center] = draft.points;
+    const edge = cursor ?? center;
+    const radius = haversineDistance(center[0], center[1], edge[0], edge[1]);
+    coordinates = circleRing(center[0], center[1], Math.max(radius, 1));
+  } else {
+    const points = cursor ? [...draft.points, cursor] : draft.points;
+    coordinates = closeRing(points.map(([lat, lon]) => [lon, lat]));
+  }
+
+  source.setData({
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates },
+    properties: {}
+  });
+}
+
+function finishAreaDraft() {
+  const draft = state.areaDraft;
+  if (!draft) return;
+
+  if (draft.shape === 'polygon' && draft.points.length < 3) {
+    alert('多角形には3点以上の頂点が必要です。');
+    return;
+  }
+  if (draft.shape === 'circle') {
+    const [center, edge] = draft.points;
+    if (haversineDistance(center[0], center[1], edge[0], edge[1]) < 1) {
+      alert('円の半径が小さすぎます。');
+      return;
+    }
+  }
+
+  cancelAreaDraft();
+  if (draft.target === 'survey') {
+    createSurvey(draft.points);
+  } else {
+    createGeoFence(draft);
+  }
+}
+
+function cancelAreaDraft() {
+  state.areaDraft = null;
+  map.doubleClickZoom.enable();
+  map.getCanvas().style.cursor = '';
+  drawActions.hidden = true;
+  drawHint.textContent = '';
+  refreshAreaDraft();
+}
+
+function createGeoFence(draft) {
+  if (draft.shape === 'polygon') {
+    state.geoFence.polygons.push({ id: createId('fence'), inclusion: draft.inclusion, polygon: draft.points });
+  } else {
+    const [center, edge] = draft.points;
+    const radius = haversineDistance(center[0], center[1], edge[0], edge[1]);
+    state.geoFence.circles.push({ id: createId('fence'), inclusion: draft.inclusion, center, radius });
+  }
+  handleGeoFenceChange('ジオフェンスを追加');
+}
+
+function refreshFenceHandles() {
+  state.fenceHandles.forEach((handle) => handle.remove());
+  state.fenceHandles = [];
+
+  const found = state.selectedFenceId ? findGeoFence(state.selectedFenceId) : null;
+  if (!found) return;
+  const { fence, shape } = found;
+
+  if (shape === 'polygon') {
+    fence.polygon.forEach(([lat, lon], vertexIndex) => {
+      const handle = createFenceHandle([lon, lat], '頂点をドラッグして移動、右クリックで削除');
+      handle.on('drag', () => {
+        const lngLat = handle.getLngLat();
+        fence.polygon[vertexIndex] = [lngLat.lat, lngLat.lng];
+        refreshPlanAreas();
+      });
+      handle.on('dragend', () => handleGeoFenceChange('フェンス頂点を移動'));
+      handle.getElement().addEventListener('contextmenu', (event) => {
+        event.preventDefault();
+        if (fence.polygon.length <= 3) return;
+        fence.polygon.splice(vertexIndex, 1);
+        handleGeoFenceChange('フェンス頂点を削除');
+      });
+      state.fenceHandles.push(handle);
+    });
+    return;
+  }
+
+  const radiusPosition = () => {
+    const [lat, lon] = destinationPoint(fence.center[0], fence.center[1], 90, fence.radius);
+    return [lon, lat];
+  };
+  const centerHandle = createFenceHandle([fence.center[1], fence.center[0]], '中心をドラッグして移動');
+  const radiusHandle = createFenceHandle(radiusPosition(), 'ドラッグして半径を変更');
+
+  centerHandle.on('drag', () => {
+    const lngLat = centerHandle.getLngLat();
+    fence.center = [lngLat.lat, lngLat.lng];
+    radiusHandle.setLngLat(radiusPosition());
+    refreshPlanAreas();
+  });
+  centerHandle.on('dragend', () => handleGeoFenceChange('フェンス中心を移動'));
+
+  radiusHandle.on('drag', () => {
+    const lngLat = radiusHandle.getLngLat();
+    fence.radius = Math.max(1, haversineDistance(fence.center[0], fence.center[1], lngLat.lat, lngLat.lng));
+    refreshPlanAreas();
+  });
+  radiusHandle.on('dragend', () => handleGeoFenceChange('フェンス半径を変更'));
+
+  state.fenceHandles.push(centerHandle, radiusHandle);
+}
+
+function createFenceHandle(lngLat, title) {
+  const element = document.createElement('div');
+  element.className = 'fence-handle';
+  element.title = title;
+  return new maplibregl.Marker({ element, draggable: true })
+    .setLngLat(lngLat)
+    .addTo(map);
+}
+
+function checkGeoFenceViolations(waypoints, geoFence) {
+  const violations = new Map();
+  const zones = [
+    ...geoFence.polygons.map((fence, index) => ({ fence, shape: 'polygon', index })),
+    ...geoFence.circles.map((fence, index) => ({ fence, shape: 'circle', index }))
+  ];
+  if (zones.length === 0 || waypoints.length < 2) return violations;
+
+  const inclusions = zones.filter((zone) => zone.fence.inclusion);
+  const exclusions = zones.filter((zone) => !zone.fence.inclusion);
+  const samplesBySegment = new Map();
+  sampleRoutePositions(waypoints).forEach((sample) => {
+    if (!samplesBySegment.has(sample.segmentIndex)) samplesBySegment.set(sample.segmentIndex, []);
+    samplesBySegment.get(sample.segmentIndex).push([sample.lat, sample.lon]);
+  });
+
+  for (let i = 0; i < waypoints.length - 1; i += 1) {
+    const start = [waypoints[i].latitude, waypoints[i].longitude];
+    const end = [waypoints[i + 1].latitude, waypoints[i + 1].longitude];
+    const issues = [];
+
+    exclusions.forEach((zone) => {
+      if (segmentTouchesZone(start, end, zone)) {
+        issues.push({ fenceId: zone.fence.id, message: `${fenceLabel(zone.fence, zone.shape, zone.index)}に進入します` });
+      }
+    });
+
+    if (inclusions.length > 0 && !inclusions.some((zone) => segmentInsideZone(start, end, zone))) {
+      // Overlapping inclusion zones are treated as a union, checked at the sampled points
+      const points = [start, ...(samplesBySegment.get(i) ?? []), end];
+      const leaves = inclusions.length === 1 || points.some((point) => !inclusions.some((zone) => pointInZone(point, zone)));
+      if (leaves) {
+        issues.push({ fenceId: null, message: '包含領域の外に出ます' });
+      }
+    }
+
+    if (issues.length > 0) {
+      violations.set(i, issues);
+    }
+  }
+
+  return violations;
+}
+
+function pointInZone(point, zone) {
+  if (zone.shape === 'circle') {
+    const [centerLat, centerLon] = zone.fence.center;
+    return haversineDistance(centerLat, centerLon, point[0], point[1]) <= zone.fence.radius;
+  }
+  return pointInPolygon(point, zone.fence.polygon);
+}
+
+function segmentInsideZone(start, end, zone) {
+  if (!pointInZone(start, zone) || !pointInZone(end, zone)) return false;
+  if (zone.shape === 'circle') return true;
+  return !segmentCrossesPolygon(start, end, zone.fence.polygon);
+}
+
+function segmentTouchesZone(start, end, zone) {
+  if (pointInZone(start, zone) || pointInZone(end, zone)) return true;
+  if (zone.shape === 'circle') {
+    const [centerLat, centerLon] = zone.fence.center;
+    return distanceToSegment([centerLat, centerLon], start, end) <= zone.fence.radius;
+  }
+  return segmentCrossesPolygon(start, end, zone.fence.polygon);
+}
+
+function pointInPolygon([lat, lon], polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const [latI, lonI] = polygon[i];
+    const [latJ, lonJ] = polygon[j];
+    const crosses = (latI > lat) !== (latJ > lat) &&
+      lon < ((lonJ - lonI) * (lat - latI)) / (latJ - latI) + lonI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+function segmentCrossesPolygon(start, end, polygon) {
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    if (segmentsIntersect(start, end, polygon[j], polygon[i])) return true;
+  }
+  return false;
+}
+
+function segmentsIntersect(a, b, c, d) {
+  const orientation = (p, q, r) => Math.sign((q[1] - p[1]) * (r[0] - p[0]) - (q[0] - p[0]) * (r[1] - p[1]));
+  const o1 = orientation(a, b, c);
+  const o2 = orientation(a, b, d);
+  const o3 = orientation(c, d, a);
+  const o4 = orientation(c, d, b);
+  return o1 !== o2 && o3 !== o4;
+}
+
+function distanceToSegment(point, start, end) {
+  const [px, py] = projectToMeters(point, point);
+  const [ax, ay] = projectToMeters(start, point);
+  const [bx, by] = projectToMeters(end, point);
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.min(1, Math.max(0, ((px - ax) * dx + (py - ay) * dy) / lengthSq));
+  return Math.hypot(ax + dx * t - px, ay + dy * t - py);
+}
+
+function projectToMeters([lat, lon], [originLat, originLon]) {
+  const metersPerDegree = (Math.PI / 180) * 6371e3;
+  return [
+    (lon - originLon) * metersPerDegree * Math.cos((originLat * Math.PI) / 180),
+    (lat - originLat) * metersPerDegree
+  ];
+}
+
+function unprojectFromMeters([x, y], [originLat, originLon]) {
+  const metersPerDegree = (Math.PI / 180) * 6371e3;
+  return [
+    originLat + y / metersPerDegree,
+    originLon + x / (metersPerDegree * Math.cos((originLat * Math.PI) / 180))
+  ];
+}
+
+function meridianArc(phi) {
+  const [a0, ...terms] = TM_ARC_COEFFICIENTS;
+  const series = terms.reduce((sum, coefficient, index) => sum + coefficient * Math.sin(2 * (index + 1) * phi), a0 * phi);
+  return (GRS80_A / (1 + GRS80_N)) * series;
+}
+
+// Northing is measured from the latitude of origin and easting from the central meridian, both in metres
+function projectTransverseMercator(lat, lon, lat0, lon0, scale) {
+  const radius = scale * (GRS80_A / (1 + GRS80_N)) * TM_ARC_COEFFICIENTS[0];
+  const e = (2 * Math.sqrt(GRS80_N)) / (1 + GRS80_N);
+  const phi = (lat * Math.PI) / 180;
+  const lambda = ((lon - lon0) * Math.PI) / 180;
+  const t = Math.sinh(Math.atanh(Math.sin(phi)) - e * Math.atanh(e * Math.sin(phi)));
+  const xi = Math.atan2(t, Math.cos(lambda));
+  const eta = Math.atanh(Math.sin(lambda) / Math.sqrt(1 + t * t));
+  let north = xi;
+  let east = eta;
+  TM_ALPHA.forEach((alpha, index) => {
+    const j = 2 * (index + 1);
+    north += alpha * Math.sin(j * xi) * Math.cosh(j * eta);
+    east += alpha * Math.cos(j * xi) * Math.sinh(j * eta);
+  });
+  return {
+    north: radius * north - scale * meridianArc((lat0 * Math.PI) / 180),
+    east: radius * east
+  };
+}
+
+function unprojectTransverseMercator(north, east, lat0, lon0, scale) {
+  const radius = scale * (GRS80_A / (1 + GRS80_N)) * TM_ARC_COEFFICIENTS[0];
+  const xi = (north + scale * meridianArc((lat0 * Math.PI) / 180)) / radius;
+  const eta = east / radius;
+  let xiPrime = xi;
+  let etaPrime = eta;
+  TM_BETA.forEach((beta, index) => {
+    const j = 2 * (index + 1);
+    xiPrime -= beta * Math.sin(j * xi) * Math.cosh(j * eta);
+    etaPrime -= beta * Math.cos(j * xi) * Math.sinh(j * eta);
+  });
+  const chi = Math.asin(Math.sin(xiPrime) / Math.cosh(etaPrime));
+  const phi = TM_DELTA.reduce((sum, delta, index) => sum + delta * Math.sin(2 * (index + 1) * chi), chi);
+  return {
+    latitude: (phi * 180) / Math.PI,
+    longitude: lon0 + (Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime)) * 180) / Math.PI
+  };
+}
+
+// X points north and Y east, as in the GSI survey drawings
+function planeFromLatLon(lat, lon, zone) {
+  const [lat0, lon0] = JGD_PLANE_ZONES[zone - 1];
+  const { north, east } = projectTransverseMercator(lat, lon, lat0, lon0, JGD_PLANE_SCALE);
+  return { x: north, y: east };
+}
+
+function latLonFromPlane(x, y, zone) {
+  const [lat0, lon0] = JGD_PLANE_ZONES[zone - 1];
+  return unprojectTransverseMercator(x, y, lat0, lon0, JGD_PLANE_SCALE);
+}
+
+// Only an estimate near prefecture borders, which is why the zone can be set by hand
+function estimatePlaneZone(lat, lon) {
+  let best = JGD_PLANE_ZONE_TOWNS[0];
+  let bestDistance = Infinity;
+  JGD_PLANE_ZONE_TOWNS.forEach((town) => {
+    const distance = haversineDistance(lat, lon, town[0], town[1]);
+    if (distance < bestDistance) {
+      best = town;
+      bestDistance = distance;
+    }
+  });
+  return best[2];
+}
+
+function utmZone(lat, lon) {
+  if (lat >= 56 && lat < 64 && lon >= 3 && lon < 12) return 32;
+  if (lat >= 72 && lon >= 0 && lon < 42) {
+    if (lon < 9) return 31;
+    if (lon < 21) return 33;
+    if (lon < 33) return 35;
+    return 37;
+  }
+  return Math.min(60, Math.floor((lon + 180) / 6) + 1);
+}
+
+// Metre precision, with the digits truncated as MGRS requires
+function mgrsFromLatLon(lat, lon) {
+  if (!(lat >= -80 && lat < 84)) return null;
+  const zone = utmZone(lat, lon);
+  const band = MGRS_BAND_LETTERS[Math.min(19, Math.floor((lat + 80) / 8))];
+  const { north, east } = projectTransverseMercator(lat, lon, 0, zone * 6 - 183, UTM_SCALE);
+  const easting = east + 500000;
+  const northing = north < 0 ? north + 10000000 : north;
+  const column = MGRS_COLUMN_LETTERS[(zone - 1) % 3][Math.floor(easting / 100000) - 1];
+  const row = MGRS_ROW_LETTERS[(Math.floor(northing / 100000) + (zone % 2 === 0 ? 5 : 0)) % 20];
+  const digits = (value) => String(Math.floor(value % 100000)).padStart(5, '0');
+  return `${zone}${band} ${column}${row} ${digits(easting)} ${digits(northing)}`;
+}
+
+// Shorter references resolve to the south-west corner of their grid square
+function latLonFromMgrs(text) {
+  const match = String(text).toUpperCase().replace(/\s+/g, '').match(/^(\d{1,2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])(\d{0,10})$/);
+  if (!match || match[5].length % 2 !== 0) return null;
+  const [, zoneText, band, column, row, digits] = match;
+  const zone = Number(zoneText);
+  const columnIndex = zone >= 1 && zone <= 60 ? MGRS_COLUMN_LETTERS[(zone - 1) % 3].indexOf(column) : -1;
+  if (columnIndex === -1) return null;
+
+  const precision = digits.length / 2;
+  const unit = 10 ** (5 - precision);
+  const easting = (columnIndex + 1) * 100000 + Number(digits.slice(0, precision) || 0) * unit;
+  let northing = ((MGRS_ROW_LETTERS.indexOf(row) - (zone % 2 === 0 ? 5 : 0) + 20) % 20) * 100000 +
+    Number(digits.slice(precision) || 0) * unit;
+  while (northing < MGRS_BAND_MIN_NORTHING[band]) northing += 2000000;
+  const south = band < 'N';
+  return unprojectTransverseMercator(south ? northing - 10000000 : northing, easting - 500000, 0, zone * 6 - 183, UTM_SCALE);
+}
+
+function formatDms(value, isLongitude) {
+  const hemisphere = isLongitude ? (value < 0 ? 'W' : 'E') : (value < 0 ? 'S' : 'N');
+  // Rounded in thousandths of a second first so the seconds never show 60
+  const total = Math.round(Math.abs(value) * 3600000);
+  const degrees = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = (total % 60000) / 1000;
+  return `${degrees}°${String(minutes).padStart(2, '0')}′${seconds.toFixed(3).padStart(6, '0')}″${hemisphere}`;
+}
+
+// Accepts 35°40′12.3″N, 35度40分12.3秒, 35 40 12.3, -35:40:12.3 or plain decimal degrees
+function parseDms(text, isLongitude) {
+  const value = String(text).trim();
+  const numbers = value.match(/\d+(?:\.\d+)?/g);
+  if (!numbers || numbers.length > 3 || /[^\d\s.:°′″'"度分秒NSEWnsew北南東西+-]/.test(value)) return null;
+  const [degrees, minutes = 0, seconds = 0] = numbers.map(Number);
+  if (minutes >= 60 || seconds >= 60) return null;
+  const negative = /^-|[SsWw南西]/.test(value);
+  const result = (degrees + minutes / 60 + seconds / 3600) * (negative ? -1 : 1);
+  return Math.abs(result) <= (isLongitude ? 180 : 90) ? result : null;
+}
+
+// Cells are split on tabs or commas, or on whitespace when neither appears. A number after the
+// coordinate is taken as the altitude.
+function parseCoordinateLine(line, format, zone) {
+  const separated = /[\t,]/.test(line);
+  const cells = (separated ? line.split(/[\t,]/) : line.trim().split(/\s+/)).map((cell) => cell.trim()).filter(Boolean);
+  const number = (cell) => (cell != null && /^[+-]?\d+(\.\d+)?$/.test(cell) ? Number(cell) : null);
+  const withAltitude = (position, rest) => {
+    if (!position || rest.length > 1 || (rest.length === 1 && number(rest[0]) == null)) return null;
+    return { ...position, altitude: rest.length === 1 ? number(rest[0]) : null };
+  };
+
+  switch (format) {
+    case 'plane': {
+      const [x, y] = cells.map(number);
+      if (x == null || y == null) return null;
+      return withAltitude(latLonFromPlane(x, y, zone), cells.slice(2));
+    }
+    case 'mgrs': {
+      if (separated) return withAltitude(latLonFromMgrs(cells[0]), cells.slice(1));
+      // Space-separated MGRS keeps the easting and northing the same length, which an altitude
+      // after them breaks
+      const last = cells[cells.length - 1];
+      const beforeLast = cells[cells.length - 2];
+      const hasAltitude = cells.length > 1 && number(last) != null && !(/^\d+$/.test(beforeLast) && beforeLast.length === last.length);
+      return hasAltitude
+        ? withAltitude(latLonFromMgrs(cells.slice(0, -1).join('')), [last])
+        : withAltitude(latLonFromMgrs(cells.join('')), []);
+    }
+    default: {
+      const parse = format === 'dms' ? parseDms : (cell) => number(cell);
+      const latitude = parse(cells[0] ?? '', false);
+      const longitude = parse(cells[1] ?? '', true);
+      if (latitude == null || longitude == null || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+      return withAltitude({ latitude, longitude }, cells.slice(2));
+    }
+  }
+}
+
+function bindAirspaceControls() {
+  document.getElementById('airspaceFileInput').addEventListener('change', importAirspaceFiles);
+  loadAirspaceLayers();
+}
+
+function openAirspaceDatabase() {
+  if (!airspaceDbPromise) {
+    airspaceDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('このブラウザでは IndexedDB を利用できません。'));
+        return;
+      }
+      const request = window.indexedDB.open(AIRSPACE_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('layers', { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return airspaceDbPromise;
+}
+
+async function airspaceStore(mode = 'readonly') {
+  const db = await openAirspaceDatabase();
+  return db.transaction('layers', mode).objectStore('layers');
+}
+
+async function loadAirspaceLayers() {
+  try {
+    const records = await idbRequest((await airspaceStore()).getAll());
+    state.airspaceLayers = records.sort((a, b) => a.importedAt.localeCompare(b.importedAt));
+  } catch (error) {
+    console.warn(error);
+    airspaceStatus.textContent = `空域データを保存できません: ${error.message}`;
+  }
+  refreshAirspace();
+}
+
+// Layers stay usable for the session even when they cannot be persisted
+async function saveAirspaceLayer(layer) {
+  try {
+    await idbRequest((await airspaceStore('readwrite')).put(layer));
+  } catch (error) {
+    console.warn(error);
+    airspaceStatus.textContent = `空域データを保存できません: ${error.message}`;
+  }
+}
+
+async function importAirspaceFiles(event) {
+  const files = Array.from(event.target.files ?? []);
+  event.target.value = '';
+
+  for (const file of files) {
+    let zones;
+    try {
+      const json = JSON.parse(await file.text());
+      if (!isGeoJson(json)) throw new Error('not GeoJSON');
+      zones = airspaceZonesFromGeoJson(json);
+    } catch (error) {
+      console.error(error);
+      alert(`${file.name} の読み込みに失敗しました。`);
+      continue;
+    }
+    if (zones.length === 0) {
+      alert(`${file.name} にポリゴンが含まれていません。`);
+      continue;
+    }
+
+    const layer = {
+      id: createId('airspace'),
+      name: file.name.replace(/\.(geo)?json$/i, ''),
+      enabled: true,
+      mode: 'block',
+      importedAt: new Date().toISOString(),
+      zones
+    };
+    state.airspaceLayers.push(layer);
+    await saveAirspaceLayer(layer);
+  }
+  refreshAirspace();
+}
+
+// Floor and ceiling are read from the feature properties in metres; zones without
+// a floor start at the surface and zones without a ceiling have no upper limit.
+function airspaceZonesFromGeoJson(json) {
+  const number = (properties, keys) => {
+    const value = keys.map((key) => Number.parseFloat(properties[key])).find(Number.isFinite);
+    return value ?? null;
+  };
+
+  return geoJsonFeatures(json)
+    .filter((feature) => feature.geometry.type === 'Polygon' && feature.geometry.coordinates[0]?.length >= 3)
+    .map((feature, index) => {
+      const properties = feature.properties ?? {};
+      const rings = feature.geometry.coordinates.map((ring) => ring.map(([lon, lat]) => [lat, lon]));
+      const reference = String(properties.altitudeReference ?? properties.reference ?? '').toLowerCase();
+      return {
+        name: String(properties.name ?? properties.NAME ?? properties['名称'] ?? `区域 ${index + 1}`),
+        rings,
+        bounds: polygonBounds(rings[0]),
+        floor: number(properties, ['floor', 'lower', 'lowerLimit']) ?? 0,
+        ceiling: number(properties, ['ceiling', 'upper', 'upperLimit']),
+        reference: reference === 'amsl' || reference === 'msl' ? 'amsl' : 'agl'
+      };
+    });
+}
+
+function polygonBounds(ring) {
+  const lats = ring.map(([lat]) => lat);
+  const lons = ring.map(([, lon]) => lon);
+  return {
+    south: Math.min(...lats),
+    north: Math.max(...lats),
+    west: Math.min(...lons),
+    east: Math.max(...lons)
+  };
+}
+
+function updateAirspaceLayer(id, updates) {
+  const layer = state.airspaceLayers.find((item) => item.id === id);
+  if (!layer) return;
+  Object.assign(layer, updates);
+  saveAirspaceLayer(layer);
+  refreshAirspace();
+}
+
+async function removeAirspaceLayer(id) {
+  const layer = state.airspaceLayers.find((item) => item.id === id);
+  if (!layer || !confirm(`空域レイヤー「${layer.name}」を削除しますか？`)) return;
+  state.airspaceLayers = state.airspaceLayers.filter((item) => item.id !== id);
+  try {
+    await idbRequest((await airspaceStore('readwrite')).delete(id));
+  } catch (error) {
+    console.warn(error);
+  }
+  refreshAirspace();
+}
+
+function refreshAirspace() {
+  renderAirspaceLayerList();
+  map.getSource('airspace')?.setData({
+    type: 'FeatureCollection',
+    features: state.airspaceLayers.filter((layer) => layer.enabled).flatMap((layer) => layer.zones.map((zone) => ({
+      type: 'Feature',
+      geometry: {
+        type: 'Polygon',
+        coordinates: zone.rings.map((ring) => ring.map(([lat, lon]) => [lon, lat]))
+      },
+      properties: { name: zone.name, mode: layer.mode }
+    })))
+  });
+  setAirspaceConflicts(findAirspaceConflicts(state.waypoints, state.profile.samples, state.airspaceLayers));
+}
+
+function renderAirspaceLayerList() {
+  airspaceLayerList.innerHTML = '';
+  if (state.airspaceLayers.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = '空域レイヤーはありません。';
+    empty.className = 'hint';
+    airspaceLayerList.appendChild(empty);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  state.airspaceLayers.forEach((layer) => {
+    const item = document.createElement('div');
+    item.className = 'fence-item';
+
+    const title = document.createElement('span');
+    title.className = 'fence-title';
+    title.textContent = `${layer.name}（${layer.zones.length} 区域）`;
+    item.appendChild(title);
+
+    item.appendChild(createLabeledSelect('表示と判定', layer.enabled ? 'on' : 'off', [
+      ['on', '有効'],
+      ['off', '無効']
+    ], (value) => updateAirspaceLayer(layer.id, { enabled: value === 'on' })));
+    item.appendChild(createLabeledSelect('進入時', layer.mode, Object.entries(airspaceModeLabels), (value) => updateAirspaceLayer(layer.id, { mode: value })));
+
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = '削除';
+    deleteButton.classList.add('danger');
+    deleteButton.addEventListener('click', () => removeAirspaceLayer(layer.id));
+    item.appendChild(deleteButton);
+
+    fragment.appendChild(item);
+  });
+  airspaceLayerList.appendChild(fragment);
+}
+
+function setAirspaceConflicts(conflicts) {
+  state.airspaceConflicts = conflicts;
+  renderAirspaceConflicts();
+  refreshPath();
+}
+
+function renderAirspaceConflicts() {
+  airspaceConflictList.innerHTML = '';
+  if (state.waypoints.length < 2 || !state.airspaceLayers.some((layer) => layer.enabled)) return;
+
+  if (state.airspaceConflicts.length === 0) {
+    const entry = document.createElement('li');
+    entry.className = 'ok';
+    entry.textContent = '空域・飛行禁止区域との干渉はありません。';
+    airspaceConflictList.appendChild(entry);
+    return;
+  }
+
+  state.airspaceConflicts.forEach((conflict) => {
+    const entry = document.createElement('li');
+    entry.className = conflict.severity;
+    entry.textContent = conflict.message;
+    airspaceConflictList.appendChild(entry);
+  });
+}
+
+// Samples come from sampleElevationAlongRoute; without them the altitude inside a
+// zone is unknown and every horizontal intersection is reported.
+function findAirspaceConflicts(waypoints, samples, layers) {
+  const zones = layers.filter((layer) => layer.enabled).flatMap((layer) => layer.zones.map((zone) => ({ zone, layer })));
+  const conflicts = [];
+  if (zones.length === 0) return conflicts;
+
+  for (let i = 0; i < waypoints.length - 1; i += 1) {
+    const start = [waypoints[i].latitude, waypoints[i].longitude];
+    const end = [waypoints[i + 1].latitude, waypoints[i + 1].longitude];
+    const legBounds = polygonBounds([start, end]);
+    // The first sample of a leg is shared with the end of the previous one
+    const legSamples = samples
+      .filter((sample) => sample.segmentIndex === i || (sample.segmentIndex === i - 1 && sample.t === 1))
+      .map((sample) => ({ ...sample, t: sample.segmentIndex === i ? sample.t : 0 }));
+    const reported = new Set();
+
+    zones.forEach(({ zone, layer }) => {
+      const key = `${layer.id}:${zone.name}`;
+      if (reported.has(key) || !boundsOverlap(legBounds, zone.bounds)) return;
+      const intervals = zoneLegIntervals(start, end, zone.rings);
+      if (intervals.length === 0) return;
+
+      const range = legAltitudeRange(legSamples, intervals, zone.reference);
+      const ceiling = zone.ceiling ?? Infinity;
+      if (range && (range.max < zone.floor || range.min > ceiling)) return;
+
+      const referenceLabel = airspaceReferenceLabels[zone.reference];
+      const limit = `${referenceLabel} ${zone.floor}〜${zone.ceiling ?? '上限なし'}${zone.ceiling == null ? '' : 'm'}`;
+      const flight = range
+        ? `飛行高度 ${referenceLabel} ${range.min.toFixed(0)}〜${range.max.toFixed(0)}m`
+        : '飛行高度を確認できません';
+      reported.add(key);
+      conflicts.push({
+        segmentIndex: i,
+        severity: layer.mode === 'block' ? 'error' : 'warning',
+        zoneName: zone.name,
+        layerName: layer.name,
+        message: `区間 ${i + 1}→${i + 2}: ${zone.name}（${layer.name}）に進入します（制限 ${limit} / ${flight}）`
+      });
+    });
+  }
+
+  return conflicts;
+}
+
+async function checkAirspaceIssues(waypoints) {
+  if (!state.airspaceLayers.some((layer) => layer.enabled)) return [];
+  const samples = await sampleElevationAlongRoute(waypoints).catch((error) => {
+    console.error(error);
+    return [];
+  });
+  return findAirspaceConflicts(waypoints, samples, state.airspaceLayers)
+    .map(({ segmentIndex, severity, message }) => ({ index: segmentIndex, severity, message }));
+}
+
+function boundsOverlap(a, b) {
+  return a.south <= b.north && a.north >= b.south && a.west <= b.east && a.east >= b.west;
+}
+
+// Parameter ranges of the leg (0 at its start, 1 at its end) that lie inside the zone
+function zoneLegIntervals(start, end, rings) {
+  const crossings = [0, 1];
+  rings.forEach((ring) => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+      const t = segmentIntersectionParameter(start, end, ring[j], ring[i]);
+      if (t != null) crossings.push(t);
+    }
+  });
+  crossings.sort((a, b) => a - b);
+
+  const intervals = [];
+  for (let k = 0; k < crossings.length - 1; k += 1) {
+    const [t0, t1] = [crossings[k], crossings[k + 1]];
+    const middle = (t0 + t1) / 2;
+    const point = [interpolateCoordinate(start[0], end[0], middle), interpolateCoordinate(start[1], end[1], middle)];
+    const inside = pointInPolygon(point, rings[0]) && !rings.slice(1).some((hole) => pointInPolygon(point, hole));
+    if (!inside) continue;
+    const last = intervals[intervals.length - 1];
+    if (last && last[1] === t0) {
+      last[1] = t1;
+    } else {
+      intervals.push([t0, t1]);
+    }
+  }
+  return intervals;
+}
+
+function segmentIntersectionParameter(a, b, c, d) {
+  const cross = (u, v) => u[0] * v[1] - u[1] * v[0];
+  const r = [b[0] - a[0], b[1] - a[1]];
+  const s = [d[0] - c[0], d[1] - c[1]];
+  const denominator = cross(r, s);
+  if (denominator === 0) return null;
+  const offset = [c[0] - a[0], c[1] - a[1]];
+  const t = cross(offset, s) / denominator;
+  const u = cross(offset, r) / denominator;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+}
+
+// Altitude span flown inside the given intervals, in the zone's altitude reference;
+// null when the route has not been sampled or the ground height is missing.
+function legAltitudeRange(legSamples, intervals, reference) {
+  if (legSamples.length === 0) return null;
+  const altitude = (planned, ground) => {
+    if (reference === 'amsl') return planned;
+    return ground == null ? null : planned - ground;
+  };
+  const altitudeAt = (t) => {
+    const index = legSamples.findIndex((sample) => sample.t >= t);
+    if (index <= 0) {
+      const sample = legSamples[index === 0 ? 0 : legSamples.length - 1];
+      return altitude(sample.plannedAltitude, sample.groundElevation);
+    }
+    const [a, b] = [legSamples[index - 1], legSamples[index]];
+    const ratio = (t - a.t) / (b.t - a.t);
+    const ground = a.groundElevation == null || b.groundElevation == null
+      ? null
+      : interpolateCoordinate(a.groundElevation, b.groundElevation, ratio);
+    return altitude(interpolateCoordinate(a.plannedAltitude, b.plannedAltitude, ratio), ground);
+  };
+
+  const values = intervals.flatMap(([t0, t1]) => [
+    altitudeAt(t0),
+    altitudeAt(t1),
+    ...legSamples.filter((sample) => sample.t > t0 && sample.t < t1).map((sample) => altitude(sample.plannedAltitude, sample.groundElevation))
+  ]);
+  if (values.some((value) => value == null)) return null;
+  return { min: Math.min(...values), max: Math.max(...values) };
+}
+
+function setRallyPlacement(active) {
+  if (active) cancelAreaDraft();
+  state.rallyPlacement = active;
+  addRallyPointBtn.textContent = active ? '追加を取消' : 'ラリーポイントを追加';
+  addRallyPointBtn.setAttribute('aria-pressed', String(active));
+  map.getCanvas().style.cursor = active ? 'crosshair' : '';
+}
+
+function addRallyPoint(latitude, longitude) {
+  state.rallyPoints.push({
+    id: createId('rally'),
+    latitude,
+    longitude,
+    altitude: Number(defaultAltitudeInput.value) || 0
+  });
+  setRallyPlacement(false);
+  handleRallyPointChange('ラリーポイントを追加');
+}
+
+function updateRallyPoint(id, updates) {
+  const point = state.rallyPoints.find((rally) => rally.id === id);
+  if (!point) return;
+  Object.assign(point, updates);
+  handleRallyPointChange('ラリーポイントを編集', `rally:${id}:${Object.keys(updates).join(',')}`);
+}
+
+function removeRallyPoint(id) {
+  state.rallyPoints = state.rallyPoints.filter((rally) => rally.id !== id);
+  handleRallyPointChange('ラリーポイントを削除');
+}
+
+function handleRallyPointChange(label, coalesceKey) {
+  recordHistory(label, coalesceKey);
+  renderRallyPointList();
+  renderWaypointsList();
+  refreshRallyMarkers();
+  refreshReachabilityPath();
+  updateElevationProfile();
+}
+
+function renderRallyPointList() {
+  rallyListElement.innerHTML = '';
+
+  if (state.rallyPoints.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = 'ラリーポイントはありません。';
+    empty.className = 'hint';
+    rallyListElement.appendChild(empty);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  state.rallyPoints.forEach((point, index) => {
+    const item = document.createElement('div');
+    item.className = 'fence-item';
+
+    const title = document.createElement('span');
+    title.className = 'fence-title';
+    title.textContent = `ラリーポイント ${index + 1}`;
+    item.appendChild(title);
+
+    item.appendChild(createLabeledInput('高度 (m)', 'number', point.altitude, (value) => updateRallyPoint(point.id, { altitude: Number(value) || 0 }), { step: 1 }));
+
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = '削除';
+    deleteButton.classList.add('danger');
+    deleteButton.addEventListener('click', () => removeRallyPoint(point.id));
+    item.appendChild(deleteButton);
+
+    fragment.appendChild(item);
+  });
+  rallyListElement.appendChild(fragment);
+}
+
+function refreshRallyMarkers() {
+  for (const marker of state.rallyMarkers.values()) {
+    marker.remove();
+  }
+  state.rallyMarkers.clear();
+
+  state.rallyPoints.forEach((point, index) => {
+    const element = document.createElement('div');
+    element.className = 'rally-marker';
+    element.textContent = 'R';
+    element.title = `ラリーポイント ${index + 1}\n高度: ${point.altitude}m`;
+
+    const marker = new maplibregl.Marker({ element, draggable: true })
+      .setLngLat([point.longitude, point.latitude])
+      .addTo(map);
+
+    marker.on('dragend', () => {
+      const lngLat = marker.getLngLat();
+      updateRallyPoint(point.id, { latitude: lngLat.lat, longitude: lngLat.lng });
+    });
+
+    state.rallyMarkers.set(point.id, marker);
+  });
+}
+
+function bindVehicleProfileInputs() {
+  try {
+    Object.assign(state.vehicle, JSON.parse(localStorage.getItem(VEHICLE_PROFILE_KEY) ?? 'null'));
+  } catch (error) {
+    console.warn(error);
+  }
+
+  document.querySelectorAll('[data-vehicle]').forEach((input) => {
+    const key = input.dataset.vehicle;
+    input.value = state.vehicle[key];
+    input.addEventListener('change', () => {
+      const value = Number(input.value);
+      if (!(value > 0) && key !== 'reservePercent') {
+        input.value = state.vehicle[key];
+        return;
+      }
+      state.vehicle[key] = Math.max(0, value);
+      localStorage.setItem(VEHICLE_PROFILE_KEY, JSON.stringify(state.vehicle));
+      renderWaypointsList();
+      refreshReachabilityPath();
+      updateElevationProfile();
+    });
+  });
+}
+
+function bindWindControls() {
+  try {
+    Object.assign(state.wind, JSON.parse(localStorage.getItem(WIND_SETTINGS_KEY) ?? 'null'));
+  } catch (error) {
+    console.warn(error);
+  }
+
+  document.getElementById('addWindLayerBtn').addEventListener('click', () => {
+    const top = state.wind.layers[state.wind.layers.length - 1];
+    state.wind.layers.push({ altitude: top ? top.altitude + 50 : 0, direction: top?.direction ?? 0, speed: top?.speed ?? 0 });
+    changeWind();
+  });
+  document.getElementById('clearWindBtn').addEventListener('click', () => {
+    state.wind.layers = [{ altitude: 0, direction: 0, speed: 0 }];
+    changeWind();
+  });
+  document.getElementById('windFileInput').addEventListener('change', importWindFile);
+  renderWindLayerList();
+}
+
+// Manual edits replace the forecast label, since the layers no longer match the file
+function changeWind(source = '') {
+  state.wind.layers.sort((a, b) => a.altitude - b.altitude);
+  state.wind.source = source;
+  localStorage.setItem(WIND_SETTINGS_KEY, JSON.stringify(state.wind));
+  renderWindLayerList();
+  renderWaypointsList();
+  updateElevationProfile();
+}
+
+function updateWindLayer(layer, key, value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || (key !== 'direction' && number < 0)) {
+    renderWindLayerList();
+    return;
+  }
+  layer[key] = key === 'direction' ? ((number % 360) + 360) % 360 : number;
+  changeWind();
+}
+
+function renderWindLayerList() {
+  windLayerList.innerHTML = '';
+  const fragment = document.createDocumentFragment();
+  state.wind.layers.forEach((layer, index) => {
+    const item = document.createElement('div');
+    item.className = 'fence-item';
+
+    const title = document.createElement('span');
+    title.className = 'fence-title';
+    title.textContent = state.wind.layers.length === 1 ? '一定の風' : `高度層 ${index + 1}`;
+    item.appendChild(title);
+
+    item.appendChild(createLabeledInput('対地高度 (m)', 'number', layer.altitude, (value) => updateWindLayer(layer, 'altitude', value), { min: 0, step: 10 }));
+    item.appendChild(createLabeledInput('風向 (°)', 'number', layer.direction, (value) => updateWindLayer(layer, 'direction', value), { min: 0, max: 359, step: 10 }));
+    item.appendChild(createLabeledInput('風速 (m/s)', 'number', layer.speed, (value) => updateWindLayer(layer, 'speed', value), { min: 0, step: 0.5 }));
+
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = '削除';
+    deleteButton.classList.add('danger');
+    deleteButton.disabled = state.wind.layers.length === 1;
+    deleteButton.addEventListener('click', () => {
+      state.wind.layers = state.wind.layers.filter((entry) => entry !== layer);
+      changeWind();
+    });
+    item.appendChild(deleteButton);
+
+    fragment.appendChild(item);
+  });
+  windLayerList.appendChild(fragment);
+  windStatus.textContent = state.wind.source ? `予報ファイル: ${state.wind.source}` : '';
+}
+
+async function importWindFile(event) {
+  const [file] = event.target.files ?? [];
+  event.target.value = '';
+  if (!file) return;
+
+  let forecast;
+  try {
+    forecast = windForecastFromText(await file.text(), file.name);
+  } catch (error) {
+    console.error(error);
+    alert(`${file.name} の読み込みに失敗しました。`);
+    return;
+  }
+  if (forecast.layers.length === 0) {
+    alert(`${file.name} に風向・風速のデータが含まれていません。`);
+    return;
+  }
+  state.wind.layers = forecast.layers;
+  changeWind(forecast.time ? `${file.name}（${forecast.time}）` : file.name);
+}
+
+// Accepts layer lists ({ altitude, direction, speed } in m and m/s) as JSON or CSV,
+// or an Open-Meteo hourly forecast, from which the hour closest to now is taken.
+function windForecastFromText(text, fileName) {
+  if (/\.csv$/i.test(fileName)) {
+    const [header, ...rows] = text.trim().split(/\r?\n/).map((line) => line.split(',').map((cell) => cell.trim()));
+    const records = rows.map((cells) => Object.fromEntries(header.map((key, index) => [key, cells[index]])));
+    return { layers: records.map(windLayerFromRecord).filter(Boolean), time: null };
+  }
+
+  const json = JSON.parse(text);
+  if (json?.hourly) return windForecastFromOpenMeteo(json);
+  const records = Array.isArray(json) ? json : json?.layers;
+  if (!Array.isArray(records)) throw new Error('no wind layers');
+  return { layers: records.map(windLayerFromRecord).filter(Boolean), time: null };
+}
+
+function windForecastFromOpenMeteo({ hourly, hourly_units: units = {} }) {
+  const now = Date.now();
+  const times = (hourly.time ?? []).map((time) => (typeof time === 'number' ? time * 1000 : Date.parse(time)));
+  let hour = 0;
+  times.forEach((time, index) => {
+    if (Math.abs(time - now) < Math.abs(times[hour] - now)) hour = index;
+  });
+
+  // Open-Meteo reports km/h unless another unit was requested
+  const toMetersPerSecond = { 'km/h': 1 / 3.6, 'm/s': 1, kn: 0.514444, mph: 0.44704 };
+  const layers = Object.keys(hourly)
+    .map((key) => key.match(/^wind_speed_(\d+)m$/))
+    .filter(Boolean)
+    .map(([key, height]) => windLayerFromRecord({
+      altitude: height,
+      direction: hourly[`wind_direction_${height}m`]?.[hour],
+      speed: hourly[key]?.[hour] * (toMetersPerSecond[units[key] ?? 'km/h'] ?? 1)
+    }))
+    .filter(Boolean);
+  return { layers, time: hourly.time?.[hour] ?? null };
+}
+
+function windLayerFromRecord(record) {
+  const number = (keys) => keys.map((key) => Number.parseFloat(record[key])).find(Number.isFinite);
+  const altitude = number(['altitude', 'height', '高度']) ?? 0;
+  const direction = number(['direction', 'windDirection', 'wind_direction', '風向']);
+  const speed = number(['speed', 'windSpeed', 'wind_speed', '風速']);
+  if (direction == null || !(speed >= 0)) return null;
+  return { altitude: Math.max(0, altitude), direction: ((direction % 360) + 360) % 360, speed };
+}
+
+// Layers are blended as wind vectors, so directions either side of north interpolate correctly
+function windAt(height, layers) {
+  if (layers.length === 0) return { direction: 0, speed: 0 };
+  const upper = layers.findIndex((layer) => layer.altitude >= height);
+  if (upper === 0) return layers[0];
+  if (upper === -1) return layers[layers.length - 1];
+
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const low = layers[upper - 1];
+  const high = layers[upper];
+  const t = (height - low.altitude) / (high.altitude - low.altitude);
+  const east = interpolateCoordinate(low.speed * Math.sin(toRad(low.direction)), high.speed * Math.sin(toRad(high.direction)), t);
+  const north = interpolateCoordinate(low.speed * Math.cos(toRad(low.direction)), high.speed * Math.cos(toRad(high.direction)), t);
+  return { direction: ((Math.atan2(east, north) * 180) / Math.PI + 360) % 360, speed: Math.hypot(east, north) };
+}
+
+// Directions are where the wind blows from. Headwind and crosswind are the components
+// along and across the track (crosswind positive from the right); the vehicle crabs into
+// the crosswind to hold the track. Ground speed is null when the track cannot be held.
+function windTriangle(course, airspeed, wind) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const angle = toRad(wind.direction - course);
+  const headwind = wind.speed * Math.cos(angle);
+  const crosswind = wind.speed * Math.sin(angle);
+  if (Math.abs(crosswind) >= airspeed) {
+    return { heading: course, crab: 0, groundSpeed: null, headwind, crosswind };
+  }
+  const crab = (Math.asin(crosswind / airspeed) * 180) / Math.PI;
+  const groundSpeed = airspeed * Math.cos(toRad(crab)) - headwind;
+  return {
+    heading: (course + crab + 360) % 360,
+    crab,
+    groundSpeed: groundSpeed > 0 ? groundSpeed : null,
+    headwind,
+    crosswind
+  };
+}
+
+function checkWindLimits(estimate, vehicle) {
+  const findings = [];
+  estimate?.waypoints.forEach((result, index) => {
+    if (result.hover && result.hover.crosswind > vehicle.maxHoverCrosswind) {
+      findings.push({
+        index,
+        severity: 'warning',
+        message: `地点 ${index + 1}: ${result.hover.type === 'takeoff' ? '離陸' : '着陸'}時の横風 ${result.hover.crosswind.toFixed(1)}m/s がホバー許容値 ${vehicle.maxHoverCrosswind}m/s を超えています。`
+      });
+    }
+    const leg = result.leg;
+    if (!leg) return;
+    if (leg.groundSpeed == null) {
+      findings.push({
+        index,
+        severity: 'error',
+        message: `区間 ${index + 1}→${index + 2}: 風速 ${leg.wind.speed.toFixed(1)}m/s に対して${flightPhaseLabels[leg.phase]}の対気速度が足りず、経路を維持できません。`
+      });
+    } else if (leg.headwind > vehicle.maxHeadwind) {
+      findings.push({
+        index,
+        severity: 'warning',
+        message: `区間 ${index + 1}→${index + 2}: 向かい風 ${leg.headwind.toFixed(1)}m/s が許容値 ${vehicle.maxHeadwind}m/s を超えています（対地速度 ${leg.groundSpeed.toFixed(1)}m/s）。`
+      });
+    }
+  });
+  return findings;
+}
+
+function renderWindFindings() {
+  windFindingsElement.innerHTML = '';
+  if (!state.flightEstimate || state.wind.layers.every((layer) => layer.speed === 0)) return;
+
+  if (state.windFindings.length === 0) {
+    const entry = document.createElement('li');
+    entry.className = 'ok';
+    entry.textContent = '風の制限を超える区間はありません。';
+    windFindingsElement.appendChild(entry);
+    return;
+  }
+
+  state.windFindings.forEach((finding) => {
+    const entry = document.createElement('li');
+    entry.className = finding.severity;
+    entry.textContent = finding.message;
+    windFindingsElement.appendChild(entry);
+  });
+}
+
+// One arrow per leg for the wind at its mean height, plus the surface wind at each takeoff
+function refreshWindArrows() {
+  const source = map.getSource('wind-arrows');
+  if (!source) return;
+
+  const waypointsById = new Map(state.waypoints.map((wp) => [wp.id, wp]));
+  const results = state.flightEstimate?.waypoints ?? [];
+  const features = [];
+  results.forEach((result, index) => {
+    const wp = waypointsById.get(result.id);
+    if (!wp) return;
+    if (result.hover?.type === 'takeoff') {
+      features.push(windArrowFeature(wp.latitude, wp.longitude, windAt(0, state.wind.layers), false));
+    }
+    const next = result.leg && waypointsById.get(results[index + 1]?.id);
+    if (next) {
+      const exceeded = state.windFindings.some((finding) => finding.index === index);
+      features.push(windArrowFeature((wp.latitude + next.latitude) / 2, (wp.longitude + next.longitude) / 2, result.leg.wind, exceeded));
+    }
+  });
+
+  source.setData({
+    type: 'FeatureCollection',
+    features: features.filter(Boolean)
+  });
+}
+
+function windArrowFeature(lat, lon, wind, exceeded) {
+  if (!(wind.speed > 0)) return null;
+  const length = wind.speed * WIND_ARROW_SECONDS;
+  const downwind = (wind.direction + 180) % 360;
+  const tail = destinationPoint(lat, lon, wind.direction, length / 2);
+  const tip = destinationPoint(lat, lon, downwind, length / 2);
+  const barbs = [-25, 25].map((offset) => destinationPoint(tip[0], tip[1], wind.direction + offset, length * 0.3));
+  const toLngLat = ([pointLat, pointLon]) => [pointLon, pointLat];
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'MultiLineString',
+      coordinates: [
+        [tail, tip].map(toLngLat),
+        [barbs[0], tip, barbs[1]].map(toLngLat)
+      ]
+    },
+    properties: {
+      direction: wind.direction,
+      speed: wind.speed,
+      exceeded
+    }
+  };
+}
+
+function bindCoordinateControls() {
+  try {
+    Object.assign(state.coordinateSettings, JSON.parse(localStorage.getItem(COORDINATE_SETTINGS_KEY) ?? 'null'));
+  } catch (error) {
+    console.warn(error);
+  }
+  if (!JGD_PLANE_ZONES[state.coordinateSettings.planeZone - 1]) state.coordinateSettings.planeZone = 'auto';
+
+  const formatSelect = document.getElementById('coordinateFormat');
+  const zoneSelect = document.getElementById('planeZone');
+  [['auto', '自動（所在地から推定）'], ...JGD_PLANE_ZONE_NAMES.map((name, index) => [String(index + 1), `第${name}系`])].forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    zoneSelect.appendChild(option);
+  });
+  formatSelect.value = state.coordinateSettings.format;
+  zoneSelect.value = String(state.coordinateSettings.planeZone);
+  formatSelect.addEventListener('change', () => changeCoordinateSettings({ format: formatSelect.value }));
+  zoneSelect.addEventListener('change', () => changeCoordinateSettings({ planeZone: zoneSelect.value === 'auto' ? 'auto' : Number(zoneSelect.value) }));
+
+  document.getElementById('coordinatePasteBtn').addEventListener('click', addWaypointsFromText);
+  document.getElementById('geoidFileInput').addEventListener('change', importGeoidFile);
+  loadGeoidModel();
+}
+
+function changeCoordinateSettings(updates) {
+  Object.assign(state.coordinateSettings, updates);
+  localStorage.setItem(COORDINATE_SETTINGS_KEY, JSON.stringify(state.coordinateSettings));
+  emitWaypointChange();
+}
+
+function waypointPlaneZone(wp) {
+  const { planeZone } = state.coordinateSettings;
+  return planeZone === 'auto' ? estimatePlaneZone(wp.latitude, wp.longitude) : planeZone;
+}
+
+function planeZoneLabel(zone) {
+  return `第${JGD_PLANE_ZONE_NAMES[zone - 1]}系${state.coordinateSettings.planeZone === 'auto' ? '・推定' : ''}`;
+}
+
+function planeFieldLabel(wp, field) {
+  return `${field === 'planeX' ? 'X' : 'Y'} (m, ${planeZoneLabel(waypointPlaneZone(wp))})`;
+}
+
+function formatWaypointPosition(wp) {
+  switch (state.coordinateSettings.format) {
+    case 'dms':
+      return `${formatDms(wp.latitude, false)} ${formatDms(wp.longitude, true)}`;
+    case 'plane': {
+      const zone = waypointPlaneZone(wp);
+      const { x, y } = planeFromLatLon(wp.latitude, wp.longitude, zone);
+      return `${planeZoneLabel(zone)} X ${x.toFixed(3)} Y ${y.toFixed(3)}`;
+    }
+    case 'mgrs':
+      return mgrsFromLatLon(wp.latitude, wp.longitude) ?? 'MGRS 範囲外';
+    default:
+      return `${wp.latitude.toFixed(7)}, ${wp.longitude.toFixed(7)}`;
+  }
+}
+
+// The position fields follow the coordinate format chosen in the settings panel
+function createPositionInputs(wp) {
+  const setPosition = (position) => {
+    if (!position) {
+      alert('座標を解釈できません。');
+      patchWaypointCards();
+      return;
+    }
+    updateWaypoint(wp.id, position);
+  };
+
+  switch (state.coordinateSettings.format) {
+    case 'dms':
+      return ['latitude', 'longitude'].map((field) => withField(createLabeledInput(field === 'latitude' ? '緯度' : '経度', 'text', waypointFieldValue(wp, field), (value) => {
+        const parsed = parseDms(value, field === 'longitude');
+        setPosition(parsed == null ? null : { [field]: parsed });
+      }), field));
+    case 'plane':
+      return ['planeX', 'planeY'].map((field) => withField(createLabeledInput(planeFieldLabel(wp, field), 'number', waypointFieldValue(wp, field), (value) => {
+        const number = Number.parseFloat(value);
+        if (!Number.isFinite(number)) {
+          setPosition(null);
+          return;
+        }
+        // Edited in the zone the card shows, even if the new position falls in another one
+        const zone = waypointPlaneZone(wp);
+        const current = planeFromLatLon(wp.latitude, wp.longitude, zone);
+        setPosition(field === 'planeX' ? latLonFromPlane(number, current.y, zone) : latLonFromPlane(current.x, number, zone));
+      }, { step: 'any' }), field));
+    case 'mgrs': {
+      const input = withField(createLabeledInput('MGRS', 'text', waypointFieldValue(wp, 'mgrs'), (value) => setPosition(latLonFromMgrs(value))), 'mgrs');
+      input.classList.add('span-2');
+      return [input];
+    }
+    default:
+      return [
+        withField(createLabeledInput('緯度', 'number', wp.latitude.toFixed(7), (value) => updateWaypoint(wp.id, { latitude: parseFloat(value) || wp.latitude }), { step: 'any' }), 'latitude'),
+        withField(createLabeledInput('経度', 'number', wp.longitude.toFixed(7), (value) => updateWaypoint(wp.id, { longitude: parseFloat(value) || wp.longitude }), { step: 'any' }), 'longitude')
+      ];
+  }
+}
+
+// Lines without any digits, such as a header row, are skipped. Nothing is added while any line fails.
+function addWaypointsFromText() {
+  const { format, planeZone } = state.coordinateSettings;
+  if (format === 'plane' && planeZone === 'auto') {
+    alert('平面直角座標を貼り付けるときは系を指定してください。');
+    return;
+  }
+
+  const points = [];
+  const failedLines = [];
+  coordinatePasteInput.value.split(/\r?\n/).forEach((line, index) => {
+    if (!/\d/.test(line)) return;
+    const point = parseCoordinateLine(line, format, planeZone);
+    if (point) {
+      points.push(point);
+    } else {
+      failedLines.push(index + 1);
+    }
+  });
+  if (failedLines.length > 0) {
+    alert(`${coordinateFormatLabels[format]}として解釈できない行があります: ${failedLines.join(', ')} 行目`);
+    return;
+  }
+  if (points.length === 0) {
+    alert('貼り付けた座標がありません。');
+    return;
+  }
+
+  const type = newWaypointTypeSelect.value;
+  const defaultAltitude = Number(defaultAltitudeInput.value) || 0;
+  points.forEach(({ latitude, longitude, altitude }) => {
+    state.waypoints.push({ id: createId('wp'), type, latitude, longitude, altitude: altitude ?? defaultAltitude, note: '' });
+  });
+  coordinatePasteInput.value = '';
+  recordHistory(`座標から ${points.length} 地点を追加`);
+  emitWaypointChange({ fit: true });
+}
+
+function openGeoidDatabase() {
+  if (!geoidDbPromise) {
+    geoidDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('このブラウザでは IndexedDB を利用できません。'));
+        return;
+      }
+      const request = window.indexedDB.open(GEOID_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('models', { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return geoidDbPromise;
+}
+
+async function geoidStore(mode = 'readonly') {
+  const db = await openGeoidDatabase();
+  return db.transaction('models', mode).objectStore('models');
+}
+
+async function loadGeoidModel() {
+  try {
+    state.geoid = (await idbRequest((await geoidStore()).get('active'))) ?? null;
+  } catch (error) {
+    console.warn(error);
+  }
+  renderGeoidStatus();
+  state.estimateElements.forEach((element, id) => fillWaypointEstimate(element, id));
+}
+
+async function importGeoidFile(event) {
+  const [file] = event.target.files ?? [];
+  event.target.value = '';
+  if (!file) return;
+
+  let grid;
+  try {
+    grid = parseGeoidGrid(await file.text());
+  } catch (error) {
+    console.error(error);
+    alert(`${file.name} はジオイドモデルとして読み込めません。`);
+    return;
+  }
+  state.geoid = { id: 'active', name: file.name, ...grid };
+  renderGeoidStatus();
+  state.estimateElements.forEach((element, id) => fillWaypointEstimate(element, id));
+  // The model stays usable for the session even when it cannot be persisted
+  try {
+    await idbRequest((await geoidStore('readwrite')).put(state.geoid));
+  } catch (error) {
+    console.warn(error);
+    geoidStatus.textContent += `\n保存できません: ${error.message}`;
+  }
+}
+
+function renderGeoidStatus() {
+  geoidStatus.textContent = state.geoid
+    ? `ジオイドモデル: ${state.geoid.name}（${state.geoid.rows}×${state.geoid.cols} 点）`
+    : 'ジオイドモデル未読込';
+}
+
+// GSIGEO2011 ASCII grids start with "lat0 lon0 dlat dlon rows cols ikind version" and list the
+// heights row by row from the south-west corner; 999 marks cells outside the model.
+function parseGeoidGrid(text) {
+  const headerEnd = text.indexOf('\n');
+  const [lat0, lon0, dlat, dlon, rows, cols] = text.slice(0, headerEnd).trim().split(/\s+/).map(Number);
+  if (![lat0, lon0, dlat, dlon, rows, cols].every(Number.isFinite) || rows < 2 || cols < 2 || dlat <= 0 || dlon <= 0) {
+    throw new Error('invalid geoid header');
+  }
+
+  const values = new Float32Array(rows * cols);
+  const pattern = /\S+/g;
+  pattern.lastIndex = headerEnd;
+  let count = 0;
+  let match;
+  while (count < values.length && (match = pattern.exec(text))) {
+    values[count] = Number(match[0]);
+    count += 1;
+  }
+  if (count < values.length || values.some(Number.isNaN)) throw new Error('incomplete geoid grid');
+  // The header rounds the spacing (1′ is written as 0.016667), which drifts across 1800 rows
+  const snap = (degrees) => Math.round(degrees * 3600) / 3600;
+  return { lat0, lon0, dlat: snap(dlat), dlon: snap(dlon), rows, cols, values };
+}
+
+// Bilinear interpolation; null outside the model or next to a missing cell
+function geoidHeight(lat, lon) {
+  const grid = state.geoid;
+  if (!grid) return null;
+  const epsilon = 1e-9;
+  const rawRow = (lat - grid.lat0) / grid.dlat;
+  const rawCol = (lon - grid.lon0) / grid.dlon;
+  if (!(rawRow >= -epsilon && rawCol >= -epsilon && rawRow <= grid.rows - 1 + epsilon && rawCol <= grid.cols - 1 + epsilon)) return null;
+  const row = Math.min(Math.max(rawRow, 0), grid.rows - 1);
+  const col = Math.min(Math.max(rawCol, 0), grid.cols - 1);
+
+  const r = Math.min(Math.floor(row), grid.rows - 2);
+  const c = Math.min(Math.floor(col), grid.cols - 2);
+  const at = (i, j) => grid.values[i * grid.cols + j];
+  const corners = [at(r, c), at(r, c + 1), at(r + 1, c), at(r + 1, c + 1)];
+  if (corners.some((value) => value >= 999)) return null;
+  const fr = row - r;
+  const fc = col - c;
+  return (corners[0] * (1 - fc) + corners[1] * fc) * (1 - fr) + (corners[2] * (1 - fc) + corners[3] * fc) * fr;
+}
+
+function collectLandingSites(waypoints, rallyPoints) {
+  const sites = rallyPoints.map((point, index) => ({
+    label: `ラリーポイント ${index + 1}`,
+    latitude: point.latitude,
+    longitude: point.longitude
+  }));
+  waypoints.forEach((wp, index) => {
+    if (wp.type === 'landing') {
+      sites.push({ label: `${index + 1}. ${typeLabels.landing}`, latitude: wp.latitude, longitude: wp.longitude });
+    }
+  });
+  return sites;
+}
+
+// Energy used so far comes from the flight estimate, interpolated along each leg. The divert is
+// flown in the leg's phase through the leg's wind, to whichever site costs the least energy.
+function analyzeLandingReachability(positions, sites, settings, estimate) {
+  if (sites.length === 0 || !estimate) return [];
+
+  const reserveEnergy = (settings.batteryCapacity * settings.reservePercent) / 100;
+  const landingEnergy = (settings.hoverPower * settings.landingDuration) / 3600;
+
+  return positions.map((position) => {
+    const from = estimate.waypoints[position.segmentIndex];
+    const consumedEnergy = from.energy + from.leg.energy * position.t;
+    const fixed = from.leg.phase === 'fixed';
+    const airspeed = fixed ? settings.cruiseSpeed : settings.hoverSpeed;
+    const power = fixed ? settings.cruisePower : settings.hoverPower;
+
+    let best = null;
+    sites.forEach((site) => {
+      const siteDistance = haversineDistance(position.lat, position.lon, site.latitude, site.longitude);
+      const course = initialBearing(position.lat, position.lon, site.latitude, site.longitude);
+      const groundSpeed = siteDistance > 0 ? windTriangle(course, airspeed, from.leg.wind).groundSpeed : airspeed;
+      // A site the wind keeps the vehicle from reaching is only chosen when none can be reached
+      const divertTime = groundSpeed == null ? null : siteDistance / groundSpeed + settings.landingDuration;
+      const divertEnergy = divertTime == null ? Infinity : (power * (divertTime - settings.landingDuration)) / 3600 + landingEnergy;
+      if (!best || divertEnergy < best.divertEnergy || (divertEnergy === best.divertEnergy && siteDistance < best.siteDistance)) {
+        best = { site, siteDistance, divertTime, divertEnergy };
+      }
+    });
+
+    const remainingEnergy = settings.batteryCapacity - consumedEnergy - best.divertEnergy;
+    return {
+      distance: position.distance,
+      lat: position.lat,
+      lon: position.lon,
+      ...best,
+      remainingEnergy,
+      violation: remainingEnergy < reserveEnergy
+    };
+  });
+}
+
+function renderReachabilitySummary() {
+  const results = state.reachability;
+  if (state.waypoints.length < 2 || !state.flightEstimate) {
+    reachabilitySummary.textContent = '';
+    reachabilitySummary.classList.remove('warning');
+    return;
+  }
+  if (results.length === 0) {
+    reachabilitySummary.textContent = 'ラリーポイントまたは着陸地点がないため、緊急着陸の到達性を評価できません。';
+    reachabilitySummary.classList.add('warning');
+    return;
+  }
+
+  const worst = results.reduce((a, b) => (b.remainingEnergy < a.remainingEnergy ? b : a));
+  const farthest = results.reduce((a, b) => (b.siteDistance > a.siteDistance ? b : a));
+  const violations = results.filter((result) => result.violation);
+  const lines = [
+    farthest.divertTime == null
+      ? `最遠の退避距離: ${Math.round(farthest.siteDistance)}m（${farthest.site.label}まで、風のため到達できません）`
+      : `最遠の退避距離: ${Math.round(farthest.siteDistance)}m（${farthest.site.label}まで約${Math.ceil(farthest.divertTime / 60)}分）`,
+    worst.divertTime == null
+      ? `退避できない地点: ${Math.round(worst.distance)}m（向かい風で経路を維持できません）`
+      : `退避後の最小残量: ${Math.round(worst.remainingEnergy)}Wh（${Math.round(worst.distance)}m 地点）`
+  ];
+  if (violations.length > 0) {
+    lines.push(`予備 ${state.vehicle.reservePercent}% を下回る地点: ${Math.round(violations[0].distance)}m 〜 ${Math.round(violations[violations.length - 1].distance)}m`);
+  }
+  reachabilitySummary.textContent = lines.join('\n');
+  reachabilitySummary.classList.toggle('warning', violations.length > 0);
+}
+
+function refreshReachabilityPath() {
+  const source = map.getSource('reachability');
+  if (!source) return;
+
+  const lines = [];
+  const results = state.reachability;
+  for (let i = 0; i < results.length - 1; i += 1) {
+    if (!results[i].violation && !results[i + 1].violation) continue;
+    const coordinate = [results[i + 1].lon, results[i + 1].lat];
+    const current = lines[lines.length - 1];
+    if (current && current.endIndex === i) {
+      current.coordinates.push(coordinate);
+      current.endIndex = i + 1;
+    } else {
+      lines.push({ coordinates: [[results[i].lon, results[i].lat], coordinate], endIndex: i + 1 });
+    }
+  }
+
+  source.setData({
+    type: 'Feature',
+    geometry: {
+      type: 'MultiLineString',
+      coordinates: lines.map((line) => line.coordinates)
+    },
+    properties: {}
+  });
+}
+
+function createSurvey(polygon) {
+  const template = state.surveys.find((survey) => survey.id === state.selectedSurveyId);
+  const survey = {
+    ...surveyDefaults,
+    ...(template ? copySurveySettings(template) : { camera: { ...cameraPresets[0], landscape: true } }),
+    id: createId('survey'),
+    polygon
+  };
+  state.surveys.push(survey);
+  state.selectedSurveyId = survey.id;
+  applySurveyToPlan(survey, 'サーベイを追加');
+}
+
+function copySurveySettings(survey) {
+  const { id, polygon, ...settings } = survey;
+  return { ...settings, camera: { ...survey.camera } };
+}
+
+function updateSurvey(id, updates) {
+  const survey = state.surveys.find((item) => item.id === id);
+  if (!survey) return;
+  Object.assign(survey, updates);
+  applySurveyToPlan(survey, 'サーベイを編集', `survey:${id}:${Object.keys(updates).join(',')}`);
+}
+
+function removeSurvey(id) {
+  state.surveys = state.surveys.filter((survey) => survey.id !== id);
+  state.waypoints = state.waypoints.filter((wp) => wp.surveyId !== id);
+  if (state.selectedSurveyId === id) {
+    state.selectedSurveyId = null;
+  }
+  recordHistory('サーベイを削除');
+  renderSurveyList();
+  emitWaypointChange();
+}
+
+function selectSurvey(id) {
+  state.selectedSurveyId = id;
+  renderSurveyList();
+  refreshPlanAreas();
+}
+
+function applySurveyToPlan(survey, label, coalesceKey) {
+  const generated = buildSurveyWaypoints(survey);
+  const firstIndex = state.waypoints.findIndex((wp) => wp.surveyId === survey.id);
+  const remaining = state.waypoints.filter((wp) => wp.surveyId !== survey.id);
+
+  let insertAt = firstIndex;
+  if (insertAt === -1) {
+    // New surveys are flown before the approach and landing phase
+    insertAt = remaining.findIndex((wp) => wp.type === 'transition_to_rotary' || wp.type === 'landing');
+    if (insertAt === -1) insertAt = remaining.length;
+  }
+  remaining.splice(insertAt, 0, ...generated);
+  state.waypoints = remaining;
+  recordHistory(label, coalesceKey);
+
+  renderSurveyList();
+  emitWaypointChange({ fit: firstIndex === -1 });
+}
+
+function bindSurveyEditor() {
+  [...cameraPresets.map((camera) => camera.name), CUSTOM_CAMERA_NAME].forEach((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    surveyCameraSelect.appendChild(option);
+  });
+
+  surveyCameraSelect.addEventListener('change', () => {
+    const survey = getSelectedSurvey();
+    if (!survey) return;
+    const preset = cameraPresets.find((camera) => camera.name === surveyCameraSelect.value);
+    const camera = preset
+      ? { ...preset, landscape: survey.camera.landscape }
+      : { ...survey.camera, name: CUSTOM_CAMERA_NAME };
+    updateSurvey(survey.id, { camera });
+  });
+
+  surveyEditor.querySelectorAll('[data-survey-camera]').forEach((input) => {
+    input.addEventListener('change', () => {
+      const survey = getSelectedSurvey();
+      if (!survey) return;
+      const key = input.dataset.surveyCamera;
+      const value = key === 'landscape' ? input.value === 'true' : Number(input.value);
+      if (key !== 'landscape' && !(value > 0)) {
+        renderSurveyEditor();
+        return;
+      }
+      // Changing the sensor or lens turns the preset into a custom camera
+      const name = key === 'landscape' ? survey.camera.name : CUSTOM_CAMERA_NAME;
+      updateSurvey(survey.id, { camera: { ...survey.camera, name, [key]: value } });
+    });
+  });
+
+  surveyEditor.querySelectorAll('[data-survey]').forEach((input) => {
+    input.addEventListener('change', () => {
+      const survey = getSelectedSurvey();
+      if (!survey) return;
+      const key = input.dataset.survey;
+      if (input.type === 'checkbox') {
+        updateSurvey(survey.id, { [key]: input.checked });
+        return;
+      }
+      const value = Number(input.value);
+      const valid = Number.isFinite(value) && (
+        key === 'angle' ||
+        (key === 'turnaroundDistance' && value >= 0) ||
+        (key === 'gsd' && value > 0) ||
+        ((key === 'frontalOverlap' || key === 'sideOverlap') && value >= 0 && value < 100)
+      );
+      if (!valid) {
+        renderSurveyEditor();
+        return;
+      }
+      updateSurvey(survey.id, { [key]: value });
+    });
+  });
+}
+
+function getSelectedSurvey() {
+  return state.surveys.find((survey) => survey.id === state.selectedSurveyId) ?? null;
+}
+
+function renderSurveyList() {
+  surveyListElement.innerHTML = '';
+
+  if (state.surveys.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = 'サーベイはありません。';
+    empty.className = 'hint';
+    surveyListElement.appendChild(empty);
+  }
+
+  const fragment = document.createDocumentFragment();
+  state.surveys.forEach((survey, index) => {
+    const item = document.createElement('div');
+    item.className = 'fence-item';
+    item.classList.toggle('selected', survey.id === state.selectedSurveyId);
+
+    const title = document.createElement('span');
+    title.className = 'fence-title';
+    title.textContent = `サーベイ ${index + 1}（${survey.camera.name}）`;
+    item.appendChild(title);
+
+    const editButton = document.createElement('button');
+    editButton.textContent = survey.id === state.selectedSurveyId ? '選択中' : '選択';
+    editButton.classList.add('secondary');
+    editButton.disabled = survey.id === state.selectedSurveyId;
+    editButton.addEventListener('click', () => selectSurvey(survey.id));
+    item.appendChild(editButton);
+
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = '削除';
+    deleteButton.classList.add('danger');
+    deleteButton.addEventListener('click', () => removeSurvey(survey.id));
+    item.appendChild(deleteButton);
+
+    fragment.appendChild(item);
+  });
+  surveyListElement.appendChild(fragment);
+  renderSurveyEditor();
+}
+
+function renderSurveyEditor() {
+  const survey = getSelectedSurvey();
+  surveyEditor.hidden = !survey;
+  if (!survey) {
+    surveyStats.textContent = '';
+    return;
+  }
+
+  surveyCameraSelect.value = survey.camera.name;
+  if (surveyCameraSelect.value !== survey.camera.name) {
+    surveyCameraSelect.value = CUSTOM_CAMERA_NAME;
+  }
+  surveyEditor.querySelectorAll('[data-survey-camera]').forEach((input) => {
+    input.value = String(survey.camera[input.dataset.surveyCamera]);
+  });
+  surveyEditor.querySelectorAll('[data-survey]').forEach((input) => {
+    if (input.type === 'checkbox') {
+      input.checked = Boolean(survey[input.dataset.survey]);
+    } else {
+      input.value = survey[input.dataset.survey];
+    }
+  });
+
+  const geometry = computeSurveyGeometry(survey);
+  const transects = generateSurveyTransects(survey.polygon, { ...survey, spacing: geometry.spacing });
+  const shots = countCameraShots(transects, geometry.triggerDistance);
+  const flightDistance = transects.reduce((total, transect) => total + haversineDistance(...transect.start, ...transect.end), 0);
+  surveyStats.textContent = [
+    `飛行高度: ${geometry.altitude.toFixed(1)}m`,
+    `撮影範囲: ${geometry.footprintSide.toFixed(1)}m × ${geometry.footprintFrontal.toFixed(1)}m`,
+    `測線間隔: ${geometry.spacing.toFixed(1)}m / 撮影間隔: ${geometry.triggerDistance.toFixed(1)}m`,
+    `測線: ${transects.length}本 / 撮影枚数: ${shots}枚 / 撮影距離: ${Math.round(flightDistance)}m`
+  ].join('\n');
+}
+
+function computeSurveyGeometry(survey) {
+  const { camera, gsd } = survey;
+  const gsdMeters = gsd / 100;
+  // Square pixels are assumed, so the pixel pitch comes from the sensor width alone
+  const altitude = (gsdMeters * camera.imageWidth * camera.focalLength) / camera.sensorWidth;
+  const footprintSide = gsdMeters * (camera.landscape ? camera.imageWidth : camera.imageHeight);
+  const footprintFrontal = gsdMeters * (camera.landscape ? camera.imageHeight : camera.imageWidth);
+  return {
+    altitude,
+    footprintSide,
+    footprintFrontal,
+    spacing: Math.max(footprintSide * (1 - survey.sideOverlap / 100), 0.1),
+    triggerDistance: Math.max(footprintFrontal * (1 - survey.frontalOverlap / 100), 0.1)
+  };
+}
+
+function generateSurveyTransects(polygon, options) {
+  const origin = [
+    polygon.reduce((sum, [lat]) => sum + lat, 0) / polygon.length,
+    polygon.reduce((sum, [, lon]) => sum + lon, 0) / polygon.length
+  ];
+  const theta = (options.angle * Math.PI) / 180;
+  const along = [Math.sin(theta), Math.cos(theta)];
+  const across = [Math.cos(theta), -Math.sin(theta)];
+  const local = polygon.map((point) => {
+    const [x, y] = projectToMeters(point, origin);
+    return [x * along[0] + y * along[1], x * across[0] + y * across[1]];
+  });
+  const toLatLon = (u, v) => unprojectFromMeters([u * along[0] + v * across[0], u * along[1] + v * across[1]], origin);
+
+  const vValues = local.map(([, v]) => v);
+  const vMin = Math.min(...vValues);
+  const vMax = Math.max(...vValues);
+  const lineCount = Math.max(1, Math.ceil((vMax - vMin) / options.spacing));
+  const offset = (vMax - vMin - (lineCount - 1) * options.spacing) / 2;
+
+  const lines = [];
+  for (let k = 0; k < lineCount; k += 1) {
+    const v = vMin + offset + k * options.spacing;
+    const crossings = [];
+    for (let i = 0, j = local.length - 1; i < local.length; j = i, i += 1) {
+      const [uA, vA] = local[j];
+      const [uB, vB] = local[i];
+      if ((vA <= v) !== (vB <= v)) {
+        crossings.push(uA + ((v - vA) * (uB - uA)) / (vB - vA));
+      }
+    }
+    crossings.sort((a, b) => a - b);
+    let segments = [];
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      segments.push({ v, u0: crossings[i], u1: crossings[i + 1] });
+    }
+    if (!options.splitConcavePolygons && segments.length > 1) {
+      segments = [{ v, u0: segments[0].u0, u1: segments[segments.length - 1].u1 }];
+    }
+    lines.push(segments);
+  }
+
+  const cells = splitTransectCells(lines);
+  const transects = [];
+  let forward = true;
+  cells.forEach((cell) => {
+    flightOrder(cell.length, options.flyAlternateTransects).forEach((index) => {
+      const { v, u0, u1 } = cell[index];
+      const [startU, endU] = forward ? [u0, u1] : [u1, u0];
+      const direction = forward ? 1 : -1;
+      transects.push({
+        entry: toLatLon(startU - direction * options.turnaroundDistance, v),
+        start: toLatLon(startU, v),
+        end: toLatLon(endU, v),
+        exit: toLatLon(endU + direction * options.turnaroundDistance, v)
+      });
+      forward = !forward;
+    });
+  });
+  return transects;
+}
+
+// Groups per-line segments into cells that can each be flown as one lawnmower
+// pattern; a line crossing a concave notch starts a new cell for each piece.
+function splitTransectCells(lines) {
+  const cells = [];
+  let active = [];
+  const overlaps = (a, b) => a.u0 <= b.u1 && b.u0 <= a.u1;
+
+  lines.forEach((segments) => {
+    const nextActive = [];
+    segments.forEach((segment) => {
+      const candidates = active.filter((cell) => overlaps(cell[cell.length - 1], segment));
+      const candidate = candidates.length === 1 ? candidates[0] : null;
+      const unique = candidate &&
+        !nextActive.includes(candidate) &&
+        segments.filter((other) => overlaps(candidate[candidate.length - 1], other)).length === 1;
+      if (unique) {
+        candidate.push(segment);
+        nextActive.push(candidate);
+      } else {
+        const cell = [segment];
+        cells.push(cell);
+        nextActive.push(cell);
+      }
+    });
+    active = nextActive;
+  });
+  return cells;
+}
+
+function flightOrder(count, alternate) {
+  const indices = Array.from({ length: count }, (_, index) => index);
+  if (!alternate) return indices;
+  const even = indices.filter((index) => index % 2 === 0);
+  const odd = indices.filter((index) => index % 2 === 1).reverse();
+  return [...even, ...odd];
+}
+
+function countCameraShots(transects, triggerDistance) {
+  return transects.reduce((total, transect) => {
+    const length = haversineDistance(...transect.start, ...transect.end);
+    return total + Math.floor(length / triggerDistance) + 1;
+  }, 0);
+}
+
+function buildSurveyWaypoints(survey) {
+  const geometry = computeSurveyGeometry(survey);
+  const transects = generateSurveyTransects(survey.polygon, { ...survey, spacing: geometry.spacing });
+  const altitude = Math.round(geometry.altitude * 10) / 10;
+  const waypoints = [];
+  const push = ([latitude, longitude], surveyRole) => {
+    waypoints.push({ id: createId('wp'), type: 'transit', latitude, longitude, altitude, note: '', surveyId: survey.id, surveyRole });
+  };
+
+  transects.forEach((transect) => {
+    if (survey.turnaroundDistance > 0) push(transect.entry, 'turnaround');
+    push(transect.start, 'entry');
+    push(transect.end, 'exit');
+    if (survey.turnaroundDistance > 0) push(transect.exit, 'turnaround');
+  });
+  return waypoints;
+}
+
+function fitMapToFlightPath() {
+  if (state.waypoints.length < 2) return;
+  const bounds = new maplibregl.LngLatBounds();
+  state.waypoints.forEach((wp) => bounds.extend([wp.longitude, wp.latitude]));
+  map.fitBounds(bounds, { padding: 60, duration: 1000 });
 }
 
 function toggleFullscreen() {
@@ -363,60 +4671,3489 @@ function toggleFullscreen() {
   setTimeout(() => map.resize(), 300);
 }
 
-function handleSavePlan() {
+function buildPlanDocument() {
+  return {
+    version: '1.0.0',
+    vehicleType: 'VTOL',
+    generatedAt: new Date().toISOString(),
+    description: 'VTOL Flight Plan',
+    altitudeReference: state.altitudeReference,
+    minTerrainClearance: state.minTerrainClearance,
+    geoFence: state.geoFence,
+    rallyPoints: state.rallyPoints,
+    surveys: state.surveys,
+    waypoints: state.waypoints
+  };
+}
+
+async function handleSavePlan() {
+  if (state.waypoints.length < 2) {
+    alert('少なくとも2つのウェイポイントが必要です。');
+    return;
+  }
+
+  const plan = buildPlanDocument();
+  const issues = validatePlan(plan) ? [] : schemaErrorIssues(validatePlan.errors);
+  issues.push(...checkMissionSequence(plan.waypoints, plan.altitudeReference));
+  issues.push(...await checkAirspaceIssues(plan.waypoints));
+  if (!(await confirmPlanIssues(issues, '保存'))) return;
+
+  downloadJson(plan, `vtol-plan-${fileTimestamp()}.plan`);
+}
+
+async function handleExportQgcPlan() {
+  if (state.waypoints.length < 2) {
+    alert('少なくとも2つのウェイポイントが必要です。');
+    return;
+  }
+
+  const issues = [
+    ...checkMissionSequence(state.waypoints, state.altitudeReference),
+    ...checkSurveyContiguity(state.waypoints, state.surveys),
+    ...await checkAirspaceIssues(state.waypoints)
+  ];
+  if (!(await confirmPlanIssues(issues, '書き出し'))) return;
+
+  try {
+    const [validateQgcPlan, qgcPlan] = await Promise.all([
+      getQgcPlanValidator(),
+      buildQgcPlan(state)
+    ]);
+
+    if (!validateQgcPlan(qgcPlan)) {
+      console.error(validateQgcPlan.errors);
+      await confirmPlanIssues(schemaErrorIssues(validateQgcPlan.errors, null), '書き出し');
+      return;
+    }
+
+    downloadJson(qgcPlan, `vtol-qgc-${fileTimestamp()}.plan`);
+  } catch (error) {
+    console.error(error);
+    alert('QGroundControl 形式での書き出しに失敗しました。');
+  }
+}
+
+async function handleExportGis() {
+  if (state.waypoints.length < 2) {
+    alert('少なくとも2つのウェイポイントが必要です。');
+    return;
+  }
+
+  const format = gisFormats[gisFormatSelect.value];
+  const filename = `vtol-plan-${fileTimestamp()}.${format.extension}`;
+  try {
+    const altitudes = await resolveExportAltitudes(state);
+    if (format === gisFormats.geojson) {
+      downloadJson(buildGeoJsonPlan(state, altitudes), filename);
+      return;
+    }
+
+    if (!altitudes) {
+      alert('標高データを取得できないため、離陸地点基準・対地高度を海抜高度に変換できません。');
+      return;
+    }
+
+    if (format === gisFormats.gpx) {
+      downloadBlob(new Blob([buildGpxPlan(state, altitudes)], { type: format.mimeType }), filename);
+      if (state.geoFence.polygons.length + state.geoFence.circles.length + state.surveys.length > 0) {
+        alert('GPX は領域を表現できないため、ジオフェンスとサーベイ範囲は書き出していません。');
+      }
+      return;
+    }
+
+    const kml = buildKmlPlan(state, altitudes);
+    if (format === gisFormats.kmz) {
+      if (!window.JSZip) throw new Error('JSZip is not available');
+      const zip = new window.JSZip();
+      zip.file('doc.kml', kml);
+      downloadBlob(await zip.generateAsync({ type: 'blob', mimeType: format.mimeType, compression: 'DEFLATE' }), filename);
+    } else {
+      downloadBlob(new Blob([kml], { type: format.mimeType }), filename);
+    }
+  } catch (error) {
+    console.error(error);
+    alert(`${format.label} での書き出しに失敗しました。`);
+  }
+}
+
+// KML and GPX only know heights above sea level or ground, so every waypoint (and the
+// takeoff ground for rally points) has to be resolvable from the DEM before writing.
+async function resolveExportAltitudes({ waypoints, altitudeReference, rallyPoints }) {
+  const altitudes = await resolveWaypointAltitudes(waypoints, altitudeReference);
+  const takeoffIndex = Math.max(0, waypoints.findIndex((wp) => wp.type === 'takeoff'));
+  const originKnown = altitudes[takeoffIndex].ground != null;
+  if (rallyPoints.length > 0 && !originKnown) return null;
+
+  const complete = waypoints.every((wp, index) => {
+    switch (wp.altitudeReference ?? altitudeReference) {
+      case 'amsl':
+        return true;
+      case 'agl':
+        return altitudes[index].ground != null;
+      case 'relative':
+      default:
+        return originKnown;
+    }
+  });
+  return complete ? altitudes : null;
+}
+
+// GIS tools read Z as a height above sea level, so positions carry the resolved AMSL altitude.
+// When the DEM cannot resolve it, positions stay 2D and the altitude is only in properties.
+function buildGeoJsonPlan({ waypoints, altitudeReference, geoFence, rallyPoints, surveys }, altitudes) {
+  const position = (longitude, latitude, amsl) => (altitudes ? [longitude, latitude, roundAltitude(amsl)] : [longitude, latitude]);
+  const waypointPositions = waypoints.map((wp, index) => position(wp.longitude, wp.latitude, altitudes?.[index].amsl));
+  const route = {
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: waypointPositions
+    },
+    properties: {
+      kind: 'route',
+      altitudeReference,
+      altitudes: waypoints.map((wp) => wp.altitude),
+      altitudeReferences: waypoints.map((wp) => wp.altitudeReference ?? altitudeReference),
+      types: waypoints.map((wp) => wp.type),
+      notes: waypoints.map((wp) => wp.note ?? '')
+    }
+  };
+
+  return {
+    type: 'FeatureCollection',
+    name: 'VTOL Flight Plan',
+    features: [
+      route,
+      ...waypoints.map((wp, index) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: waypointPositions[index] },
+        properties: waypointGisProperties(wp, index, altitudeReference)
+      })),
+      ...rallyPoints.map((point) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: position(point.longitude, point.latitude, altitudes?.[0].origin + point.altitude) },
+        properties: { kind: 'rally', altitude: point.altitude }
+      })),
+      ...gisAreaFeatures(geoFence, surveys)
+    ]
+  };
+}
+
+function waypointGisProperties(wp, index, planReference) {
+  const properties = {
+    kind: 'waypoint',
+    index,
+    type: wp.type,
+    typeLabel: typeLabels[wp.type],
+    altitude: wp.altitude,
+    altitudeReference: wp.altitudeReference ?? planReference,
+    note: wp.note ?? ''
+  };
+  if (wp.surveyId) properties.surveyId = wp.surveyId;
+  if (wp.surveyRole) properties.surveyRole = wp.surveyRole;
+  return properties;
+}
+
+function gisAreaFeatures(geoFence, surveys) {
+  const polygonFeature = (ring, properties) => ({
+    type: 'Feature',
+    geometry: { type: 'Polygon', coordinates: [ring] },
+    properties
+  });
+
+  return [
+    ...geoFence.polygons.map((fence) => polygonFeature(
+      closeRing(fence.polygon.map(([lat, lon]) => [lon, lat])),
+      { kind: 'geofence', shape: 'polygon', inclusion: fence.inclusion }
+    )),
+    ...geoFence.circles.map((fence) => polygonFeature(
+      circleRing(fence.center[0], fence.center[1], fence.radius),
+      { kind: 'geofence', shape: 'circle', inclusion: fence.inclusion, center: [...fence.center], radius: fence.radius }
+    )),
+    ...surveys.map((survey) => polygonFeature(
+      closeRing(survey.polygon.map(([lat, lon]) => [lon, lat])),
+      { kind: 'survey', id: survey.id, ...copySurveySettings(survey) }
+    ))
+  ];
+}
+
+function buildKmlPlan({ waypoints, altitudeReference, geoFence, rallyPoints, surveys }, altitudes) {
+  const origin = altitudes[0].origin;
+  const routeCoordinates = waypoints.map((wp, index) => [wp.longitude, wp.latitude, roundAltitude(altitudes[index].amsl)]);
+  const waypointPlacemarks = waypoints.map((wp, index) => {
+    const properties = waypointGisProperties(wp, index, altitudeReference);
+    const altitudeMode = kmlAltitudeModes[properties.altitudeReference];
+    const height = altitudeMode === 'absolute' ? roundAltitude(altitudes[index].amsl) : wp.altitude;
+    return kmlPlacemark(
+      `${index + 1}. ${typeLabels[wp.type]}`,
+      wp.note,
+      `#waypoint-${wp.type}`,
+      kmlGeometry('Point', [[wp.longitude, wp.latitude, height]], altitudeMode),
+      properties
+    );
+  });
+  const rallyPlacemarks = rallyPoints.map((point, index) => kmlPlacemark(
+    `ラリーポイント ${index + 1}`,
+    '',
+    '#rally',
+    kmlGeometry('Point', [[point.longitude, point.latitude, roundAltitude(origin + point.altitude)]], 'absolute'),
+    { kind: 'rally', altitude: point.altitude }
+  ));
+  const areaPlacemarks = gisAreaFeatures(geoFence, surveys).map((feature) => {
+    const { kind, inclusion } = feature.properties;
+    const name = kind === 'survey' ? 'サーベイ範囲' : `ジオフェンス（${inclusion ? '包含' : '除外'}）`;
+    const style = kind === 'survey' ? '#survey' : `#fence-${inclusion ? 'inclusion' : 'exclusion'}`;
+    return kmlPlacemark(name, '', style, kmlGeometry('Polygon', feature.geometry.coordinates[0], 'clampToGround'), feature.properties);
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    '<name>VTOL Flight Plan</name>',
+    kmlLineStyle('route', '#0066cc', 3),
+    ...Object.keys(typeLabels).map((type) => `<Style id="waypoint-${type}"><IconStyle><color>${kmlColor(typeColors[type])}</color></IconStyle></Style>`),
+    `<Style id="rally"><IconStyle><color>${kmlColor('#1971c2')}</color></IconStyle></Style>`,
+    kmlPolygonStyle('fence-inclusion', '#1c7ed6'),
+    kmlPolygonStyle('fence-exclusion', '#c92a2a'),
+    kmlPolygonStyle('survey', '#2b8a3e'),
+    '<Folder><name>ルート</name>',
+    kmlPlacemark('飛行ルート', '', '#route', kmlGeometry('LineString', routeCoordinates, 'absolute'), {
+      kind: 'route',
+      types: waypoints.map((wp) => wp.type),
+      notes: waypoints.map((wp) => wp.note ?? '')
+    }),
+    '</Folder>',
+    '<Folder><name>ウェイポイント</name>',
+    ...waypointPlacemarks,
+    '</Folder>',
+    '<Folder><name>ラリーポイント</name>',
+    ...rallyPlacemarks,
+    '</Folder>',
+    '<Folder><name>領域</name>',
+    ...areaPlacemarks,
+    '</Folder>',
+    '</Document>',
+    '</kml>'
+  ].join('\n');
+}
+
+function kmlPlacemark(name, description, styleUrl, geometry, properties) {
+  const data = Object.entries(properties).map(([key, value]) => {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return `<Data name="${escapeXml(key)}"><value>${escapeXml(text)}</value></Data>`;
+  });
+  return [
+    '<Placemark>',
+    `<name>${escapeXml(name)}</name>`,
+    description ? `<description>${escapeXml(description)}</description>` : '',
+    `<styleUrl>${styleUrl}</styleUrl>`,
+    `<ExtendedData>${data.join('')}</ExtendedData>`,
+    geometry,
+    '</Placemark>'
+  ].filter(Boolean).join('\n');
+}
+
+function kmlGeometry(type, coordinates, altitudeMode) {
+  const text = coordinates.map((coordinate) => coordinate.join(',')).join(' ');
+  if (type === 'Polygon') {
+    return `<Polygon><altitudeMode>${altitudeMode}</altitudeMode><outerBoundaryIs><LinearRing><coordinates>${text}</coordinates></LinearRing></outerBoundaryIs></Polygon>`;
+  }
+  return `<${type}><altitudeMode>${altitudeMode}</altitudeMode><coordinates>${text}</coordinates></${type}>`;
+}
+
+function kmlLineStyle(id, color, width) {
+  return `<Style id="${id}"><LineStyle><color>${kmlColor(color)}</color><width>${width}</width></LineStyle></Style>`;
+}
+
+function kmlPolygonStyle(id, color) {
+  return `<Style id="${id}"><LineStyle><color>${kmlColor(color)}</color><width>2</width></LineStyle><PolyStyle><color>${kmlColor(color, '40')}</color></PolyStyle></Style>`;
+}
+
+// KML colours are aabbggrr
+function kmlColor(hex, alpha = 'ff') {
+  const [, r, g, b] = hex.match(/^#(..)(..)(..)$/);
+  return `${alpha}${b}${g}${r}`;
+}
+
+function buildGpxPlan({ waypoints, altitudeReference, rallyPoints }, altitudes) {
+  const origin = altitudes[0].origin;
+  const extensions = (altitude, reference) => [
+    '<extensions>',
+    `<vtol:altitude>${altitude}</vtol:altitude>`,
+    reference ? `<vtol:altitudeReference>${reference}</vtol:altitudeReference>` : '',
+    '</extensions>'
+  ].join('');
+
+  const rallyElements = rallyPoints.map((point, index) => [
+    `<wpt lat="${point.latitude}" lon="${point.longitude}">`,
+    `<ele>${roundAltitude(origin + point.altitude)}</ele>`,
+    `<name>ラリーポイント ${index + 1}</name>`,
+    '<type>rally</type>',
+    extensions(point.altitude),
+    '</wpt>'
+  ].join(''));
+  const routePoints = waypoints.map((wp, index) => [
+    `<rtept lat="${wp.latitude}" lon="${wp.longitude}">`,
+    `<ele>${roundAltitude(altitudes[index].amsl)}</ele>`,
+    `<name>${index + 1}. ${escapeXml(typeLabels[wp.type])}</name>`,
+    wp.note ? `<desc>${escapeXml(wp.note)}</desc>` : '',
+    `<type>${wp.type}</type>`,
+    extensions(wp.altitude, wp.altitudeReference ?? altitudeReference),
+    '</rtept>'
+  ].join(''));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="VTOL Flight Planner" xmlns="http://www.topografix.com/GPX/1/1" xmlns:vtol="${GPX_EXTENSION_NS}">`,
+    `<metadata><name>VTOL Flight Plan</name><time>${new Date().toISOString()}</time></metadata>`,
+    ...rallyElements,
+    '<rte>',
+    '<name>VTOL Route</name>',
+    ...routePoints,
+    '</rte>',
+    '</gpx>'
+  ].join('\n');
+}
+
+function roundAltitude(value) {
+  return Math.round(value * 100) / 100;
+}
+
+async function handleOpenReport() {
+  if (state.waypoints.length < 2) {
+    alert('少なくとも2つのウェイポイントが必要です。');
+    return;
+  }
+  // Opened before anything is awaited, while the click still allows pop-ups
+  const reportWindow = window.open('', '_blank');
+  if (!reportWindow) {
+    alert('ポップアップがブロックされたため、資料を開けません。');
+    return;
+  }
+  reportWindow.document.body.textContent = 'ブリーフィング資料を作成しています…';
+
+  try {
+    const altitudes = await resolveWaypointAltitudes(state.waypoints, state.altitudeReference);
+    const estimate = estimateFlight(state.waypoints, altitudes, state.vehicle, state.wind);
+    const html = buildReportHtml({
+      title: planNameInput.value || UNTITLED_PLAN_NAME,
+      estimate,
+      findings: collectReportFindings(buildPlanDocument(), estimate),
+      mapImage: await captureRouteSnapshot(),
+      profileImage: profileCanvas.width > 0 ? profileCanvas.toDataURL('image/png') : null
+    });
+    reportWindow.document.open();
+    reportWindow.document.write(html);
+    reportWindow.document.close();
+  } catch (error) {
+    console.error(error);
+    reportWindow.close();
+    alert('ブリーフィング資料の作成に失敗しました。');
+  }
+}
+
+// The checks shown while editing, gathered in one list for the printed report
+function collectReportFindings(plan, estimate) {
+  const findings = validatePlan(plan) ? [] : schemaErrorIssues(validatePlan.errors);
+  plan.waypoints.forEach((wp, index) => {
+    findings.push(...waypointCardIssues(index).map((issue) => ({ ...issue, index })));
+  });
+  findings.push(...state.terrainFindings.map(({ message }) => ({ index: null, severity: 'warning', message })));
+  findings.push(...state.airspaceConflicts.map(({ severity, message }) => ({ index: null, severity, message })));
+  findings.push(...checkWindLimits(estimate, state.vehicle).map(({ severity, message }) => ({ index: null, severity, message })));
+  if (estimate.reserveBreachIndex !== -1) {
+    findings.push({ index: estimate.reserveBreachIndex, severity: 'warning', message: `バッテリー残量が予備 ${state.vehicle.reservePercent}% を下回ります。` });
+  }
+  if (state.reachability.some((result) => result.violation)) {
+    findings.push({ index: null, severity: 'warning', message: '予備を残して緊急着陸地点に到達できない区間があります。' });
+  }
+  return findings;
+}
+
+// The WebGL buffer can only be read in the frame that drew it, so the map is copied from a render
+// callback once the fitted view has loaded (or the timeout passes). The camera is put back afterwards.
+function captureRouteSnapshot() {
+  const camera = { center: map.getCenter(), zoom: map.getZoom(), bearing: map.getBearing(), pitch: map.getPitch() };
+  const bounds = new maplibregl.LngLatBounds();
+  state.waypoints.forEach((wp) => bounds.extend([wp.longitude, wp.latitude]));
+  map.jumpTo({ bearing: 0, pitch: 0 });
+  map.fitBounds(bounds, { padding: 60, animate: false });
+
+  return new Promise((resolve) => {
+    const capture = () => {
+      clearTimeout(timer);
+      map.off('idle', capture);
+      map.once('render', () => {
+        let image = null;
+        try {
+          image = drawRouteSnapshot();
+        } catch (error) {
+          console.warn(error);
+        }
+        map.jumpTo(camera);
+        resolve(image);
+      });
+      map.triggerRepaint();
+    };
+    const timer = setTimeout(capture, REPORT_SNAPSHOT_TIMEOUT);
+    map.once('idle', capture);
+  });
+}
+
+// Waypoints sharing a spot, such as takeoff and landing, get one label listing every number
+function drawRouteSnapshot() {
+  const source = map.getCanvas();
+  const ratio = source.clientWidth > 0 ? source.width / source.clientWidth : 1;
+  const canvas = document.createElement('canvas');
+  canvas.width = source.width;
+  canvas.height = source.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(source, 0, 0);
+  ctx.scale(ratio, ratio);
+
+  const labels = new Map();
+  state.waypoints.forEach((wp, index) => {
+    const { x, y } = map.project([wp.longitude, wp.latitude]);
+    const key = `${Math.round(x)},${Math.round(y)}`;
+    const label = labels.get(key) ?? { x, y, numbers: [] };
+    label.numbers.push(index + 1);
+    labels.set(key, label);
+  });
+
+  ctx.font = 'bold 12px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineWidth = 1;
+  labels.forEach(({ x, y, numbers }) => {
+    const text = numbers.join(', ');
+    const width = Math.max(18, ctx.measureText(text).width + 8);
+    const left = x - width - 6;
+    const top = y - 24;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+    ctx.strokeStyle = '#212529';
+    ctx.fillRect(left, top, width, 16);
+    ctx.strokeRect(left, top, width, 16);
+    ctx.fillStyle = '#212529';
+    ctx.fillText(text, left + width / 2, top + 8);
+  });
+  return canvas.toDataURL('image/png');
+}
+
+function buildReportHtml({ title, estimate, findings, mapImage, profileImage }) {
+  const { format } = state.coordinateSettings;
+  const rows = state.waypoints.map((wp, index) => {
+    const result = estimate.waypoints[index];
+    const previousLeg = index > 0 ? estimate.waypoints[index - 1].leg : null;
+    const agl = result.ground == null ? '—' : (result.amsl - result.ground).toFixed(1);
+    const cells = [
+      index + 1,
+      typeLabels[wp.type],
+      formatWaypointPosition(wp),
+      `${wp.altitude}（${altitudeReferenceLabels[effectiveAltitudeReference(wp)]}）`,
+      agl,
+      previousLeg ? Math.round(previousLeg.distance) : '—',
+      formatDuration(result.arrivalTime),
+      wp.note
+    ];
+    return `<tr>${cells.map((cell) => `<td>${escapeXml(cell)}</td>`).join('')}</tr>`;
+  });
+  const windText = state.wind.layers.some((layer) => layer.speed > 0)
+    ? state.wind.layers.map((layer) => `${layer.altitude}m: ${Math.round(layer.direction)}° ${layer.speed.toFixed(1)}m/s`).join(' / ')
+    : '無風として計算';
+  const summary = [
+    ['作成日時', new Date().toLocaleString('ja-JP')],
+    ['総飛行距離', `${(estimate.totalDistance / 1000).toFixed(2)}km`],
+    ['予定飛行時間', `${formatDuration(estimate.totalTime)}（回転翼 ${formatDuration(estimate.phaseTimes.hover)} / 固定翼 ${formatDuration(estimate.phaseTimes.fixed)}）`],
+    ['消費電力量', `${estimate.totalEnergy.toFixed(0)}Wh / ${state.vehicle.batteryCapacity}Wh（着陸時残量 ${estimate.remainingPercent.toFixed(0)}%）`],
+    ['高度基準', altitudeReferenceLabels[state.altitudeReference]],
+    ['風', windText + (state.wind.source ? `（${state.wind.source}）` : '')]
+  ];
+  const findingItems = findings.length > 0
+    ? findings.map((finding) => `<li class="${finding.severity}">${escapeXml(planIssueText(finding))}</li>`).join('')
+    : '<li>指摘事項はありません。</li>';
+  const signOffRoles = ['操縦者', '補助者・監視員', '安全管理者', '承認者'];
+
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8">
+<title>${escapeXml(title)} — 飛行前ブリーフィング資料</title>
+<style>
+  @page { size: A4; margin: 12mm; }
+  body { font-family: sans-serif; font-size: 10pt; color: #212529; margin: 1.5rem; }
+  h1 { font-size: 16pt; margin: 0 0 0.5rem; }
+  h2 { font-size: 12pt; border-bottom: 1px solid #adb5bd; margin: 1.2rem 0 0.5rem; }
+  section { break-inside: avoid; }
+  img { max-width: 100%; border: 1px solid #adb5bd; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #adb5bd; padding: 0.2rem 0.4rem; text-align: left; vertical-align: top; }
+  th { background: #f1f3f5; }
+  thead { display: table-header-group; }
+  tr { break-inside: avoid; }
+  .summary th { width: 8rem; }
+  .caption { font-size: 8pt; color: #666; margin: 0.2rem 0 0; }
+  li.error { color: #c92a2a; }
+  li.warning { color: #b35c00; }
+  .notes { height: 7rem; border: 1px solid #adb5bd; }
+  .sign-off td { height: 2.2rem; }
+  @media print { .no-print { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<button class="no-print" onclick="window.print()">印刷 / PDF 保存</button>
+<h1>${escapeXml(title)} — 飛行前ブリーフィング資料</h1>
+<section>
+<table class="summary">${summary.map(([label, value]) => `<tr><th>${escapeXml(label)}</th><td>${escapeXml(value)}</td></tr>`).join('')}</table>
+</section>
+<section>
+<h2>飛行経路</h2>
+${mapImage ? `<img src="${mapImage}" alt="飛行経路の地図">` : '<p>地図画像を取得できませんでした。</p>'}
+<p class="caption">番号はウェイポイントの順番です。背景地図 © OpenStreetMap contributors</p>
+</section>
+<section>
+<h2>高度断面</h2>
+${profileImage ? `<img src="${profileImage}" alt="高度断面">` : '<p>高度断面はありません。</p>'}
+</section>
+<h2>ウェイポイント</h2>
+<table>
+<thead><tr><th>No.</th><th>種別</th><th>座標（${escapeXml(coordinateFormatLabels[format])}）</th><th>高度 (m)</th><th>対地 (m)</th><th>区間距離 (m)</th><th>到着 (累計)</th><th>備考</th></tr></thead>
+<tbody>${rows.join('')}</tbody>
+</table>
+<section>
+<h2>検証結果</h2>
+<ul>${findingItems}</ul>
+</section>
+<section>
+<h2>備考・特記事項</h2>
+<div class="notes"></div>
+</section>
+<section>
+<h2>確認・署名</h2>
+<table class="sign-off">
+<thead><tr><th>役割</th><th>氏名</th><th>署名</th><th>日時</th></tr></thead>
+<tbody>${signOffRoles.map((role) => `<tr><th>${role}</th><td></td><td></td><td></td></tr>`).join('')}</tbody>
+</table>
+</section>
+</body>
+</html>`;
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&apos;'
+  })[char]);
+}
+
+// Walks the VTOL flight phases (ground → hover → fixed-wing → hover → landed) and
+// reports ordering mistakes that the JSON schema cannot express.
+function checkMissionSequence(waypoints, planReference) {
+  const issues = [];
+  const add = (index, severity, message) => issues.push({ index, severity, message });
+  if (waypoints.length === 0) return issues;
+
+  let phase = 'hover';
+  if (waypoints[0].type !== 'takeoff') {
+    add(0, 'error', 'ミッションは離陸地点から始めてください。');
+  }
+
+  waypoints.forEach((wp, index) => {
+    if (phase === 'landed') {
+      add(index, 'error', '着陸地点より後に地点があります。');
+      return;
+    }
+
+    switch (wp.type) {
+      case 'takeoff':
+        if (index !== 0) {
+          add(index, 'error', '離陸地点はミッションの最初に1つだけ置いてください。');
+        }
+        break;
+      case 'transition_to_fixed':
+        if (phase === 'fixed') {
+          add(index, 'error', '既に固定翼モードです。固定翼移行が重複しています。');
+        }
+        phase = 'fixed';
+        break;
+      case 'transit':
+        if (phase === 'hover') {
+          add(index, 'error', '回転翼モードのまま経由地点へ向かいます。先に固定翼移行地点を置いてください。');
+        }
+        break;
+      case 'transition_to_rotary':
+        if (phase !== 'fixed') {
+          add(index, 'error', '固定翼モードではないため、回転翼へ移行できません。');
+        }
+        phase = 'hover';
+        break;
+      case 'landing':
+        if (phase === 'fixed') {
+          add(index, 'error', '固定翼モードのまま着陸します。先に回転翼移行地点を置いてください。');
+        }
+        phase = 'landed';
+        break;
+      default:
+        break;
+    }
+  });
+
+  if (phase !== 'landed') {
+    add(waypoints.length - 1, 'error', 'ミッションが着陸地点で終わっていません。');
+  }
+
+  waypoints.forEach((wp, index) => {
+    const next = waypoints[index + 1];
+    if (!next) return;
+    const distance = haversineDistance(wp.latitude, wp.longitude, next.latitude, next.longitude);
+
+    if (wp.type === 'transition_to_fixed' && distance < vtolSequenceRules.minForwardTransitionLeg) {
+      add(index, 'warning', `固定翼移行後の区間が ${distance.toFixed(0)}m しかありません（加速に ${vtolSequenceRules.minForwardTransitionLeg}m 以上を推奨）。`);
+    }
+    // The vehicle slows down on the way into the back transition, not after it
+    if (next.type === 'transition_to_rotary' && distance < vtolSequenceRules.minBackTransitionLeg) {
+      add(index + 1, 'warning', `回転翼移行前の区間が ${distance.toFixed(0)}m しかありません（減速に ${vtolSequenceRules.minBackTransitionLeg}m 以上を推奨）。`);
+    }
+  });
+
+  // Legs flown in hover should keep their altitude; climbs and descents belong above a single point
+  let legPhase = 'ground';
+  waypoints.forEach((wp, index) => {
+    legPhase = nextFlightPhase(legPhase, wp.type);
+    const next = waypoints[index + 1];
+    if (legPhase !== 'hover' || !next) return;
+    if ((wp.altitudeReference ?? planReference) !== (next.altitudeReference ?? planReference)) return;
+    const change = Math.abs(next.altitude - wp.altitude);
+    if (change > vtolSequenceRules.maxHoverAltitudeChange) {
+      add(index + 1, 'warning', `回転翼モードの区間で高度が ${change.toFixed(0)}m 変化します（${vtolSequenceRules.maxHoverAltitudeChange}m 以内を推奨）。`);
+    }
+  });
+
+  return issues.sort((a, b) => a.index - b.index);
+}
+
+// Flight mode the vehicle is in after passing a waypoint of the given type
+function nextFlightPhase(phase, type) {
+  switch (type) {
+    case 'takeoff':
+    case 'transition_to_rotary':
+      return 'hover';
+    case 'transition_to_fixed':
+      return 'fixed';
+    case 'landing':
+      return 'landed';
+    default:
+      return phase;
+  }
+}
+
+function schemaErrorIssues(errors, indexPath = '/waypoints/') {
+  return (errors ?? []).map((error) => {
+    const match = indexPath && error.instancePath.startsWith(indexPath)
+      ? error.instancePath.slice(indexPath.length).match(/^\d+/)
+      : null;
+    return {
+      index: match ? Number(match[0]) : null,
+      severity: 'error',
+      message: `スキーマ不適合 ${error.instancePath || '/'}: ${error.message}`
+    };
+  });
+}
+
+function planIssueText(issue) {
+  const location = issue.index == null ? '' : `${issue.index + 1}. ${typeLabels[state.waypoints[issue.index]?.type] ?? ''} — `;
+  return `[${issueSeverityLabels[issue.severity]}] ${location}${issue.message}`;
+}
+
+// Blocks on errors; warnings can be acknowledged and the action continued
+function confirmPlanIssues(issues, actionLabel) {
+  if (issues.length === 0) return Promise.resolve(true);
+
+  const errorCount = issues.filter((issue) => issue.severity === 'error').length;
+  const warningCount = issues.length - errorCount;
+  planIssuesSummary.textContent = errorCount > 0
+    ? `エラー ${errorCount}件 / 警告 ${warningCount}件。エラーを解消するまで${actionLabel}できません。`
+    : `警告 ${warningCount}件。内容を確認のうえ${actionLabel}してください。`;
+  planIssuesProceedBtn.hidden = errorCount > 0;
+  planIssuesProceedBtn.textContent = `警告を確認して${actionLabel}`;
+
+  planIssuesList.innerHTML = '';
+  issues.forEach((issue) => {
+    const entry = document.createElement('li');
+    entry.className = issue.severity;
+    entry.textContent = planIssueText(issue);
+    planIssuesList.appendChild(entry);
+  });
+
+  return new Promise((resolve) => {
+    planIssuesDialog.addEventListener('close', () => resolve(errorCount === 0 && planIssuesDialog.returnValue === 'proceed'), { once: true });
+    planIssuesDialog.returnValue = '';
+    planIssuesDialog.showModal();
+  });
+}
+
+function getQgcPlanValidator() {
+  if (!qgcValidatorPromise) {
+    qgcValidatorPromise = fetch(QGC_SCHEMA_URL)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`スキーマ取得に失敗しました: ${response.status}`);
+        }
+        return response.json();
+      })
+      .then((schema) => new window.ajv2020.default({ allErrors: true, strict: false }).compile(schema))
+      .catch((error) => {
+        qgcValidatorPromise = null;
+        throw error;
+      });
+  }
+  return qgcValidatorPromise;
+}
+
+async function buildQgcPlan({ waypoints: planWaypoints, altitudeReference, geoFence, rallyPoints, surveys, vehicle }) {
+  const waypoints = planWaypoints.map((wp) => ({ ...wp, altitudeReference: wp.altitudeReference ?? altitudeReference }));
+  const home = waypoints.find((wp) => wp.type === 'takeoff') ?? waypoints[0];
+  const homeElevation = await getElevationFromTile(home.latitude, home.longitude);
+
+  let nextJumpId = 1;
+  const numbered = (item) => ({ ...item, doJumpId: nextJumpId++ });
+  const items = [];
+  for (let i = 0; i < waypoints.length; i += 1) {
+    const survey = surveys.find((item) => item.id === waypoints[i].surveyId);
+    if (!survey) {
+      toQgcItems(waypoints[i]).forEach((item) => items.push(numbered(item)));
+      continue;
+    }
+
+    let end = i;
+    while (end + 1 < waypoints.length && waypoints[end + 1].surveyId === survey.id) end += 1;
+    const surveyWaypoints = waypoints.slice(i, end + 1);
+    const geometry = computeSurveyGeometry(survey);
+    const surveyItems = surveyWaypoints.flatMap((wp) => toQgcSurveyItems(wp, geometry)).map(numbered);
+    items.push(toQgcSurveyComplexItem(survey, surveyWaypoints, surveyItems, geometry));
+    i = end;
+  }
+
+  return {
+    fileType: 'Plan',
+    version: 1,
+    groundStation: 'QGroundControl',
+    mission: {
+      version: 2,
+      firmwareType: qgcDefaults.firmwareType,
+      vehicleType: qgcDefaults.vehicleType,
+      cruiseSpeed: vehicle.cruiseSpeed,
+      hoverSpeed: vehicle.hoverSpeed,
+      plannedHomePosition: [home.latitude, home.longitude, homeElevation ?? 0],
+      items
+    },
+    geoFence: {
+      version: 2,
+      circles: geoFence.circles.map((fence) => ({
+        circle: { center: [...fence.center], radius: fence.radius },
+        inclusion: fence.inclusion,
+        version: 1
+      })),
+      polygons: geoFence.polygons.map((fence) => ({
+        inclusion: fence.inclusion,
+        polygon: fence.polygon.map(([lat, lon]) => [lat, lon]),
+        version: 1
+      }))
+    },
+    rallyPoints: {
+      version: 2,
+      points: rallyPoints.map(({ latitude, longitude, altitude }) => ({ latitude, longitude, altitude }))
+    }
+  };
+}
+
+function toQgcItems(wp) {
+  const preserved = (wp.preservedItems ?? []).map((item) => ({
+    type: 'SimpleItem',
+    autoContinue: item.autoContinue ?? true,
+    command: item.command,
+    frame: item.frame,
+    params: [...item.params]
+  }));
+  const actions = wp.actions ?? [];
+  const loiters = actions.filter((action) => waypointActionTypes[action.type].navigation).map((action) => {
+    const { command, params } = waypointActionTypes[action.type].toItem(action);
+    return qgcNavItem(command, wp, params);
+  });
+  const actionItems = actions.filter((action) => !waypointActionTypes[action.type].navigation).map(qgcActionItem);
+  return [...toQgcNavItems(wp, loiters, actionItems), ...preserved];
+}
+
+function qgcActionItem(action) {
+  const { command, frame = MAV_FRAME.MISSION, params } = waypointActionTypes[action.type].toItem(action);
+  return {
+    type: 'SimpleItem',
+    autoContinue: true,
+    command,
+    frame,
+    params
+  };
+}
+
+// Tries every action that imports this command; the first one accepting the params wins. An action
+// is only used when writing it back gives the same item, so anything it does not model (another
+// frame, a heading, a shot count) leaves the item preserved as it is.
+function waypointActionFromQgcItem(item) {
+  for (const [type, definition] of Object.entries(waypointActionTypes)) {
+    const entry = Object.entries(definition.imports).find(([name]) => MAV_CMD[name] === item.command);
+    const fields = entry?.[1](item.params);
+    const action = fields ? { type, ...fields } : null;
+    if (action && qgcActionRoundTrips(item, definition.toItem(action), definition.navigation)) return action;
+  }
+  return null;
+}
+
+// Navigation actions take their position and altitude frame from the waypoint, so only the
+// leading params are compared. Null and NaN both mean an unset param.
+function qgcActionRoundTrips(item, written, navigation) {
+  const { command, frame = MAV_FRAME.MISSION, params } = written;
+  if (command !== item.command || (!navigation && frame !== item.frame)) return false;
+  const unset = (value) => value == null || Number.isNaN(value);
+  return params.every((value, index) => {
+    const original = item.params[index];
+    return unset(value) ? unset(original) : value === original;
+  });
+}
+
+// Trigger distance the waypoint already carries, as an action or a preserved command from an imported survey
+function surveyTriggerDistance(wp) {
+  const action = (wp.actions ?? []).find((entry) => entry.type === 'camera_distance');
+  if (action) return action.distance;
+  const preserved = (wp.preservedItems ?? []).find((item) => item.command === MAV_CMD.DO_SET_CAM_TRIGG_DIST);
+  return preserved ? preserved.params[0] : null;
+}
+
+function toQgcSurveyItems(wp, geometry) {
+  const items = toQgcItems(wp);
+  if (surveyTriggerDistance(wp) != null) return items;
+  if (wp.surveyRole === 'entry') {
+    items.splice(1, 0, qgcCameraTriggerItem(geometry.triggerDistance));
+  } else if (wp.surveyRole === 'exit') {
+    items.splice(1, 0, qgcCameraTriggerItem(0));
+  }
+  return items;
+}
+
+// A QGC survey is one ComplexItem, so its waypoints have to be flown in one run
+function checkSurveyContiguity(waypoints, surveys) {
+  const finished = new Set();
+  const issues = [];
+  waypoints.forEach((wp, index) => {
+    const previousSurveyId = waypoints[index - 1]?.surveyId;
+    if (previousSurveyId && previousSurveyId !== wp.surveyId) finished.add(previousSurveyId);
+    if (wp.surveyId && wp.surveyId !== previousSurveyId && finished.has(wp.surveyId)) {
+      const surveyIndex = surveys.findIndex((survey) => survey.id === wp.surveyId);
+      issues.push({
+        index,
+        severity: 'error',
+        message: `サーベイ ${surveyIndex + 1} の地点が途中で分断されています。QGroundControl 形式では1つのサーベイとして連続させてください。`
+      });
+    }
+  });
+  return issues;
+}
+
+function toQgcSurveyComplexItem(survey, surveyWaypoints, surveyItems, geometry) {
+  const { camera } = survey;
+  const transectPoints = surveyWaypoints
+    .filter((wp) => wp.surveyRole === 'entry' || wp.surveyRole === 'exit')
+    .map((wp) => [wp.latitude, wp.longitude]);
+  const transects = [];
+  for (let i = 0; i + 1 < transectPoints.length; i += 2) {
+    transects.push({ start: transectPoints[i], end: transectPoints[i + 1] });
+  }
+
+  return {
+    type: 'ComplexItem',
+    complexItemType: 'survey',
+    version: 5,
+    angle: survey.angle,
+    entryLocation: 0,
+    flyAlternateTransects: Boolean(survey.flyAlternateTransects),
+    splitConcavePolygons: Boolean(survey.splitConcavePolygons),
+    polygon: survey.polygon.map(([lat, lon]) => [lat, lon]),
+    TransectStyleComplexItem: {
+      version: 1,
+      CameraCalc: {
+        version: 1,
+        CameraName: camera.name,
+        FocalLength: camera.focalLength,
+        SensorWidth: camera.sensorWidth,
+        SensorHeight: camera.sensorHeight,
+        ImageWidth: camera.imageWidth,
+        ImageHeight: camera.imageHeight,
+        DistanceToSurface: geometry.altitude,
+        FrontalOverlap: survey.frontalOverlap,
+        SideOverlap: survey.sideOverlap,
+        AdjustedFootprintFrontal: geometry.triggerDistance,
+        AdjustedFootprintSide: geometry.spacing,
+        ImageDensity: survey.gsd,
+        Landscape: camera.landscape,
+        MinTriggerInterval: 0,
+        ValueSetIsDistance: false
+      },
+      Items: surveyItems,
+      CameraShots: countCameraShots(transects, geometry.triggerDistance),
+      CameraTriggerInTurnAround: false,
+      FollowTerrain: false,
+      TurnAroundDistance: survey.turnaroundDistance,
+      VisualTransectPoints: transectPoints
+    }
+  };
+}
+
+function qgcCameraTriggerItem(distance) {
+  return {
+    type: 'SimpleItem',
+    autoContinue: true,
+    command: MAV_CMD.DO_SET_CAM_TRIGG_DIST,
+    frame: MAV_FRAME.MISSION,
+    params: [distance, 0, 1, 0, 0, 0, 0]
+  };
+}
+
+// Loiters replace the plain NAV_WAYPOINT; at takeoff they follow the climb. A landing point with
+// actions is first flown to like a transit point, so the actions run before the descent and
+// import can tell they belong to the landing rather than to the waypoint before it.
+function toQgcNavItems(wp, loiters = [], actionItems = []) {
+  const [arrival = qgcNavItem(MAV_CMD.NAV_WAYPOINT, wp, [0, 0, 0, null]), ...extraLoiters] = loiters;
+  switch (wp.type) {
+    case 'takeoff':
+      return [qgcNavItem(MAV_CMD.NAV_VTOL_TAKEOFF, wp, [0, 0, 0, null]), ...loiters, ...actionItems];
+    case 'landing': {
+      const land = qgcNavItem(MAV_CMD.NAV_VTOL_LAND, wp, [0, 0, null, null]);
+      return loiters.length + actionItems.length > 0 ? [arrival, ...extraLoiters, ...actionItems, land] : [land];
+    }
+    case 'transition_to_fixed':
+      // Fly to the transition point first so its position survives the round trip
+      return [arrival, ...extraLoiters, qgcTransitionItem(MAV_VTOL_STATE.FW), ...actionItems];
+    case 'transition_to_rotary':
+      return [arrival, ...extraLoiters, qgcTransitionItem(MAV_VTOL_STATE.MC), ...actionItems];
+    case 'transit':
+    default:
+      return [arrival, ...extraLoiters, ...actionItems];
+  }
+}
+
+function qgcNavItem(command, wp, leadingParams) {
+  const { frame, altitudeMode } = qgcAltitudeModes[wp.altitudeReference ?? 'relative'];
+  return {
+    type: 'SimpleItem',
+    autoContinue: true,
+    command,
+    frame,
+    params: [...leadingParams, wp.latitude, wp.longitude, wp.altitude],
+    Altitude: wp.altitude,
+    AltitudeMode: altitudeMode,
+    AMSLAltAboveTerrain: null
+  };
+}
+
+function qgcTransitionItem(vtolState) {
+  return {
+    type: 'SimpleItem',
+    autoContinue: true,
+    command: MAV_CMD.DO_VTOL_TRANSITION,
+    frame: MAV_FRAME.MISSION,
+    params: [vtolState, 0, 0, 0, 0, 0, 0]
+  };
+}
+
+function downloadJson(data, filename) {
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), filename);
+}
+
+function downloadBlob(blob, filename) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(link.href);
+}
+
+function fileTimestamp() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+function openPlanDatabase() {
+  if (!planDbPromise) {
+    planDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('このブラウザでは IndexedDB を利用できません。'));
+        return;
+      }
+      const request = window.indexedDB.open(PLAN_DB_NAME, PLAN_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('plans', { keyPath: 'id' });
+        const revisions = db.createObjectStore('revisions', { keyPath: 'id', autoIncrement: true });
+        revisions.createIndex('planId', 'planId');
+        db.createObjectStore('session');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return planDbPromise;
+}
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function planStore(name, mode = 'readonly') {
+  const db = await openPlanDatabase();
+  return db.transaction(name, mode).objectStore(name);
+}
+
+async function listPlanRecords() {
+  const records = await idbRequest((await planStore('plans')).getAll());
+  return records.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+async function getPlanRecord(id) {
+  return idbRequest((await planStore('plans')).get(id));
+}
+
+async function putPlanRecord(record) {
+  await idbRequest((await planStore('plans', 'readwrite')).put(record));
+  return record;
+}
+
+async function listRevisions(planId) {
+  const store = await planStore('revisions');
+  const revisions = await idbRequest(store.index('planId').getAll(planId));
+  return revisions.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+async function deletePlanRecord(id) {
+  const db = await openPlanDatabase();
+  const transaction = db.transaction(['plans', 'revisions'], 'readwrite');
+  transaction.objectStore('plans').delete(id);
+  const revisionKeys = await idbRequest(transaction.objectStore('revisions').index('planId').getAllKeys(id));
+  revisionKeys.forEach((key) => transaction.objectStore('revisions').delete(key));
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+async function setSessionPlanId(planId) {
+  await idbRequest((await planStore('session', 'readwrite')).put(planId, 'currentPlanId'));
+}
+
+function createPlanRecord(name, plan = snapshotPlan()) {
+  const now = new Date().toISOString();
+  return { id: createId('plan'), name, createdAt: now, updatedAt: now, plan };
+}
+
+function bindPlanLibrary() {
+  planNameInput.addEventListener('change', () => renameCurrentPlan(planNameInput.value));
+  planSearchInput.addEventListener('input', () => renderPlanLibrary().catch(console.error));
+  document.getElementById('newPlanBtn').addEventListener('click', createNewPlan);
+  document.getElementById('duplicatePlanBtn').addEventListener('click', duplicateCurrentPlan);
+  document.getElementById('deletePlanBtn').addEventListener('click', () => deletePlan(state.currentPlanId));
+  document.getElementById('saveRevisionBtn').addEventListener('click', saveRevision);
+}
+
+// Reopens the plan that was being edited when the page was last closed
+async function restoreLastSession() {
+  try {
+    const planId = await idbRequest((await planStore('session')).get('currentPlanId'));
+    const record = planId ? await getPlanRecord(planId) : null;
+    if (record) {
+      state.currentPlanId = record.id;
+      restorePlanSnapshot(record.plan);
+      libraryStatus.textContent = `前回のセッション「${record.name}」を復元しました。`;
+    } else {
+      const created = await putPlanRecord(createPlanRecord(UNTITLED_PLAN_NAME));
+      state.currentPlanId = created.id;
+      await setSessionPlanId(created.id);
+    }
+    await renderPlanLibrary();
+    return Boolean(record);
+  } catch (error) {
+    console.error(error);
+    libraryStatus.textContent = `プランライブラリを利用できません: ${error.message}`;
+    return false;
+  }
+}
+
+function scheduleAutosave() {
+  if (!state.currentPlanId) return;
+  clearTimeout(state.autosaveTimer);
+  state.autosaveTimer = setTimeout(autosaveCurrentPlan, AUTOSAVE_DELAY_MS);
+}
+
+async function autosaveCurrentPlan() {
+  clearTimeout(state.autosaveTimer);
+  state.autosaveTimer = null;
+  if (!state.currentPlanId) return;
+
+  try {
+    const record = await getPlanRecord(state.currentPlanId) ?? createPlanRecord(planNameInput.value || UNTITLED_PLAN_NAME);
+    await putPlanRecord({ ...record, id: state.currentPlanId, updatedAt: new Date().toISOString(), plan: snapshotPlan() });
+    libraryStatus.textContent = `自動保存しました（${new Date().toLocaleTimeString()}）`;
+    await renderPlanLibrary();
+  } catch (error) {
+    console.error(error);
+    libraryStatus.textContent = `自動保存に失敗しました: ${error.message}`;
+  }
+}
+
+async function flushAutosave() {
+  if (state.autosaveTimer) {
+    await autosaveCurrentPlan();
+  }
+}
+
+async function openPlan(id) {
+  if (id === state.currentPlanId) return;
+  try {
+    await flushAutosave();
+    const record = await getPlanRecord(id);
+    if (!record) return;
+    state.currentPlanId = record.id;
+    await setSessionPlanId(record.id);
+    restorePlanSnapshot(record.plan);
+    updateMapVisualization(true);
+    resetHistory(`「${record.name}」を開く`);
+    libraryStatus.textContent = `「${record.name}」を開きました。`;
+  } catch (error) {
+    console.error(error);
+    libraryStatus.textContent = `プランを開けませんでした: ${error.message}`;
+  }
+}
+
+async function switchToNewRecord(record, label) {
+  await putPlanRecord(record);
+  state.currentPlanId = record.id;
+  await setSessionPlanId(record.id);
+  restorePlanSnapshot(record.plan);
+  resetHistory(label);
+  await renderPlanLibrary();
+}
+
+async function createNewPlan() {
+  try {
+    await flushAutosave();
+    const empty = {
+      waypoints: [],
+      altitudeReference: 'relative',
+      minTerrainClearance: state.minTerrainClearance,
+      geoFence: { polygons: [], circles: [] },
+      rallyPoints: [],
+      surveys: []
+    };
+    await switchToNewRecord(createPlanRecord(UNTITLED_PLAN_NAME, empty), '新規プラン');
+    libraryStatus.textContent = '新しいプランを作成しました。';
+  } catch (error) {
+    console.error(error);
+    libraryStatus.textContent = `プランを作成できませんでした: ${error.message}`;
+  }
+}
+
+async function duplicateCurrentPlan() {
+  try {
+    await flushAutosave();
+    const name = `${planNameInput.value || UNTITLED_PLAN_NAME} のコピー`;
+    await switchToNewRecord(createPlanRecord(name), `「${name}」を作成`);
+    libraryStatus.textContent = `「${name}」として複製しました。`;
+  } catch (error) {
+    console.error(error);
+    libraryStatus.textContent = `プランを複製できませんでした: ${error.message}`;
+  }
+}
+
+async function renameCurrentPlan(name) {
+  const trimmed = name.trim() || UNTITLED_PLAN_NAME;
+  try {
+    const record = await getPlanRecord(state.currentPlanId);
+    if (!record) return;
+    await putPlanRecord({ ...record, name: trimmed, updatedAt: new Date().toISOString() });
+    await renderPlanLibrary();
+  } catch (error) {
+    console.error(error);
+    libraryStatus.textContent = `名前を変更できませんでした: ${error.message}`;
+  }
+}
+
+async function deletePlan(id) {
+  const record = id ? await getPlanRecord(id).catch(() => null) : null;
+  if (!record || !confirm(`「${record.name}」と保存済みの版をすべて削除します。よろしいですか？`)) return;
+
+  try {
+    clearTimeout(state.autosaveTimer);
+    state.autosaveTimer = null;
+    await deletePlanRecord(id);
+    if (id === state.currentPlanId) {
+      state.currentPlanId = null;
+      const [next] = await listPlanRecords();
+      if (next) {
+        await openPlan(next.id);
+      } else {
+        await createNewPlan();
+      }
+    }
+    await renderPlanLibrary();
+    libraryStatus.textContent = `「${record.name}」を削除しました。`;
+  } catch (error) {
+    console.error(error);
+    libraryStatus.textContent = `プランを削除できませんでした: ${error.message}`;
+  }
+}
+
+async function saveRevision() {
+  try {
+    await flushAutosave();
+    const store = await planStore('revisions', 'readwrite');
+    const savedAt = new Date().toISOString();
+    await idbRequest(store.add({ planId: state.currentPlanId, savedAt, plan: snapshotPlan() }));
+    libraryStatus.textContent = `版を保存しました（${new Date(savedAt).toLocaleString()}）`;
+    await renderRevisionList();
+  } catch (error) {
+    console.error(error);
+    libraryStatus.textContent = `版を保存できませんでした: ${error.message}`;
+  }
+}
+
+function restoreRevision(revision) {
+  restorePlanSnapshot(revision.plan);
+  updateMapVisualization(true);
+  recordHistory(`${new Date(revision.savedAt).toLocaleString()} の版を復元`);
+}
+
+async function renderPlanLibrary() {
+  const records = await listPlanRecords();
+  const current = records.find((record) => record.id === state.currentPlanId);
+  if (current && document.activeElement !== planNameInput) {
+    planNameInput.value = current.name;
+  }
+
+  const query = planSearchInput.value.trim().toLowerCase();
+  planLibraryList.innerHTML = '';
+  const fragment = document.createDocumentFragment();
+  records
+    .filter((record) => !query || record.name.toLowerCase().includes(query))
+    .forEach((record) => {
+      const item = document.createElement('li');
+      if (record.id === state.currentPlanId) item.classList.add('current');
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = record.name;
+      button.title = `更新: ${new Date(record.updatedAt).toLocaleString()}`;
+      button.addEventListener('click', () => openPlan(record.id));
+      item.appendChild(button);
+
+      const meta = document.createElement('span');
+      meta.className = 'hint';
+      meta.textContent = `${record.plan.waypoints.length}地点・${new Date(record.updatedAt).toLocaleString()}`;
+      item.appendChild(meta);
+      fragment.appendChild(item);
+    });
+  planLibraryList.appendChild(fragment);
+  await renderRevisionList();
+}
+
+async function renderRevisionList() {
+  const revisions = state.currentPlanId ? await listRevisions(state.currentPlanId) : [];
+  revisionListElement.innerHTML = '';
+
+  if (revisions.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'hint';
+    empty.textContent = '保存された版はありません。';
+    revisionListElement.appendChild(empty);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  revisions.forEach((revision) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = `${new Date(revision.savedAt).toLocaleString()}（${revision.plan.waypoints.length}地点）`;
+    button.title = 'この版を復元';
+    button.addEventListener('click', () => restoreRevision(revision));
+    item.appendChild(button);
+    fragment.appendChild(item);
+  });
+  revisionListElement.appendChild(fragment);
+}
+
+async function handleLoadPlan(event) {
+  const file = event.target.files?.[0];
+  if (!file) return;
+
+  try {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (extension === 'kmz') {
+      await loadGisPlan(kmlFeatures(await readKmzDocument(file)), file.name);
+      return;
+    }
+    if (extension === 'kml' || extension === 'gpx') {
+      const doc = parseXmlDocument(await file.text());
+      await loadGisPlan(extension === 'kml' ? kmlFeatures(doc) : gpxFeatures(doc), file.name);
+      return;
+    }
+
+    const content = await file.text();
+    const json = JSON.parse(content);
+    if (isGeoJson(json)) {
+      await loadGisPlan(geoJsonFeatures(json), file.name);
+      return;
+    }
+    if (isQgcPlan(json)) {
+      await loadQgcPlan(json);
+      return;
+    }
+
+    const valid = validatePlan(json);
+    if (!valid) {
+      console.error(validatePlan.errors);
+      alert('.plan ファイルがスキーマに適合しません。');
+      return;
+    }
+
+    state.waypoints = json.waypoints.map((wp) => ({ ...wp }));
+    state.altitudeReference = json.altitudeReference ?? 'relative';
+    state.minTerrainClearance = json.minTerrainClearance ?? state.minTerrainClearance;
+    altitudeReferenceSelect.value = state.altitudeReference;
+    minTerrainClearanceInput.value = state.minTerrainClearance;
+    state.geoFence = {
+      polygons: (json.geoFence?.polygons ?? []).map((fence) => ({ ...fence, polygon: fence.polygon.map(([lat, lon]) => [lat, lon]) })),
+      circles: (json.geoFence?.circles ?? []).map((fence) => ({ ...fence, center: [...fence.center] }))
+    };
+    state.rallyPoints = (json.rallyPoints ?? []).map((point) => ({ ...point }));
+    state.surveys = (json.surveys ?? []).map((survey) => ({
+      ...survey,
+      camera: { ...survey.camera },
+      polygon: survey.polygon.map(([lat, lon]) => [lat, lon])
+    }));
+    state.selectedFenceId = null;
+    state.selectedSurveyId = null;
+    recordHistory(`${file.name} を読み込み`);
+    renderGeoFenceList();
+    renderRallyPointList();
+    renderSurveyList();
+    emitWaypointChange({ fit: true });
+  } catch (error) {
+    console.error(error);
+    alert(`${file.name} の読み込みに失敗しました。`);
+  } finally {
+    event.target.value = '';
+  }
+}
+
+function isQgcPlan(json) {
+  return json?.fileType === 'Plan';
+}
+
+async function loadQgcPlan(json, label = 'QGroundControl プランを読み込み') {
+  const validateQgcPlan = await getQgcPlanValidator();
+  if (!validateQgcPlan(json)) {
+    console.error(validateQgcPlan.errors);
+    alert('QGroundControl の .plan ファイルがスキーマに適合しません。');
+    return false;
+  }
+
+  const result = convertQgcPlan(json);
+  if (result.waypoints.length === 0) {
+    showImportReport(result.report);
+    alert('読み込めるウェイポイントが含まれていません。');
+    return false;
+  }
+
+  applyImportedPlan({ ...result, altitudeReference: 'relative' }, label);
+  showImportReport(result.report);
+  return true;
+}
+
+function applyImportedPlan({ waypoints, altitudeReference, geoFence, rallyPoints, surveys }, label) {
+  state.waypoints = waypoints;
+  state.altitudeReference = altitudeReference;
+  altitudeReferenceSelect.value = state.altitudeReference;
+  state.geoFence = geoFence;
+  state.rallyPoints = rallyPoints;
+  state.surveys = surveys;
+  state.selectedFenceId = null;
+  state.selectedSurveyId = null;
+  recordHistory(label);
+  renderGeoFenceList();
+  renderRallyPointList();
+  renderSurveyList();
+  emitWaypointChange({ fit: true });
+}
+
+function convertQgcPlan(json) {
+  const context = {
+    waypoints: [],
+    report: [],
+    homePosition: json.mission.plannedHomePosition ?? null,
+    pendingPreserved: [],
+    pendingActions: [],
+    previousCreatedTransit: false,
+    surveys: []
+  };
+
+  json.mission.items.forEach((item, index) => {
+    const label = `項目 ${index + 1}`;
+    if (item.type === 'ComplexItem') {
+      importQgcComplexItem(item, label, context);
+    } else {
+      importQgcSimpleItem(item, label, context);
+    }
+  });
+
+  if (context.pendingPreserved.length > 0 && context.waypoints.length > 0) {
+    const [first] = context.waypoints;
+    first.preservedItems = [...context.pendingPreserved, ...(first.preservedItems ?? [])];
+  }
+  if (context.pendingActions.length > 0 && context.waypoints.length > 0) {
+    const [first] = context.waypoints;
+    first.actions = [...context.pendingActions, ...(first.actions ?? [])];
+  }
+
+  return {
+    waypoints: context.waypoints,
+    surveys: context.surveys,
+    geoFence: convertQgcGeoFence(json.geoFence, context.report),
+    rallyPoints: convertQgcRallyPoints(json.rallyPoints, context.report),
+    report: context.report
+  };
+}
+
+function importQgcSimpleItem(item, label, context) {
+  const description = `MAV_CMD ${item.command}`;
+
+  if (item.command === MAV_CMD.DO_VTOL_TRANSITION) {
+    importQgcTransition(item, label, context);
+    return;
+  }
+
+  const type = qgcNavCommandTypes[item.command];
+  const action = waypointActionFromQgcItem(item);
+  if (!type && action) {
+    const previous = context.waypoints[context.waypoints.length - 1];
+    if (previous) {
+      previous.actions = [...(previous.actions ?? []), action];
+    } else {
+      context.pendingActions.push(action);
+    }
+    context.report.push({
+      label,
+      description,
+      status: 'converted',
+      detail: `${previous ? `地点 ${context.waypoints.length} ` : '最初の地点'}のアクション「${waypointActionTypes[action.type].label}」にしました`
+    });
+    // Items without a position stay with the point before them, so a transition after them can still retag it
+    return;
+  }
+
+  if (!type) {
+    preserveQgcItem(item, context);
+    const modeled = Object.values(waypointActionTypes).some((definition) => Object.keys(definition.imports).some((name) => MAV_CMD[name] === item.command));
+    context.report.push({
+      label,
+      description,
+      status: 'preserved',
+      detail: modeled ? 'アクションで表せない設定を含むため、そのまま保持しました（編集不可）' : '未対応のコマンドとして保持しました（編集不可）'
+    });
+    return;
+  }
+
+  const details = [];
+  let latitude = item.params[4];
+  let longitude = item.params[5];
+  if (!isQgcCoordinate(latitude, longitude)) {
+    if (type !== 'takeoff' || !context.homePosition) {
+      context.report.push({ label, description, status: 'dropped', detail: '位置情報がありません' });
+      context.previousCreatedTransit = false;
+      return;
+    }
+    [latitude, longitude] = context.homePosition;
+    details.push('位置を計画ホーム位置で補完しました');
+  }
+
+  // Loiters kept as an action are exact; the others are flown through as a plain point
+  if (!qgcExactNavCommands.has(item.command) && !action) {
+    details.push(`${typeLabels[type]}として取り込みました`);
+  }
+
+  const { altitude, altitudeReference, note } = qgcItemAltitude(item);
+  if (note) details.push(note);
+
+  // Further loiters at the point just flown to belong to that point, whatever its type
+  const previous = context.waypoints[context.waypoints.length - 1];
+  const samePoint = previous && previous.latitude === latitude && previous.longitude === longitude &&
+    previous.altitude === altitude && (previous.altitudeReference ?? 'relative') === altitudeReference;
+  if (samePoint && action) {
+    previous.actions = [...(previous.actions ?? []), action];
+    context.report.push({ label, description, status: 'converted', detail: `地点 ${context.waypoints.length} のアクション「${waypointActionTypes[action.type].label}」にしました` });
+    return;
+  }
+  // The arrival written before a landing with actions (see toQgcNavItems)
+  if (samePoint && type === 'landing' && previous.type === 'transit' && previous.actions?.length) {
+    previous.type = 'landing';
+    context.previousCreatedTransit = false;
+    context.report.push({ label, description, status: 'converted', detail: `直前の地点を${typeLabels.landing}にしました` });
+    return;
+  }
+
+  const waypoint = {
+    id: createId('wp'),
+    type,
+    latitude,
+    longitude,
+    altitude,
+    note: ''
+  };
+  if (altitudeReference !== 'relative') {
+    waypoint.altitudeReference = altitudeReference;
+  }
+  // Loiter commands come back as a waypoint carrying the loiter action
+  if (action) {
+    waypoint.actions = [action];
+  }
+  context.waypoints.push(waypoint);
+  context.previousCreatedTransit = type === 'transit';
+  context.report.push({
+    label,
+    description,
+    status: details.length > 0 ? 'approximated' : 'converted',
+    detail: details.join(' / ')
+  });
+}
+
+function importQgcTransition(item, label, context) {
+  const description = `MAV_CMD ${item.command}`;
+  const type = item.params[0] === MAV_VTOL_STATE.FW
+    ? 'transition_to_fixed'
+    : item.params[0] === MAV_VTOL_STATE.MC
+      ? 'transition_to_rotary'
+      : null;
+  const previous = context.waypoints[context.waypoints.length - 1];
+  const canRetagPrevious = context.previousCreatedTransit;
+  context.previousCreatedTransit = false;
+
+  if (!type || !previous) {
+    context.report.push({ label, description, status: 'dropped', detail: '遷移先または直前の地点を特定できません' });
+    return;
+  }
+
+  if (canRetagPrevious) {
+    previous.type = type;
+    context.report.push({ label, description, status: 'converted', detail: `直前の地点を${typeLabels[type]}にしました` });
+    return;
+  }
+
+  context.waypoints.push({
+    id: createId('wp'),
+    type,
+    latitude: previous.latitude,
+    longitude: previous.longitude,
+    altitude: previous.altitude,
+    note: ''
+  });
+  context.report.push({ label, description, status: 'approximated', detail: `直前の地点と同じ位置に${typeLabels[type]}を追加しました` });
+}
+
+// QGC's expanded Items are the route it actually flies, so they are imported as they are and the
+// polygon and camera settings only come along as the editable survey. The survey is regenerated
+// with our own transects only when the file has no Items.
+function importQgcComplexItem(item, label, context) {
+  const description = `ComplexItem (${item.complexItemType})`;
+  const transect = item.TransectStyleComplexItem;
+  const subItems = transect?.Items ?? [];
+  const survey = surveyFromQgcComplexItem(item);
+
+  if (subItems.length > 0) {
+    const start = context.waypoints.length;
+    subItems.forEach((subItem, index) => importQgcSimpleItem(subItem, `${label}-${index + 1}`, context));
+    if (survey) {
+      context.surveys.push(survey);
+      context.waypoints.slice(start).forEach((wp) => {
+        wp.surveyId = survey.id;
+        const distance = surveyTriggerDistance(wp);
+        if (distance != null) wp.surveyRole = distance > 0 ? 'entry' : 'exit';
+      });
+    }
+    context.report.push({
+      label,
+      description,
+      status: 'converted',
+      detail: survey
+        ? `${subItems.length} 項目に展開し、撮影範囲とカメラ設定をサーベイとして取り込みました`
+        : `${subItems.length} 項目に展開しました`
+    });
+    return;
+  }
+
+  if (survey) {
+    const waypoints = buildSurveyWaypoints(survey);
+    context.surveys.push(survey);
+    context.waypoints.push(...waypoints);
+    context.previousCreatedTransit = false;
+    const details = [`展開済みの経路がないため、撮影範囲とカメラ設定からサーベイを再生成しました（${waypoints.length} 地点）`];
+    if (item.entryLocation) details.push('進入位置 (entryLocation) は反映されません');
+    context.report.push({ label, description, status: 'approximated', detail: details.join(' / ') });
+    return;
+  }
+
+  const points = transect?.VisualTransectPoints ?? [];
+  if (points.length === 0) {
+    context.report.push({ label, description, status: 'dropped', detail: '展開済みの経路がありません' });
+    return;
+  }
+
+  const altitude = Math.max(0, transect.CameraCalc.DistanceToSurface);
+  points.forEach(([latitude, longitude]) => {
+    context.waypoints.push({ id: createId('wp'), type: 'transit', latitude, longitude, altitude, note: '' });
+  });
+  context.previousCreatedTransit = false;
+  context.report.push({
+    label,
+    description,
+    status: 'approximated',
+    detail: `VisualTransectPoints から ${points.length} 地点を生成しました（撮影コマンドは含まれません）`
+  });
+}
+
+function surveyFromQgcComplexItem(item) {
+  const calc = item.TransectStyleComplexItem?.CameraCalc;
+  if (!calc || !(item.polygon?.length >= 3)) return null;
+  if (!(calc.FocalLength > 0 && calc.SensorWidth > 0 && calc.SensorHeight > 0)) return null;
+  if (!(calc.FrontalOverlap < 100 && calc.SideOverlap < 100)) return null;
+
+  const camera = {
+    name: calc.CameraName || CUSTOM_CAMERA_NAME,
+    focalLength: calc.FocalLength,
+    sensorWidth: calc.SensorWidth,
+    sensorHeight: calc.SensorHeight,
+    imageWidth: calc.ImageWidth,
+    imageHeight: calc.ImageHeight,
+    landscape: calc.Landscape
+  };
+  const gsd = calc.ImageDensity > 0
+    ? calc.ImageDensity
+    : ((calc.DistanceToSurface * calc.SensorWidth) / (calc.ImageWidth * calc.FocalLength)) * 100;
+  if (!(gsd > 0)) return null;
+
+  return {
+    id: createId('survey'),
+    polygon: item.polygon.map(([lat, lon]) => [lat, lon]),
+    camera,
+    gsd,
+    frontalOverlap: calc.FrontalOverlap,
+    sideOverlap: calc.SideOverlap,
+    angle: item.angle ?? 0,
+    turnaroundDistance: Math.max(0, item.TransectStyleComplexItem.TurnAroundDistance ?? 0),
+    flyAlternateTransects: Boolean(item.flyAlternateTransects),
+    splitConcavePolygons: Boolean(item.splitConcavePolygons)
+  };
+}
+
+function preserveQgcItem(item, context) {
+  const preserved = {
+    command: item.command,
+    frame: item.frame,
+    params: [...item.params],
+    autoContinue: item.autoContinue
+  };
+  const previous = context.waypoints[context.waypoints.length - 1];
+  if (previous) {
+    previous.preservedItems = [...(previous.preservedItems ?? []), preserved];
+  } else {
+    context.pendingPreserved.push(preserved);
+  }
+}
+
+function isQgcCoordinate(latitude, longitude) {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) && !(latitude === 0 && longitude === 0);
+}
+
+function qgcItemAltitude(item) {
+  let altitude = item.params[6] ?? item.Altitude ?? 0;
+  let altitudeReference = 'relative';
+  let note = null;
+
+  switch (item.frame) {
+    case MAV_FRAME.GLOBAL_RELATIVE_ALT:
+    case MAV_FRAME.GLOBAL_RELATIVE_ALT_INT:
+      break;
+    case MAV_FRAME.GLOBAL:
+    case MAV_FRAME.GLOBAL_INT:
+      altitudeReference = 'amsl';
+      break;
+    case MAV_FRAME.GLOBAL_TERRAIN_ALT:
+    case MAV_FRAME.GLOBAL_TERRAIN_ALT_INT:
+      altitudeReference = 'agl';
+      break;
+    default:
+      note = `未対応の座標系 (MAV_FRAME ${item.frame}) の高度を離陸地点基準として扱いました`;
+  }
+
+  if (altitude < 0) {
+    altitude = 0;
+    note = [note, '負の高度を 0m に切り上げました'].filter(Boolean).join(' / ');
+  }
+  return { altitude, altitudeReference, note };
+}
+
+function convertQgcGeoFence(geoFence, report) {
+  const result = { polygons: [], circles: [] };
+  if (!geoFence) return result;
+
+  geoFence.polygons.forEach((entry, index) => {
+    const label = `ジオフェンス多角形 ${index + 1}`;
+    // Bare vertex arrays carry no inclusion flag; QGC's own object form does
+    const polygon = Array.isArray(entry) ? entry : entry.polygon;
+    const inclusion = Array.isArray(entry) ? true : entry.inclusion !== false;
+    if (polygon.length < 3) {
+      report.push({ label, description: 'polygon', status: 'dropped', detail: '頂点が3点未満です' });
+      return;
+    }
+    result.polygons.push({ id: createId('fence'), inclusion, polygon: polygon.map(([lat, lon]) => [lat, lon]) });
+    report.push({
+      label,
+      description: 'polygon',
+      status: Array.isArray(entry) ? 'approximated' : 'converted',
+      detail: Array.isArray(entry) ? '包含/除外の指定がないため包含領域として取り込みました' : ''
+    });
+  });
+
+  geoFence.circles.forEach((circle, index) => {
+    const label = `ジオフェンス円 ${index + 1}`;
+    const center = circle.circle?.center;
+    const radius = circle.circle?.radius;
+    if (!Array.isArray(center) || !isQgcCoordinate(center[0], center[1]) || !(radius > 0)) {
+      report.push({ label, description: 'circle', status: 'dropped', detail: '中心または半径を解釈できません' });
+      return;
+    }
+    result.circles.push({ id: createId('fence'), inclusion: circle.inclusion !== false, center: [center[0], center[1]], radius });
+    report.push({ label, description: 'circle', status: 'converted', detail: '' });
+  });
+
+  return result;
+}
+
+function convertQgcRallyPoints(rallyPoints, report) {
+  if (!rallyPoints) return [];
+  return rallyPoints.points.map((point, index) => {
+    report.push({ label: `ラリーポイント ${index + 1}`, description: 'rally', status: 'converted', detail: '' });
+    return {
+      id: createId('rally'),
+      latitude: point.latitude,
+      longitude: point.longitude,
+      altitude: point.altitude
+    };
+  });
+}
+
+function showImportReport(report) {
+  const counts = Object.keys(importStatusLabels).map((status) => {
+    const count = report.filter((entry) => entry.status === status).length;
+    return `${importStatusLabels[status]} ${count}件`;
+  });
+  importReportSummary.textContent = counts.join(' / ');
+
+  importReportBody.innerHTML = '';
+  const fragment = document.createDocumentFragment();
+  report.forEach((entry) => {
+    const row = document.createElement('tr');
+    row.className = `import-${entry.status}`;
+    [entry.label, entry.description, importStatusLabels[entry.status], entry.detail].forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    fragment.appendChild(row);
+  });
+  importReportBody.appendChild(fragment);
+  importReportDialog.showModal();
+}
+
+function isGeoJson(json) {
+  return ['FeatureCollection', 'Feature', 'Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection']
+    .includes(json?.type);
+}
+
+async function readKmzDocument(file) {
+  if (!window.JSZip) throw new Error('JSZip is not available');
+  const zip = await window.JSZip.loadAsync(file);
+  const entry = zip.file('doc.kml') ?? zip.file(/\.kml$/i)[0];
+  if (!entry) throw new Error('KMZ does not contain a KML document');
+  return parseXmlDocument(await entry.async('string'));
+}
+
+function parseXmlDocument(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('XML parse error');
+  }
+  return doc;
+}
+
+// Every format is reduced to flat { geometry, properties, altitudeMode } features;
+// altitudeMode follows KML and is left undefined when the source has none.
+function geoJsonFeatures(json) {
+  let features;
+  if (json.type === 'FeatureCollection') {
+    features = json.features;
+  } else if (json.type === 'Feature') {
+    features = [json];
+  } else {
+    features = [{ geometry: json, properties: {} }];
+  }
+  return features.flatMap((feature) => splitGisGeometry(feature.geometry, feature.properties ?? {}));
+}
+
+function splitGisGeometry(geometry, properties, altitudeMode) {
+  if (!geometry) return [];
+  const single = (type) => geometry.coordinates.map((coordinates) => ({ geometry: { type, coordinates }, properties, altitudeMode }));
+  switch (geometry.type) {
+    case 'MultiPoint':
+      return single('Point');
+    case 'MultiLineString':
+      return single('LineString');
+    case 'MultiPolygon':
+      return single('Polygon');
+    case 'GeometryCollection':
+      return geometry.geometries.flatMap((child) => splitGisGeometry(child, properties, altitudeMode));
+    default:
+      return [{ geometry, properties, altitudeMode }];
+  }
+}
+
+function kmlFeatures(doc) {
+  return Array.from(doc.getElementsByTagName('Placemark')).flatMap((placemark) => {
+    const properties = {};
+    const name = xmlChildText(placemark, 'name');
+    const description = xmlChildText(placemark, 'description');
+    if (name) properties.name = name;
+    if (description) properties.description = description;
+    Array.from(placemark.getElementsByTagName('Data')).forEach((data) => {
+      properties[data.getAttribute('name')] = parseKmlDataValue(xmlChildText(data, 'value') ?? '');
+    });
+
+    const features = [];
+    ['Point', 'LineString', 'Polygon'].forEach((type) => {
+      Array.from(placemark.getElementsByTagName(type)).forEach((element) => {
+        const altitudeMode = xmlChildText(element, 'altitudeMode') ?? xmlChildText(element, 'gx:altitudeMode') ?? 'clampToGround';
+        if (type === 'Polygon') {
+          const outer = element.getElementsByTagName('outerBoundaryIs')[0];
+          const ring = parseKmlCoordinates(outer ? xmlChildText(outer, 'coordinates') : null);
+          const holes = element.getElementsByTagName('innerBoundaryIs').length;
+          features.push({ geometry: { type, coordinates: [ring], holes }, properties, altitudeMode });
+          return;
+        }
+        const coordinates = parseKmlCoordinates(xmlChildText(element, 'coordinates'));
+        features.push({ geometry: { type, coordinates: type === 'Point' ? coordinates[0] : coordinates }, properties, altitudeMode });
+      });
+    });
+    return features;
+  });
+}
+
+function parseKmlCoordinates(text) {
+  if (!text) return [];
+  return text.trim().split(/\s+/).map((tuple) => tuple.split(',').map(Number));
+}
+
+// ExtendedData values written by this planner are JSON encoded unless they are plain strings
+function parseKmlDataValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+function xmlChildText(element, tagName) {
+  const child = element.getElementsByTagName(tagName)[0];
+  return child ? child.textContent.trim() : null;
+}
+
+function gpxFeatures(doc) {
+  const readPoint = (element) => {
+    const ele = xmlChildText(element, 'ele');
+    const extension = (name) => element.getElementsByTagNameNS(GPX_EXTENSION_NS, name)[0]?.textContent.trim();
+    const altitude = extension('altitude');
+    const properties = {
+      name: xmlChildText(element, 'name') ?? undefined,
+      description: xmlChildText(element, 'desc') ?? undefined,
+      type: xmlChildText(element, 'type') ?? undefined,
+      altitude: altitude != null ? Number(altitude) : undefined,
+      altitudeReference: extension('altitudeReference')
+    };
+    const coordinates = [Number(element.getAttribute('lon')), Number(element.getAttribute('lat'))];
+    if (ele != null) coordinates.push(Number(ele));
+    return { coordinates, properties };
+  };
+
+  const features = [];
+  const standalone = Array.from(doc.getElementsByTagName('wpt')).map(readPoint);
+  standalone.filter((point) => point.properties.type === 'rally').forEach(({ coordinates, properties }) => {
+    features.push({ geometry: { type: 'Point', coordinates }, properties: { kind: 'rally', altitude: properties.altitude }, altitudeMode: 'absolute' });
+  });
+
+  const route = doc.getElementsByTagName('rte')[0] ?? doc.getElementsByTagName('trkseg')[0];
+  const routePoints = route
+    ? Array.from(route.getElementsByTagName(route.tagName === 'rte' ? 'rtept' : 'trkpt')).map(readPoint)
+    : standalone.filter((point) => point.properties.type !== 'rally');
+
+  routePoints.forEach(({ coordinates, properties }, index) => {
+    features.push({
+      geometry: { type: 'Point', coordinates },
+      // Names are generated on export, so only the description carries our notes
+      properties: { ...properties, kind: 'waypoint', index, note: properties.altitudeReference ? properties.description ?? '' : properties.description },
+      altitudeMode: coordinates.length > 2 ? 'absolute' : 'clampToGround'
+    });
+  });
+  return features;
+}
+
+async function loadGisPlan(features, fileName) {
+  const result = convertGisFeatures(features);
+  if (result.waypoints.length < 2) {
+    showImportReport(result.report);
+    alert('ルートとして読み込める地点が2点以上含まれていません。');
+    return;
+  }
+
+  const plan = {
+    version: '1.0.0',
+    vehicleType: 'VTOL',
+    altitudeReference: result.altitudeReference,
+    geoFence: result.geoFence,
+    rallyPoints: result.rallyPoints,
+    surveys: result.surveys,
+    waypoints: result.waypoints
+  };
+  if (!validatePlan(plan)) {
+    console.error(validatePlan.errors);
+    showImportReport(result.report);
+    alert(`${fileName} の内容をプランに変換できません。`);
+    return;
+  }
+
+  applyImportedPlan(result, `${fileName} を読み込み`);
+  showImportReport(result.report);
+}
+
+function convertGisFeatures(features) {
+  const report = [];
+  const defaultAltitude = Number(defaultAltitudeInput.value) || 0;
+  const points = features.filter((feature) => feature.geometry.type === 'Point');
+  const lines = features.filter((feature) => feature.geometry.type === 'LineString');
+  const waypointPoints = points
+    .filter((feature) => feature.properties.kind === 'waypoint')
+    .sort((a, b) => (a.properties.index ?? 0) - (b.properties.index ?? 0));
+  const [route] = lines;
+
+  // Prefer the per-waypoint points written by this planner, then the first line,
+  // then any bare points in document order.
+  let vertices;
+  if (waypointPoints.length >= 2) {
+    vertices = waypointPoints;
+  } else if (route) {
+    const { properties } = route;
+    vertices = route.geometry.coordinates.map((coordinates, index) => ({
+      geometry: { type: 'Point', coordinates },
+      altitudeMode: route.altitudeMode,
+      properties: {
+        type: properties.types?.[index],
+        note: properties.notes?.[index],
+        altitude: properties.altitudes?.[index],
+        altitudeReference: properties.altitudeReferences?.[index] ?? properties.altitudeReference
+      }
+    }));
+  } else {
+    vertices = points.filter((feature) => !feature.properties.kind);
+  }
+
+  const routeUsed = vertices !== waypointPoints && Boolean(route);
+  lines.forEach((line, index) => {
+    if ((routeUsed && line === route) || line.properties.kind === 'route') return;
+    report.push({ label: line.properties.name ?? `ライン ${index + 1}`, description: 'LineString', status: 'dropped', detail: 'ルート以外のラインは取り込みません' });
+  });
+  points.filter((feature) => !feature.properties.kind && !vertices.includes(feature)).forEach((feature, index) => {
+    report.push({ label: feature.properties.name ?? `地点 ${index + 1}`, description: 'Point', status: 'dropped', detail: 'ルートに含まれない地点は取り込みません' });
+  });
+
+  const inferredTypes = inferRouteTypes(vertices.length);
+  const converted = [];
+  vertices.forEach((vertex, index) => {
+    const label = `ウェイポイント ${index + 1}`;
+    const [longitude, latitude] = vertex.geometry.coordinates;
+    if (!isQgcCoordinate(latitude, longitude)) {
+      report.push({ label, description: 'Point', status: 'dropped', detail: '座標を解釈できません' });
+      return;
+    }
+
+    const { properties } = vertex;
+    const details = [];
+    let type = properties.type;
+    if (!typeLabels[type]) {
+      type = inferredTypes[index];
+      details.push(`種別を推定しました（${typeLabels[type]}）`);
+    }
+    const altitude = gisVertexAltitude(vertex, defaultAltitude);
+    if (altitude.detail) details.push(altitude.detail);
+
+    const note = properties.note ?? properties.description ?? properties.name;
+    const waypoint = {
+      id: createId('wp'),
+      type,
+      latitude,
+      longitude,
+      altitude: altitude.value,
+      altitudeReference: altitude.reference
+    };
+    if (note) waypoint.note = String(note);
+    if (typeof properties.surveyId === 'string') waypoint.surveyId = properties.surveyId;
+    if (typeof properties.surveyRole === 'string') waypoint.surveyRole = properties.surveyRole;
+    converted.push(waypoint);
+    report.push({
+      label,
+      description: typeLabels[type],
+      status: altitude.approximated || !typeLabels[properties.type] ? 'approximated' : 'converted',
+      detail: details.join(' / ')
+    });
+  });
+
+  const altitudeReference = dominantAltitudeReference(converted);
+  converted.forEach((wp) => {
+    if (wp.altitudeReference === altitudeReference) delete wp.altitudeReference;
+  });
+
+  const { geoFence, surveys } = convertGisAreas(features.filter((feature) => feature.geometry.type === 'Polygon'), report);
+  const surveyIds = new Set(surveys.map((survey) => survey.id));
+  converted.forEach((wp) => {
+    if (wp.surveyId && !surveyIds.has(wp.surveyId)) {
+      delete wp.surveyId;
+      delete wp.surveyRole;
+    }
+  });
+
+  const rallyPoints = points
+    .filter((feature) => feature.properties.kind === 'rally')
+    .map((feature, index) => {
+      const [longitude, latitude] = feature.geometry.coordinates;
+      const altitude = feature.properties.altitude;
+      report.push({
+        label: `ラリーポイント ${index + 1}`,
+        description: 'rally',
+        status: Number.isFinite(altitude) ? 'converted' : 'approximated',
+        detail: Number.isFinite(altitude) ? '' : `高度がないため既定高度 ${defaultAltitude} m としました`
+      });
+      return { id: createId('rally'), latitude, longitude, altitude: Number.isFinite(altitude) ? altitude : defaultAltitude };
+    });
+
+  return { waypoints: converted, altitudeReference, geoFence, rallyPoints, surveys, report };
+}
+
+function gisVertexAltitude({ geometry, properties, altitudeMode }, defaultAltitude) {
+  if (altitudeReferenceLabels[properties.altitudeReference] && Number.isFinite(properties.altitude)) {
+    return { value: properties.altitude, reference: properties.altitudeReference };
+  }
+
+  const z = geometry.coordinates[2];
+  if (!Number.isFinite(z) || altitudeMode === 'clampToGround') {
+    return {
+      value: defaultAltitude,
+      reference: 'relative',
+      approximated: true,
+      detail: `高度がないため既定高度 ${defaultAltitude} m（離陸地点基準）としました`
+    };
+  }
+
+  let reference;
+  let detail = '';
+  if (altitudeMode === 'relativeToGround') {
+    reference = 'agl';
+  } else if (altitudeMode === undefined && altitudeReferenceLabels[properties.altitudeReference]) {
+    reference = properties.altitudeReference;
+  } else {
+    reference = 'amsl';
+    if (altitudeMode === undefined) detail = 'Z 値を海抜高度として解釈しました';
+  }
+
+  if (z < 0) {
+    return { value: 0, reference, approximated: true, detail: `負の高度 ${z} m を 0 m に切り上げました` };
+  }
+  return { value: z, reference, detail };
+}
+
+function inferRouteTypes(count) {
+  return Array.from({ length: count }, (_, index) => {
+    if (index === 0) return 'takeoff';
+    if (index === count - 1) return 'landing';
+    if (count >= 4 && index === 1) return 'transition_to_fixed';
+    if (count >= 4 && index === count - 2) return 'transition_to_rotary';
+    return 'transit';
+  });
+}
+
+function dominantAltitudeReference(waypoints) {
+  const counts = {};
+  waypoints.forEach((wp) => {
+    counts[wp.altitudeReference] = (counts[wp.altitudeReference] ?? 0) + 1;
+  });
+  return Object.keys(altitudeReferenceLabels).reduce((best, reference) => (
+    (counts[reference] ?? 0) > (counts[best] ?? 0) ? reference : best
+  ), 'relative');
+}
+
+function convertGisAreas(polygons, report) {
+  const geoFence = { polygons: [], circles: [] };
+  const surveys = [];
+
+  polygons.forEach((feature, index) => {
+    const { properties } = feature;
+    const label = properties.name ?? `領域 ${index + 1}`;
+    const ring = (feature.geometry.coordinates[0] ?? []).map(([lon, lat]) => [lat, lon]);
+    if (ring.length > 1 && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1]) {
+      ring.pop();
+    }
+    if (ring.length < 3 || !ring.every(([lat, lon]) => isQgcCoordinate(lat, lon))) {
+      report.push({ label, description: 'Polygon', status: 'dropped', detail: '頂点が3点未満か座標を解釈できません' });
+      return;
+    }
+    const holes = feature.geometry.holes ?? Math.max(0, feature.geometry.coordinates.length - 1);
+    const holeDetail = holes > 0 ? '内側の穴は取り込みません' : '';
+
+    if (properties.kind === 'survey') {
+      const { kind, id, name, description, ...settings } = properties;
+      surveys.push({ ...settings, id: typeof id === 'string' ? id : createId('survey'), polygon: ring });
+      report.push({ label, description: 'survey', status: holes > 0 ? 'approximated' : 'converted', detail: holeDetail });
+      return;
+    }
+
+    if (properties.kind === 'geofence') {
+      const inclusion = properties.inclusion !== false;
+      const { center, radius } = properties;
+      if (properties.shape === 'circle' && Array.isArray(center) && isQgcCoordinate(center[0], center[1]) && radius > 0) {
+        geoFence.circles.push({ id: createId('fence'), inclusion, center: [center[0], center[1]], radius });
+        report.push({ label, description: 'circle', status: 'converted', detail: '' });
+      } else {
+        geoFence.polygons.push({ id: createId('fence'), inclusion, polygon: ring });
+        report.push({ label, description: 'polygon', status: holes > 0 ? 'approximated' : 'converted', detail: holeDetail });
+      }
+      return;
+    }
+
+    const inclusion = properties.inclusion === true;
+    geoFence.polygons.push({ id: createId('fence'), inclusion, polygon: ring });
+    report.push({
+      label,
+      description: 'polygon',
+      status: 'approximated',
+      detail: [inclusion ? '' : '用途が不明なため除外フェンスとして取り込みました', holeDetail].filter(Boolean).join(' / ')
+    });
+  });
+
+  return { geoFence, surveys };
+}
+
+function bindMavlinkControls() {
+  try {
+    Object.assign(state.mavlinkSettings, JSON.parse(localStorage.getItem(MAVLINK_SETTINGS_KEY) ?? 'null'));
+  } catch (error) {
+    console.warn(error);
+  }
+
+  const saveSettings = () => localStorage.setItem(MAVLINK_SETTINGS_KEY, JSON.stringify(state.mavlinkSettings));
+  mavlinkUrlInput.value = state.mavlinkSettings.url;
+  mavlinkHomeInput.checked = state.mavlinkSettings.homeAtZero;
+  mavlinkUrlInput.addEventListener('change', () => {
+    state.mavlinkSettings.url = mavlinkUrlInput.value.trim();
+    saveSettings();
+  });
+  mavlinkHomeInput.addEventListener('change', () => {
+    state.mavlinkSettings.homeAtZero = mavlinkHomeInput.checked;
+    saveSettings();
+  });
+
+  mavlinkConnectBtn.addEventListener('click', () => {
+    if (state.mavlink.socket) {
+      disconnectMavlink();
+    } else {
+      connectMavlink(state.mavlinkSettings.url);
+    }
+  });
+  document.getElementById('missionUploadBtn').addEventListener('click', handleMissionUpload);
+  document.getElementById('missionDownloadBtn').addEventListener('click', handleMissionDownload);
+  document.getElementById('missionClearBtn').addEventListener('click', handleMissionClear);
+  renderMavlinkStatus();
+}
+
+function connectMavlink(url) {
+  let socket;
+  try {
+    socket = url.startsWith('mock://') ? createMockMavlinkSocket(url) : new WebSocket(url);
+  } catch (error) {
+    console.error(error);
+    alert(`${url} に接続できません。`);
+    return;
+  }
+
+  socket.binaryType = 'arraybuffer';
+  state.mavlink = { ...state.mavlink, socket, target: null, sequence: 0, buffer: new Uint8Array(0), waiters: [], message: '接続しています…' };
+  socket.onopen = () => {
+    sendMavlinkHeartbeat();
+    state.mavlink.heartbeatTimer = setInterval(sendMavlinkHeartbeat, MAVLINK_HEARTBEAT_INTERVAL_MS);
+    setMavlinkStatus('ブリッジに接続しました。機体のハートビートを待っています…');
+  };
+  socket.onmessage = (event) => handleMavlinkData(event.data);
+  socket.onerror = (event) => console.error(event);
+  socket.onclose = () => {
+    if (state.mavlink.socket !== socket) return;
+    resetMavlinkConnection('切断しました。');
+  };
+  renderMavlinkStatus();
+}
+
+function disconnectMavlink() {
+  const { socket } = state.mavlink;
+  resetMavlinkConnection('切断しました。');
+  socket?.close();
+}
+
+function resetMavlinkConnection(message) {
+  clearInterval(state.mavlink.heartbeatTimer);
+  // Pending exchanges resolve as timeouts and fail on their next send
+  state.mavlink.waiters.forEach((waiter) => waiter.resolve(null));
+  state.mavlink = { ...state.mavlink, socket: null, target: null, waiters: [], heartbeatTimer: null, message };
+  renderMavlinkStatus();
+}
+
+function sendMavlinkHeartbeat() {
+  if (state.mavlink.socket?.readyState !== 1) return;
+  sendMavlinkMessage('HEARTBEAT', { type: MAV_TYPE_GCS, autopilot: MAV_AUTOPILOT_INVALID, baseMode: 0, customMode: 0, systemStatus: 4, mavlinkVersion: 3 });
+}
+
+function setMavlinkStatus(message) {
+  state.mavlink.message = message;
+  renderMavlinkStatus();
+}
+
+function setMavlinkProgress(done, total) {
+  mavlinkProgress.hidden = total === 0;
+  mavlinkProgress.max = Math.max(1, total);
+  mavlinkProgress.value = done;
+}
+
+function renderMavlinkStatus() {
+  const { socket, target, busy, message } = state.mavlink;
+  mavlinkConnectBtn.textContent = socket ? '切断' : '接続';
+  mavlinkConnectBtn.disabled = busy;
+  mavlinkUrlInput.disabled = Boolean(socket);
+  ['missionUploadBtn', 'missionDownloadBtn', 'missionClearBtn'].forEach((id) => {
+    document.getElementById(id).disabled = !target || busy;
+  });
+
+  const connection = target ? `機体 ${target.systemId}/${target.componentId} と接続中` : socket ? '機体未検出' : '未接続';
+  mavlinkStatus.textContent = message ? `${connection}\n${message}` : connection;
+}
+
+async function handleMavlinkData(data) {
+  const chunk = new Uint8Array(typeof data.arrayBuffer === 'function' ? await data.arrayBuffer() : data);
+  const buffer = new Uint8Array(state.mavlink.buffer.length + chunk.length);
+  buffer.set(state.mavlink.buffer);
+  buffer.set(chunk, state.mavlink.buffer.length);
+
+  const { messages, rest } = parseMavlinkFrames(buffer);
+  state.mavlink.buffer = rest;
+  messages.forEach(dispatchMavlinkMessage);
+}
+
+// Cameras, gimbals and companion computers send heartbeats too, with no autopilot;
+// only a flight controller's heartbeat picks the target
+function dispatchMavlinkMessage(message) {
+  const autopilotHeartbeat = message.name === 'HEARTBEAT' && message.fields.type !== MAV_TYPE_GCS && message.fields.autopilot !== MAV_AUTOPILOT_INVALID;
+  if (autopilotHeartbeat && !state.mavlink.target) {
+    state.mavlink.target = { systemId: message.systemId, componentId: message.componentId };
+    setMavlinkStatus('機体を検出しました。');
+    if (state.telemetry.missionWaypointIds.length === 0) assumeMissionMatchesPlan();
+  }
+
+  if (message.systemId === state.mavlink.target?.systemId && !state.telemetry.replay?.timer) {
+    handleTelemetryMessage(message);
+  }
+
+  const index = state.mavlink.waiters.findIndex((waiter) => waiter.predicate(message));
+  if (index === -1) return;
+  const [waiter] = state.mavlink.waiters.splice(index, 1);
+  waiter.resolve(message);
+}
+
+function sendMavlinkMessage(name, fields) {
+  const { socket } = state.mavlink;
+  if (socket?.readyState !== 1) {
+    throw new Error('機体と接続されていません');
+  }
+  socket.send(encodeMavlinkMessage(name, fields, state.mavlink.sequence, MAVLINK_GCS_SYSTEM_ID, MAVLINK_GCS_COMPONENT_ID));
+  state.mavlink.sequence = (state.mavlink.sequence + 1) & 0xff;
+}
+
+function encodeMavlinkMessage(name, fields, sequence, systemId, componentId) {
+  const definition = mavlinkMessages[name];
+  const payloadLength = definition.fields.reduce((sum, [, type]) => sum + mavlinkFieldSizes[type], 0);
+  const payload = new Uint8Array(payloadLength);
+  const view = new DataView(payload.buffer);
+  let offset = 0;
+  definition.fields.forEach(([field, type]) => {
+    const value = fields[field] ?? 0;
+    switch (type) {
+      case 'int8':
+        view.setInt8(offset, value);
+        break;
+      case 'uint8':
+        view.setUint8(offset, value);
+        break;
+      case 'int16':
+        view.setInt16(offset, value, true);
+        break;
+      case 'uint16':
+        view.setUint16(offset, value, true);
+        break;
+      case 'uint32':
+        view.setUint32(offset, value, true);
+        break;
+      case 'int32':
+        view.setInt32(offset, value, true);
+        break;
+      case 'float':
+        view.setFloat32(offset, value, true);
+        break;
+    }
+    offset += mavlinkFieldSizes[type];
+  });
+
+  // MAVLink 2 drops trailing zero bytes from the payload, keeping at least one
+  let length = payloadLength;
+  while (length > 1 && payload[length - 1] === 0) length -= 1;
+
+  const frame = new Uint8Array(MAVLINK_HEADER_LENGTH + length + 2);
+  frame.set([MAVLINK_STX, length, 0, 0, sequence, systemId, componentId, definition.id & 0xff, (definition.id >> 8) & 0xff, definition.id >> 16]);
+  frame.set(payload.subarray(0, length), MAVLINK_HEADER_LENGTH);
+  const crc = mavlinkCrc([definition.crcExtra], mavlinkCrc(frame.subarray(1, MAVLINK_HEADER_LENGTH + length)));
+  frame[MAVLINK_HEADER_LENGTH + length] = crc & 0xff;
+  frame[MAVLINK_HEADER_LENGTH + length + 1] = crc >> 8;
+  return frame;
+}
+
+// Splits a byte stream into MAVLink 2 messages. Unknown messages, MAVLink 1 frames and
+// frames failing the checksum are skipped; an incomplete trailing frame is returned as rest.
+function parseMavlinkFrames(bytes) {
+  const messages = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    if (bytes[offset] !== MAVLINK_STX) {
+      offset += 1;
+      continue;
+    }
+    if (bytes.length - offset < MAVLINK_HEADER_LENGTH) break;
+
+    const length = bytes[offset + 1];
+    const signed = (bytes[offset + 2] & 0x01) !== 0;
+    const frameLength = MAVLINK_HEADER_LENGTH + length + 2 + (signed ? MAVLINK_SIGNATURE_LENGTH : 0);
+    if (bytes.length - offset < frameLength) break;
+
+    const id = bytes[offset + 7] | (bytes[offset + 8] << 8) | (bytes[offset + 9] << 16);
+    const definition = mavlinkMessagesById.get(id);
+    if (!definition) {
+      offset += frameLength;
+      continue;
+    }
+
+    const payloadEnd = offset + MAVLINK_HEADER_LENGTH + length;
+    const crc = mavlinkCrc([definition.crcExtra], mavlinkCrc(bytes.subarray(offset + 1, payloadEnd)));
+    if (crc !== (bytes[payloadEnd] | (bytes[payloadEnd + 1] << 8))) {
+      offset += 1;
+      continue;
+    }
+
+    messages.push({
+      name: definition.name,
+      sequence: bytes[offset + 4],
+      systemId: bytes[offset + 5],
+      componentId: bytes[offset + 6],
+      fields: decodeMavlinkPayload(definition, bytes.subarray(offset + MAVLINK_HEADER_LENGTH, payloadEnd))
+    });
+    offset += frameLength;
+  }
+  return { messages, rest: bytes.slice(offset) };
+}
+
+function decodeMavlinkPayload(definition, truncated) {
+  const payloadLength = definition.fields.reduce((sum, [, type]) => sum + mavlinkFieldSizes[type], 0);
+  const payload = new Uint8Array(Math.max(payloadLength, truncated.length));
+  payload.set(truncated);
+  const view = new DataView(payload.buffer);
+  const fields = {};
+  let offset = 0;
+  definition.fields.forEach(([field, type]) => {
+    switch (type) {
+      case 'int8':
+        fields[field] = view.getInt8(offset);
+        break;
+      case 'uint8':
+        fields[field] = view.getUint8(offset);
+        break;
+      case 'int16':
+        fields[field] = view.getInt16(offset, true);
+        break;
+      case 'uint16':
+        fields[field] = view.getUint16(offset, true);
+        break;
+      case 'uint32':
+        fields[field] = view.getUint32(offset, true);
+        break;
+      case 'int32':
+        fields[field] = view.getInt32(offset, true);
+        break;
+      case 'float':
+        fields[field] = view.getFloat32(offset, true);
+        break;
+    }
+    offset += mavlinkFieldSizes[type];
+  });
+  return fields;
+}
+
+// CRC-16/MCRF4XX as used by MAVLink
+function mavlinkCrc(bytes, crc = 0xffff) {
+  let result = crc;
+  for (const byte of bytes) {
+    let tmp = byte ^ (result & 0xff);
+    tmp = (tmp ^ (tmp << 4)) & 0xff;
+    result = ((result >> 8) ^ (tmp << 8) ^ (tmp << 3) ^ (tmp >> 4)) & 0xffff;
+  }
+  return result;
+}
+
+function waitForMavlinkMessage(predicate, timeout) {
+  return new Promise((resolve) => {
+    const waiter = {
+      predicate,
+      resolve: (message) => {
+        clearTimeout(timer);
+        resolve(message);
+      }
+    };
+    const timer = setTimeout(() => {
+      state.mavlink.waiters = state.mavlink.waiters.filter((item) => item !== waiter);
+      resolve(null);
+    }, timeout);
+    state.mavlink.waiters.push(waiter);
+  });
+}
+
+// Sends a request and waits for the matching reply, resending on timeout
+async function mavlinkExchange(send, predicate) {
+  for (let attempt = 0; attempt <= MAVLINK_RETRIES; attempt += 1) {
+    const reply = waitForMavlinkMessage(predicate, MAVLINK_TIMEOUT_MS);
+    send();
+    const message = await reply;
+    if (message) return message;
+  }
+  throw new Error(`機体から応答がありません（${MAVLINK_RETRIES} 回再送）`);
+}
+
+function missionTarget() {
+  const { target } = state.mavlink;
+  if (!target) throw new Error('機体が検出されていません');
+  return { targetSystem: target.systemId, targetComponent: target.componentId, missionType: 0 };
+}
+
+function isMissionReply(message, names) {
+  return names.includes(message.name)
+    && message.systemId === state.mavlink.target?.systemId
+    && (message.fields.missionType ?? 0) === 0;
+}
+
+function missionResultError(type) {
+  return new Error(`機体が拒否しました: ${missionResultLabels[type] ?? `コード ${type}`}`);
+}
+
+async function uploadMission(items, onProgress) {
+  const target = missionTarget();
+  const isReply = (message) => isMissionReply(message, ['MISSION_REQUEST_INT', 'MISSION_REQUEST', 'MISSION_ACK']);
+
+  let highestSent = -1;
+  let message = await mavlinkExchange(() => sendMavlinkMessage('MISSION_COUNT', { ...target, count: items.length }), isReply);
+  while (message.name !== 'MISSION_ACK') {
+    const { seq } = message.fields;
+    if (seq >= items.length) throw new Error(`存在しない項目 ${seq} が要求されました`);
+    highestSent = Math.max(highestSent, seq);
+    onProgress(highestSent + 1, items.length);
+    message = await mavlinkExchange(() => sendMavlinkMessage('MISSION_ITEM_INT', missionItemFields(items[seq], seq, target)), isReply);
+  }
+
+  if (message.fields.type !== MAV_MISSION_ACCEPTED) throw missionResultError(message.fields.type);
+  if (highestSent < items.length - 1) throw new Error('機体がすべての項目を受け取る前に完了しました');
+}
+
+async function downloadMission(onProgress) {
+  const target = missionTarget();
+  const countMessage = await mavlinkExchange(
+    () => sendMavlinkMessage('MISSION_REQUEST_LIST', target),
+    (message) => isMissionReply(message, ['MISSION_COUNT'])
+  );
+
+  const { count } = countMessage.fields;
+  const items = [];
+  for (let seq = 0; seq < count; seq += 1) {
+    const message = await mavlinkExchange(
+      () => sendMavlinkMessage('MISSION_REQUEST_INT', { ...target, seq }),
+      (reply) => (isMissionReply(reply, ['MISSION_ITEM_INT']) && reply.fields.seq === seq) || isMissionReply(reply, ['MISSION_ACK'])
+    );
+    if (message.name === 'MISSION_ACK') throw missionResultError(message.fields.type);
+    items.push(qgcItemFromMissionItem(message.fields));
+    onProgress(seq + 1, count);
+  }
+
+  sendMavlinkMessage('MISSION_ACK', { ...target, type: MAV_MISSION_ACCEPTED });
+  return items;
+}
+
+async function clearMission() {
+  const target = missionTarget();
+  const ack = await mavlinkExchange(
+    () => sendMavlinkMessage('MISSION_CLEAR_ALL', target),
+    (message) => isMissionReply(message, ['MISSION_ACK'])
+  );
+  if (ack.fields.type !== MAV_MISSION_ACCEPTED) throw missionResultError(ack.fields.type);
+}
+
+function missionItemFields(item, seq, target) {
+  const [param1, param2, param3, param4, x, y, z] = item.params.map((value) => value ?? NaN);
+  const scale = mavlinkGlobalFrames.has(item.frame) ? 1e7 : 1;
+  return {
+    ...target,
+    seq,
+    command: item.command,
+    frame: item.frame,
+    current: 0,
+    autocontinue: item.autoContinue ? 1 : 0,
+    param1,
+    param2,
+    param3,
+    param4,
+    x: Number.isFinite(x) ? Math.round(x * scale) : 0,
+    y: Number.isFinite(y) ? Math.round(y * scale) : 0,
+    z
+  };
+}
+
+function qgcItemFromMissionItem(fields) {
+  const scale = mavlinkGlobalFrames.has(fields.frame) ? 1e7 : 1;
+  const params = [fields.param1, fields.param2, fields.param3, fields.param4, fields.x / scale, fields.y / scale, fields.z];
+  return {
+    type: 'SimpleItem',
+    doJumpId: fields.seq + 1,
+    autoContinue: fields.autocontinue !== 0,
+    command: fields.command,
+    frame: fields.frame,
+    params: params.map((value) => (Number.isNaN(value) ? null : value))
+  };
+}
+
+// Survey complex items are expanded into the simple items QGC would fly
+function missionItemsFromQgcPlan(qgcPlan) {
+  return qgcPlan.mission.items
+    .flatMap((item) => (item.type === 'ComplexItem' ? item.TransectStyleComplexItem.Items : [item]))
+    .map(({ command, frame, params, autoContinue }) => ({ command, frame, params, autoContinue }));
+}
+
+async function missionItemsForPlan() {
+  const qgcPlan = await buildQgcPlan(state);
+  const items = missionItemsFromQgcPlan(qgcPlan);
+  if (state.mavlinkSettings.homeAtZero) {
+    const [latitude, longitude, altitude] = qgcPlan.mission.plannedHomePosition;
+    items.unshift({ command: 16, frame: 0, params: [0, 0, 0, 0, latitude, longitude, altitude], autoContinue: true });
+  }
+  return items;
+}
+
+async function runMavlinkOperation(label, operation) {
+  if (state.mavlink.busy) return;
+  state.mavlink.busy = true;
+  setMavlinkStatus(`${label}中…`);
+  try {
+    setMavlinkStatus(await operation());
+  } catch (error) {
+    console.error(error);
+    setMavlinkStatus(`${label}に失敗しました: ${error.message}`);
+    alert(`${label}に失敗しました: ${error.message}`);
+  } finally {
+    state.mavlink.busy = false;
+    setMavlinkProgress(0, 0);
+    renderMavlinkStatus();
+  }
+}
+
+async function handleMissionUpload() {
   if (state.waypoints.length < 2) {
     alert('少なくとも2つのウェイポイントが必要です。');
     return;
   }
+  const issues = [
+    ...checkMissionSequence(state.waypoints, state.altitudeReference),
+    ...await checkAirspaceIssues(state.waypoints)
+  ];
+  if (!(await confirmPlanIssues(issues, 'ミッション送信'))) return;
 
-  const plan = {
-    version: '1.0.0',
-    vehicleType: 'VTOL',
-    generatedAt: new Date().toISOString(),
-    description: 'VTOL Flight Plan',
-    waypoints: state.waypoints
+  await runMavlinkOperation('ミッション送信', async () => {
+    const items = await missionItemsForPlan();
+    await uploadMission(items, setMavlinkProgress);
+    state.telemetry.missionWaypointIds = missionWaypointIds(items, state.waypoints);
+    // The next MISSION_CURRENT is resolved against the new items
+    state.telemetry.currentSeq = null;
+    return `${items.length} 項目を送信しました。`;
+  });
+}
+
+async function handleMissionDownload() {
+  await runMavlinkOperation('ミッション受信', async () => {
+    const items = await downloadMission(setMavlinkProgress);
+    const home = state.mavlinkSettings.homeAtZero ? items.shift() : null;
+    if (items.length === 0) return '機体にミッションがありません。';
+
+    const json = {
+      fileType: 'Plan',
+      version: 1,
+      groundStation: 'MAVLink',
+      mission: {
+        version: 2,
+        firmwareType: qgcDefaults.firmwareType,
+        vehicleType: qgcDefaults.vehicleType,
+        items
+      }
+    };
+    if (home) json.mission.plannedHomePosition = [home.params[4], home.params[5], home.params[6]];
+    // The reason has already been shown by loadQgcPlan, and the current plan is left as it was
+    if (!(await loadQgcPlan(json, '機体からミッションを受信'))) {
+      return `${items.length} 項目を受信しましたが、プランに変換できませんでした。`;
+    }
+    state.telemetry.missionWaypointIds = missionWaypointIds(home ? [home, ...items] : items, state.waypoints);
+    state.telemetry.currentSeq = null;
+    return `${items.length} 項目を受信しました。`;
+  });
+}
+
+async function handleMissionClear() {
+  if (!confirm('機体のミッションを消去しますか？')) return;
+  await runMavlinkOperation('ミッション消去', async () => {
+    await clearMission();
+    return '機体のミッションを消去しました。';
+  });
+}
+
+// In-browser stand-in for a WebSocket bridge: a simulated vehicle that answers the
+// mission protocol. "?loss=0.2" drops that fraction of frames in both directions.
+function createMockMavlinkSocket(url) {
+  const loss = Number(new URL(url).searchParams.get('loss')) || 0;
+  const vehicle = { sequence: 0, buffer: new Uint8Array(0), mission: [], upload: null };
+  const socket = {
+    readyState: 0,
+    binaryType: 'blob',
+    send(data) {
+      if (Math.random() < loss) return;
+      const bytes = new Uint8Array(vehicle.buffer.length + data.length);
+      bytes.set(vehicle.buffer);
+      bytes.set(data, vehicle.buffer.length);
+      const { messages, rest } = parseMavlinkFrames(bytes);
+      vehicle.buffer = rest;
+      messages.forEach(handle);
+    },
+    close() {
+      clearInterval(heartbeat);
+      socket.readyState = 3;
+      socket.onclose?.({});
+    }
+  };
+
+  const emit = (name, fields) => {
+    const frame = encodeMavlinkMessage(name, { ...fields, targetSystem: MAVLINK_GCS_SYSTEM_ID, targetComponent: MAVLINK_GCS_COMPONENT_ID }, vehicle.sequence, 1, 1);
+    vehicle.sequence = (vehicle.sequence + 1) & 0xff;
+    if (Math.random() < loss) return;
+    setTimeout(() => {
+      if (socket.readyState === 1) socket.onmessage?.({ data: frame.buffer });
+    }, 20);
+  };
+  const ack = (type) => emit('MISSION_ACK', { type });
+
+  function handle({ name, fields }) {
+    switch (name) {
+      case 'MISSION_COUNT':
+        vehicle.upload = { count: fields.count, items: [] };
+        if (fields.count === 0) {
+          vehicle.mission = [];
+          vehicle.upload = null;
+          ack(MAV_MISSION_ACCEPTED);
+        } else {
+          emit('MISSION_REQUEST_INT', { seq: 0 });
+        }
+        break;
+      case 'MISSION_ITEM_INT': {
+        const { upload } = vehicle;
+        if (!upload) {
+          // The final ACK was lost and the GCS resent the last item
+          ack(MAV_MISSION_ACCEPTED);
+          break;
+        }
+        if (fields.seq === upload.items.length) upload.items.push(fields);
+        if (upload.items.length === upload.count) {
+          vehicle.mission = upload.items;
+          vehicle.upload = null;
+          ack(MAV_MISSION_ACCEPTED);
+        } else {
+          emit('MISSION_REQUEST_INT', { seq: upload.items.length });
+        }
+        break;
+      }
+      case 'MISSION_REQUEST_LIST':
+        emit('MISSION_COUNT', { count: vehicle.mission.length });
+        break;
+      case 'MISSION_REQUEST_INT':
+        if (fields.seq < vehicle.mission.length) {
+          emit('MISSION_ITEM_INT', { ...vehicle.mission[fields.seq], seq: fields.seq });
+        } else {
+          ack(13);
+        }
+        break;
+      case 'MISSION_CLEAR_ALL':
+        vehicle.mission = [];
+        ack(MAV_MISSION_ACCEPTED);
+        break;
+    }
+  }
+
+  const sendHeartbeat = () => emit('HEARTBEAT', { type: 22, autopilot: 12, baseMode: 0, customMode: 0, systemStatus: 3, mavlinkVersion: 3 });
+  const heartbeat = setInterval(sendHeartbeat, MAVLINK_HEARTBEAT_INTERVAL_MS);
+  setTimeout(() => {
+    socket.readyState = 1;
+    socket.onopen?.({});
+    sendHeartbeat();
+  }, 0);
+  return socket;
+}
+
+function bindTelemetryControls() {
+  document.getElementById('telemetryLogInput').addEventListener('change', loadTelemetryLog);
+  telemetryReplayBtn.addEventListener('click', () => {
+    if (state.telemetry.replay?.timer) {
+      stopTelemetryReplay('再生を停止しました。');
+    } else {
+      startTelemetryReplay();
+    }
+  });
+  document.getElementById('clearTelemetryBtn').addEventListener('click', clearTelemetry);
+}
+
+function handleTelemetryMessage({ name, fields }) {
+  const telemetry = state.telemetry;
+  switch (name) {
+    case 'GLOBAL_POSITION_INT': {
+      const position = {
+        latitude: fields.lat / 1e7,
+        longitude: fields.lon / 1e7,
+        altitude: fields.alt / 1000,
+        relativeAltitude: fields.relativeAlt / 1000
+      };
+      telemetry.position = position;
+      telemetry.heading = fields.hdg === 0xffff ? null : fields.hdg / 100;
+      telemetry.groundSpeed = Math.hypot(fields.vx, fields.vy) / 100;
+      telemetry.trail.push([position.longitude, position.latitude]);
+      if (telemetry.trail.length > TELEMETRY_TRAIL_LIMIT) telemetry.trail.shift();
+
+      telemetry.progress = routeProgress(position, state.waypoints, activeWaypointIndex());
+      if (telemetry.progress) {
+        telemetry.trace.push({ distance: telemetry.progress.distance, altitude: position.altitude });
+        if (telemetry.trace.length > TELEMETRY_TRAIL_LIMIT) telemetry.trace.shift();
+      }
+      break;
+    }
+    case 'SYS_STATUS':
+      telemetry.battery = {
+        remaining: fields.batteryRemaining < 0 ? null : fields.batteryRemaining,
+        voltage: fields.voltageBattery === 0xffff ? null : fields.voltageBattery / 1000
+      };
+      break;
+    case 'EXTENDED_SYS_STATE':
+      telemetry.vtolState = fields.vtolState;
+      telemetry.landedState = fields.landedState;
+      break;
+    case 'MISSION_CURRENT':
+      // Sent about once a second; the list is only scrolled when the active item changes
+      if (fields.seq === telemetry.currentSeq) break;
+      telemetry.currentSeq = fields.seq;
+      telemetry.activeWaypointId = telemetry.missionWaypointIds[fields.seq] ?? null;
+      highlightActiveWaypoint();
+      break;
+    default:
+      return;
+  }
+  scheduleTelemetryRender();
+}
+
+// Maps each mission item to the waypoint it belongs to. Items without a position
+// (transitions, camera triggers) inherit the waypoint before them.
+function missionWaypointIds(items, waypoints) {
+  let currentId = null;
+  return items.map((item) => {
+    const [latitude, longitude] = [item.params[4], item.params[5]];
+    if (mavlinkGlobalFrames.has(item.frame) && latitude != null && longitude != null) {
+      const match = waypoints.find((wp) => Math.abs(wp.latitude - latitude) < 1e-6 && Math.abs(wp.longitude - longitude) < 1e-6);
+      if (match) currentId = match.id;
+    }
+    return currentId;
+  });
+}
+
+async function assumeMissionMatchesPlan() {
+  if (state.waypoints.length < 2) return;
+  try {
+    state.telemetry.missionWaypointIds = missionWaypointIds(await missionItemsForPlan(), state.waypoints);
+  } catch (error) {
+    console.warn(error);
+  }
+}
+
+function activeWaypointIndex() {
+  const id = state.telemetry.activeWaypointId;
+  return id ? state.waypoints.findIndex((wp) => wp.id === id) : -1;
+}
+
+// Projects the vehicle onto the planned route. While a mission item is active the leg
+// leading to it is used, otherwise the nearest leg. crossTrack is positive to the right.
+function routeProgress(position, waypoints, targetIndex) {
+  if (waypoints.length < 2) return null;
+  const point = [position.latitude, position.longitude];
+
+  let cumulative = 0;
+  const legs = [];
+  for (let i = 0; i < waypoints.length - 1; i += 1) {
+    const start = [waypoints[i].latitude, waypoints[i].longitude];
+    const end = [waypoints[i + 1].latitude, waypoints[i + 1].longitude];
+    const [ax, ay] = projectToMeters(start, point);
+    const [bx, by] = projectToMeters(end, point);
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.min(1, Math.max(0, (-ax * dx - ay * dy) / lengthSq));
+    const length = haversineDistance(start[0], start[1], end[0], end[1]);
+    legs.push({
+      index: i,
+      distance: cumulative + t * length,
+      offset: Math.hypot(ax + dx * t, ay + dy * t),
+      side: Math.sign(dx * -ay - dy * -ax) || 1
+    });
+    cumulative += length;
+  }
+
+  const leg = targetIndex > 0 ? legs[targetIndex - 1] : legs.reduce((best, item) => (item.offset < best.offset ? item : best));
+  return { legIndex: leg.index, distance: leg.distance, crossTrack: -leg.side * leg.offset };
+}
+
+function highlightActiveWaypoint() {
+  waypointListElement.querySelectorAll('.waypoint-card.mission-active').forEach((card) => card.classList.remove('mission-active'));
+  const id = state.telemetry.activeWaypointId;
+  if (!id) return;
+  scrollToWaypointCard(id);
+  state.waypointList.cards.get(id)?.classList.add('mission-active');
+}
+
+function scheduleTelemetryRender() {
+  if (state.telemetry.renderPending) return;
+  state.telemetry.renderPending = true;
+  requestAnimationFrame(() => {
+    state.telemetry.renderPending = false;
+    renderTelemetry();
+  });
+}
+
+function renderTelemetry() {
+  const telemetry = state.telemetry;
+  const { position } = telemetry;
+
+  if (position) {
+    if (!telemetry.marker) {
+      const element = document.createElement('div');
+      element.className = 'vehicle-marker';
+      telemetry.marker = new maplibregl.Marker({ element, rotationAlignment: 'map' }).setLngLat([position.longitude, position.latitude]).addTo(map);
+    }
+    telemetry.marker.setLngLat([position.longitude, position.latitude]).setRotation(telemetry.heading ?? 0);
+  }
+
+  const trail = emptyLineString();
+  trail.geometry.coordinates = telemetry.trail;
+  map.getSource('telemetry-trail')?.setData(trail);
+
+  renderTelemetryOverlay();
+  redrawProfile();
+}
+
+function renderTelemetryOverlay() {
+  const { position, heading, groundSpeed, vtolState, landedState, battery, currentSeq, progress } = state.telemetry;
+  telemetryOverlay.innerHTML = '';
+  telemetryOverlay.hidden = !position && vtolState == null && !battery;
+  if (telemetryOverlay.hidden) return;
+
+  const rows = [
+    ['VTOL 状態', vtolState == null ? '—' : vtolStateLabels[vtolState] ?? `${vtolState}`],
+    ['着陸状態', landedState == null ? '—' : landedStateLabels[landedState] ?? `${landedState}`],
+    ['高度', position ? `${position.altitude.toFixed(1)} m AMSL（離陸点 +${position.relativeAltitude.toFixed(1)} m）` : '—'],
+    ['対地速度', groundSpeed == null ? '—' : `${groundSpeed.toFixed(1)} m/s`],
+    ['方位', heading == null ? '—' : `${Math.round(heading)}°`],
+    ['バッテリー', formatBattery(battery), battery?.remaining != null && battery.remaining <= state.vehicle.reservePercent],
+    ['現在の項目', currentSeq == null ? '—' : `${currentSeq}`],
+    [
+      '航路偏差',
+      progress ? `${progress.crossTrack >= 0 ? '右' : '左'} ${Math.abs(progress.crossTrack).toFixed(1)} m` : '—',
+      progress && Math.abs(progress.crossTrack) > CROSS_TRACK_WARNING_METERS
+    ]
+  ];
+  rows.forEach(([label, value, warning]) => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const detail = document.createElement('dd');
+    detail.textContent = value;
+    if (warning) detail.classList.add('warning');
+    telemetryOverlay.append(term, detail);
+  });
+}
+
+function formatBattery(battery) {
+  if (!battery) return '—';
+  const parts = [];
+  if (battery.remaining != null) parts.push(`${battery.remaining}%`);
+  if (battery.voltage != null) parts.push(`${battery.voltage.toFixed(1)} V`);
+  return parts.join(' / ') || '—';
+}
+
+function drawTelemetryTrace(ctx, xScale, yScale, dpr) {
+  const { trace } = state.telemetry;
+  if (trace.length === 0) return;
+
+  ctx.save();
+  ctx.strokeStyle = '#2f9e44';
+  ctx.lineWidth = 2 * dpr;
+  ctx.beginPath();
+  trace.forEach((point, index) => {
+    const x = xScale(point.distance);
+    const y = yScale(point.altitude);
+    if (index === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+
+  const last = trace[trace.length - 1];
+  ctx.fillStyle = '#2f9e44';
+  ctx.beginPath();
+  ctx.arc(xScale(last.distance), yScale(last.altitude), 5 * dpr, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.restore();
+}
+
+function clearTelemetry() {
+  stopTelemetryReplay('');
+  state.telemetry.marker?.remove();
+  Object.assign(state.telemetry, {
+    position: null,
+    heading: null,
+    groundSpeed: null,
+    vtolState: null,
+    landedState: null,
+    battery: null,
+    currentSeq: null,
+    activeWaypointId: null,
+    progress: null,
+    trail: [],
+    trace: [],
+    marker: null
+  });
+  highlightActiveWaypoint();
+  renderTelemetry();
+}
+
+async function loadTelemetryLog(event) {
+  const file = event.target.files?.[0];
+  if (!file) return;
+
+  try {
+    stopTelemetryReplay('');
+    const records = parseTelemetryLog(new Uint8Array(await file.arrayBuffer()));
+    const vehicle = records.find(({ message }) => message.name === 'HEARTBEAT' && message.fields.type !== MAV_TYPE_GCS);
+    if (!vehicle) {
+      alert('ログに機体のハートビートが含まれていません。');
+      return;
+    }
+    const vehicleRecords = records.filter(({ message }) => message.systemId === vehicle.message.systemId);
+    state.telemetry.replay = { name: file.name, records: vehicleRecords, index: 0, timer: null };
+    telemetryStatus.textContent = `${file.name}: ${vehicleRecords.length} メッセージ`;
+    telemetryReplayBtn.disabled = false;
+  } catch (error) {
+    console.error(error);
+    alert('テレメトリログの読み込みに失敗しました。');
+  } finally {
+    event.target.value = '';
+  }
+}
+
+// .tlog files store each MAVLink frame after a big-endian uint64 timestamp in microseconds
+function parseTelemetryLog(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const records = [];
+  let offset = 0;
+  while (offset + 8 + MAVLINK_HEADER_LENGTH <= bytes.length) {
+    const start = offset + 8;
+    const magic = bytes[start];
+    if (magic !== MAVLINK_STX && magic !== 0xfe) {
+      offset += 1;
+      continue;
+    }
+
+    const length = bytes[start + 1];
+    // MAVLink 1 frames are skipped
+    const frameLength = magic === MAVLINK_STX
+      ? MAVLINK_HEADER_LENGTH + length + 2 + ((bytes[start + 2] & 0x01) !== 0 ? MAVLINK_SIGNATURE_LENGTH : 0)
+      : 6 + length + 2;
+    if (start + frameLength > bytes.length) break;
+
+    const time = Number(view.getBigUint64(offset, false) / 1000n);
+    if (magic === MAVLINK_STX) {
+      parseMavlinkFrames(bytes.subarray(start, start + frameLength)).messages.forEach((message) => records.push({ time, message }));
+    }
+    offset = start + frameLength;
+  }
+  return records;
+}
+
+function startTelemetryReplay() {
+  const replay = state.telemetry.replay;
+  if (!replay) return;
+  if (replay.index >= replay.records.length) replay.index = 0;
+  if (replay.index === 0) {
+    clearTelemetry();
+    if (state.telemetry.missionWaypointIds.length === 0) assumeMissionMatchesPlan();
+  }
+
+  const step = () => {
+    const { records } = replay;
+    const record = records[replay.index];
+    handleTelemetryMessage(record.message);
+    replay.index += 1;
+    telemetryStatus.textContent = `${replay.name}: 再生中 ${replay.index} / ${records.length}`;
+    if (replay.index >= records.length) {
+      stopTelemetryReplay(`${replay.name}: 再生が終了しました。`);
+      return;
+    }
+    const speed = Number(document.getElementById('telemetrySpeedSelect').value) || 1;
+    const gap = Math.min(Math.max(records[replay.index].time - record.time, 0), TELEMETRY_REPLAY_MAX_GAP_MS);
+    replay.timer = setTimeout(step, gap / speed);
+  };
+  replay.timer = setTimeout(step, 0);
+  telemetryReplayBtn.textContent = '停止';
+}
+
+function stopTelemetryReplay(message) {
+  const replay = state.telemetry.replay;
+  if (replay) {
+    clearTimeout(replay.timer);
+    replay.timer = null;
+  }
+  telemetryReplayBtn.textContent = '再生';
+  if (message) telemetryStatus.textContent = message;
+}
+
+function bindSimulationControls() {
+  registerTerrainProtocol();
+  simulationPlayBtn.addEventListener('click', () => {
+    if (state.simulation.playing) {
+      pauseSimulation();
+    } else {
+      playSimulation();
+    }
+  });
+  document.getElementById('simulationStopBtn').addEventListener('click', stopSimulation);
+  simulationScrub.addEventListener('input', () => {
+    state.simulation.time = Number(simulationScrub.value);
+    state.simulation.active = Boolean(state.simulation.timeline);
+    renderSimulation();
+  });
+  document.getElementById('terrain3dToggle').addEventListener('change', (event) => setTerrain3d(event.target.checked));
+  renderSimulation();
+}
+
+// Splits the flight estimate into timed segments: the action at each waypoint
+// (vertical climb/descent or transition in place) followed by the leg to the next one.
+function buildSimulationTimeline(waypoints, vertices, estimate) {
+  if (!estimate || waypoints.length < 2 || vertices.length !== waypoints.length) return null;
+
+  const pointAt = (index, altitude) => ({
+    latitude: waypoints[index].latitude,
+    longitude: waypoints[index].longitude,
+    distance: vertices[index].distance,
+    altitude
+  });
+
+  const segments = [];
+  waypoints.forEach((wp, index) => {
+    const result = estimate.waypoints[index];
+    const vertex = vertices[index];
+    const ground = vertex.ground ?? vertex.origin;
+    const heading = legHeading(waypoints, index);
+
+    if (result.time > result.arrivalTime) {
+      let [from, to] = [vertex.amsl, vertex.amsl];
+      if (wp.type === 'takeoff') [from, to] = [ground, vertex.amsl];
+      if (wp.type === 'landing') [from, to] = [vertex.amsl, ground];
+      segments.push({ start: result.arrivalTime, end: result.time, phase: wp.type, heading, speed: 0, from: pointAt(index, from), to: pointAt(index, to) });
+    }
+    if (result.leg) {
+      segments.push({
+        start: result.time,
+        end: result.time + result.leg.time,
+        phase: result.leg.phase,
+        heading: result.leg.heading ?? heading,
+        speed: result.leg.time > 0 ? result.leg.distance / result.leg.time : 0,
+        from: pointAt(index, vertex.amsl),
+        to: pointAt(index + 1, vertices[index + 1].amsl)
+      });
+    }
+  });
+  return segments.length > 0 ? { segments, totalTime: estimate.totalTime } : null;
+}
+
+function legHeading(waypoints, index) {
+  const [from, to] = index < waypoints.length - 1 ? [waypoints[index], waypoints[index + 1]] : [waypoints[index - 1], waypoints[index]];
+  return initialBearing(from.latitude, from.longitude, to.latitude, to.longitude);
+}
+
+function simulationStateAt(timeline, time) {
+  const { segments } = timeline;
+  const segment = segments.find((item) => time <= item.end) ?? segments[segments.length - 1];
+  const duration = segment.end - segment.start;
+  const t = duration > 0 ? Math.min(1, Math.max(0, (time - segment.start) / duration)) : 1;
+  return {
+    latitude: interpolateCoordinate(segment.from.latitude, segment.to.latitude, t),
+    longitude: interpolateCoordinate(segment.from.longitude, segment.to.longitude, t),
+    altitude: interpolateCoordinate(segment.from.altitude, segment.to.altitude, t),
+    distance: interpolateCoordinate(segment.from.distance, segment.to.distance, t),
+    phase: segment.phase,
+    heading: segment.heading,
+    speed: segment.speed
+  };
+}
+
+function refreshSimulationTimeline() {
+  const simulation = state.simulation;
+  simulation.timeline = buildSimulationTimeline(state.waypoints, state.profile.waypoints, state.flightEstimate);
+  const totalTime = simulation.timeline?.totalTime ?? 0;
+  simulation.time = Math.min(simulation.time, totalTime);
+  simulationScrub.max = Math.ceil(totalTime);
+  if (!simulation.timeline) {
+    pauseSimulation();
+    simulation.active = false;
+  }
+  renderSimulation();
+}
+
+function playSimulation() {
+  const simulation = state.simulation;
+  if (!simulation.timeline) {
+    alert('シミュレーションには2つ以上のウェイポイントが必要です。');
+    return;
+  }
+  if (simulation.time >= simulation.timeline.totalTime) simulation.time = 0;
+  simulation.playing = true;
+  simulation.active = true;
+  simulation.lastFrame = null;
+  simulationPlayBtn.textContent = '一時停止';
+  simulation.frame = requestAnimationFrame(stepSimulation);
+}
+
+function stepSimulation(timestamp) {
+  const simulation = state.simulation;
+  if (!simulation.playing || !simulation.timeline) return;
+  if (simulation.lastFrame != null) {
+    const speed = Number(simulationSpeedSelect.value) || 1;
+    simulation.time += ((timestamp - simulation.lastFrame) / 1000) * speed;
+  }
+  simulation.lastFrame = timestamp;
+
+  if (simulation.time >= simulation.timeline.totalTime) {
+    simulation.time = simulation.timeline.totalTime;
+    pauseSimulation();
+  } else {
+    simulation.frame = requestAnimationFrame(stepSimulation);
+  }
+  renderSimulation();
+}
+
+function pauseSimulation() {
+  state.simulation.playing = false;
+  cancelAnimationFrame(state.simulation.frame);
+  simulationPlayBtn.textContent = '再生';
+}
+
+function stopSimulation() {
+  pauseSimulation();
+  state.simulation.time = 0;
+  state.simulation.active = false;
+  renderSimulation();
+}
+
+function renderSimulation() {
+  const simulation = state.simulation;
+  const { timeline, time } = simulation;
+  const totalTime = timeline?.totalTime ?? 0;
+  simulationScrub.value = time;
+  simulationTimeLabel.textContent = `${formatDuration(time)} / ${formatDuration(totalTime)}`;
+  simulation.current = timeline && simulation.active ? simulationStateAt(timeline, time) : null;
+
+  const { current } = simulation;
+  if (current) {
+    if (!simulation.marker) {
+      const element = document.createElement('div');
+      element.className = 'vehicle-marker simulated';
+      simulation.marker = new maplibregl.Marker({ element, rotationAlignment: 'map' }).setLngLat([current.longitude, current.latitude]).addTo(map);
+    }
+    simulation.marker.setLngLat([current.longitude, current.latitude]).setRotation(current.heading);
+    simulationStatus.textContent = [
+      simulationPhaseLabels[current.phase],
+      `高度 ${current.altitude.toFixed(1)} m AMSL / 速度 ${current.speed.toFixed(1)} m/s / 距離 ${Math.round(current.distance)} m`
+    ].join('\n');
+  } else {
+    simulation.marker?.remove();
+    simulation.marker = null;
+    simulationStatus.textContent = '';
+  }
+
+  updateSimulationVehicle3d();
+  redrawProfile();
+}
+
+function drawSimulationCursor(ctx, xScale, yScale, margin, plotHeight, dpr) {
+  const { current } = state.simulation;
+  if (!current) return;
+  const x = xScale(current.distance);
+
+  ctx.save();
+  ctx.strokeStyle = '#f08c00';
+  ctx.lineWidth = 1.5 * dpr;
+  ctx.beginPath();
+  ctx.moveTo(x, margin);
+  ctx.lineTo(x, margin + plotHeight);
+  ctx.stroke();
+  ctx.fillStyle = '#f08c00';
+  ctx.beginPath();
+  ctx.arc(x, yScale(current.altitude), 5 * dpr, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.restore();
+}
+
+// MapLibre's raster-dem only understands Terrarium and Mapbox encodings, so tiles of
+// the active DEM source are decoded here and re-encoded as Terrain-RGB.
+function registerTerrainProtocol() {
+  maplibregl.addProtocol(TERRAIN_DEM_PROTOCOL, (params, callback) => {
+    const [z, x, y] = params.url.split('/').slice(-3).map(Number);
+    terrainTileImage(z, x, y)
+      .then((data) => callback(null, data, null, null))
+      .catch((error) => callback(error));
+    return { cancel() {} };
+  });
+}
+
+function terrainSourceSpecification() {
+  return {
+    type: 'raster-dem',
+    tiles: [`${TERRAIN_DEM_PROTOCOL}://${state.simulation.terrainRevision}/{z}/{x}/{y}`],
+    tileSize: 256,
+    encoding: 'mapbox',
+    maxzoom: Math.max(...activeDemLayers().map((layer) => layer.zoom))
   };
+}
+
+async function terrainTileImage(z, x, y) {
+  let merged = null;
+  for (const layer of activeDemLayers().filter((item) => z <= item.zoom)) {
+    let tile;
+    try {
+      tile = await fetchElevationTile(layer, x, y, z);
+    } catch (error) {
+      tile = layer.zoom - z <= TERRAIN_DOWNSAMPLE_LEVELS ? await downsampleElevationTile(layer, x, y, z) : null;
+      if (!tile) console.warn(error);
+    }
+    if (!tile) continue;
+
+    if (!merged) {
+      merged = { ...tile, elevations: Float32Array.from(tile.elevations) };
+    } else if (tile.width === merged.width && tile.height === merged.height) {
+      tile.elevations.forEach((value, index) => {
+        if (Number.isNaN(merged.elevations[index])) merged.elevations[index] = value;
+      });
+    }
+    if (!merged.elevations.some(Number.isNaN)) break;
+  }
+  return encodeTerrainRgbTile(merged ?? { width: 256, height: 256, elevations: new Float32Array(256 * 256) });
+}
+
+// Nearest-neighbour copy of the source zoom tiles covering a lower zoom tile; null when none are available
+async function downsampleElevationTile(layer, x, y, z) {
+  const factor = 2 ** (layer.zoom - z);
+  const children = await Promise.all(Array.from({ length: factor * factor }, (_, index) =>
+    fetchElevationTile(layer, x * factor + (index % factor), y * factor + Math.floor(index / factor)).catch(() => null)));
+  const first = children.find(Boolean);
+  if (!first) return null;
+
+  const { width, height } = first;
+  const elevations = new Float32Array(width * height).fill(NaN);
+  for (let py = 0; py < height; py += 1) {
+    const childY = Math.floor((py * factor) / height);
+    const sy = (py * factor) % height;
+    for (let px = 0; px < width; px += 1) {
+      const childX = Math.floor((px * factor) / width);
+      const child = children[childY * factor + childX];
+      if (child) elevations[py * width + px] = child.elevations[sy * child.width + ((px * factor) % width)];
+    }
+  }
+  return { width, height, elevations };
+}
+
+async function encodeTerrainRgbTile({ width, height, elevations }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(width, height);
+  elevations.forEach((elevation, index) => {
+    const value = Math.max(0, Math.round(((Number.isNaN(elevation) ? 0 : elevation) + 10000) * 10));
+    const offset = index * 4;
+    image.data[offset] = (value >> 16) & 0xff;
+    image.data[offset + 1] = (value >> 8) & 0xff;
+    image.data[offset + 2] = value & 0xff;
+    image.data[offset + 3] = 255;
+  });
+  ctx.putImageData(image, 0, 0);
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+  return blob.arrayBuffer();
+}
 
-  const valid = validatePlan(plan);
-  if (!valid) {
-    console.error(validatePlan.errors);
-    alert('フライトプランがスキーマに適合しません。入力内容を確認してください。');
-    return;
+function setTerrain3d(enabled) {
+  state.simulation.terrain3d = enabled;
+  if (enabled) {
+    if (!map.getSource('terrain-dem')) map.addSource('terrain-dem', terrainSourceSpecification());
+    map.setTerrain({ source: 'terrain-dem', exaggeration: 1 });
+  } else {
+    map.setTerrain(null);
   }
 
-  const blob = new Blob([JSON.stringify(plan, null, 2)], { type: 'application/json' });
-  const link = document.createElement('a');
-  link.href = URL.createObjectURL(blob);
-  link.download = `vtol-plan-${new Date().toISOString().replace(/[:.]/g, '-')}.plan`;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  URL.revokeObjectURL(link.href);
+  ['flight-path-3d-curtain', 'flight-path-3d-ribbon', 'simulation-vehicle-3d-box'].forEach((id) => {
+    map.setLayoutProperty(id, 'visibility', enabled ? 'visible' : 'none');
+  });
+  map.setLayoutProperty('flight-path-line', 'visibility', enabled ? 'none' : 'visible');
+  map.easeTo({ pitch: enabled ? TERRAIN_3D_PITCH : 0 });
+  updateFlightPath3d();
+  updateSimulationVehicle3d();
 }
 
-async function handleLoadPlan(event) {
-  const file = event.target.files?.[0];
-  if (!file) return;
+function refreshTerrainSource() {
+  state.simulation.terrainRevision += 1;
+  if (!map.getSource('terrain-dem')) return;
+  if (state.simulation.terrain3d) map.setTerrain(null);
+  map.removeSource('terrain-dem');
+  if (state.simulation.terrain3d) {
+    map.addSource('terrain-dem', terrainSourceSpecification());
+    map.setTerrain({ source: 'terrain-dem', exaggeration: 1 });
+  }
+}
 
-  try {
-    const content = await file.text();
-    const json = JSON.parse(content);
-    const valid = validatePlan(json);
-    if (!valid) {
-      console.error(validatePlan.errors);
-      alert('.plan ファイルがスキーマに適合しません。');
-      return;
-    }
+// Fill extrusions stand on the terrain, so the ribbon is placed at the planned
+// height above the sampled ground rather than at the AMSL altitude.
+function updateFlightPath3d() {
+  if (!state.simulation.terrain3d) return;
+  const samples = state.profile.samples;
+  const features = [];
+  for (let i = 0; i < samples.length - 1; i += 1) {
+    const [a, b] = [samples[i], samples[i + 1]];
+    if (a.groundElevation == null || b.groundElevation == null) continue;
+    const top = Math.max(0, ((a.plannedAltitude - a.groundElevation) + (b.plannedAltitude - b.groundElevation)) / 2);
+    const polygon = ribbonPolygon([a.lat, a.lon], [b.lat, b.lon], PATH_RIBBON_WIDTH_METERS);
+    if (!polygon) continue;
+    features.push({
+      type: 'Feature',
+      geometry: polygon,
+      properties: { base: Math.max(0, top - PATH_RIBBON_THICKNESS_METERS), top }
+    });
+  }
+  map.getSource('flight-path-3d')?.setData({ type: 'FeatureCollection', features });
+}
 
-    state.waypoints = json.waypoints.map((wp) => ({ ...wp }));
-    renderWaypointsList();
-    updateMapVisualization(true);
-  } catch (error) {
-    console.error(error);
-    alert('.plan ファイルの読み込みに失敗しました。');
-  } finally {
-    event.target.value = '';
+function updateSimulationVehicle3d() {
+  const source = map.getSource('simulation-vehicle-3d');
+  if (!source) return;
+  const { current, terrain3d } = state.simulation;
+  const ground = current ? groundAtDistance(current.distance) : null;
+  if (!terrain3d || !current || ground == null) {
+    source.setData(emptyFeatureCollection());
+    return;
   }
+
+  const height = Math.max(0, current.altitude - ground);
+  const size = 8;
+  const corners = [[-size, -size], [size, -size], [size, size], [-size, size], [-size, -size]]
+    .map((offset) => unprojectFromMeters(offset, [current.latitude, current.longitude]))
+    .map(([lat, lon]) => [lon, lat]);
+  source.setData({
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [corners] },
+      properties: { base: Math.max(0, height - 3), top: height + 3 }
+    }]
+  });
+}
+
+function ribbonPolygon(start, end, width) {
+  const [x, y] = projectToMeters(end, start);
+  const length = Math.hypot(x, y);
+  if (length === 0) return null;
+  const nx = (-y / length) * (width / 2);
+  const ny = (x / length) * (width / 2);
+  const ring = [[nx, ny], [x + nx, y + ny], [x - nx, y - ny], [-nx, -ny], [nx, ny]]
+    .map((offset) => unprojectFromMeters(offset, start))
+    .map(([lat, lon]) => [lon, lat]);
+  return { type: 'Polygon', coordinates: [ring] };
+}
+
+function groundAtDistance(distance) {
+  const samples = state.profile.samples;
+  const index = samples.findIndex((sample) => sample.distance >= distance);
+  if (index === -1) return samples[samples.length - 1]?.groundElevation ?? null;
+  if (index === 0) return samples[0].groundElevation;
+  const [a, b] = [samples[index - 1], samples[index]];
+  if (a.groundElevation == null || b.groundElevation == null) return a.groundElevation ?? b.groundElevation;
+  const span = b.distance - a.distance;
+  return interpolateCoordinate(a.groundElevation, b.groundElevation, span > 0 ? (distance - a.distance) / span : 0);
 }
 
 function haversineDistance(lat1, lon1, lat2, lon2) {
@@ -432,122 +8169,1290 @@ function haversineDistance(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
+function initialBearing(lat1, lon1, lat2, lon2) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLon = toRad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+  const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) - Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+function destinationPoint(lat, lon, bearingDeg, distance) {
+  const R = 6371e3;
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const toDeg = (rad) => (rad * 180) / Math.PI;
+  const angular = distance / R;
+  const bearing = toRad(bearingDeg);
+  const lat1 = toRad(lat);
+  const lon1 = toRad(lon);
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing)
+  );
+  const lon2 = lon1 + Math.atan2(
+    Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+    Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+  );
+  return [toDeg(lat2), toDeg(lon2)];
+}
+
 function interpolateCoordinate(start, end, t) {
   return start + (end - start) * t;
 }
 
 async function updateElevationProfile() {
   const token = ++state.profileToken;
+  state.profile.samples = [];
   drawProfilePlaceholder('地形断面を計算中…');
 
-  if (state.waypoints.length < 2) {
-    drawProfilePlaceholder('地形断面を表示するには2つ以上のウェイポイントが必要です。');
+  if (state.waypoints.length < 2) {
+    setTerrainAnalysis({ findings: [], segments: new Set() });
+    setAirspaceConflicts([]);
+    setFlightEstimate(null);
+    refreshSimulationTimeline();
+    updateFlightPath3d();
+    drawProfilePlaceholder('地形断面を表示するには2つ以上のウェイポイントが必要です。');
+    return;
+  }
+
+  try {
+    const altitudes = await resolveWaypointAltitudes(state.waypoints, state.altitudeReference);
+    if (token !== state.profileToken) return;
+    setFlightEstimate(estimateFlight(state.waypoints, altitudes, state.vehicle, state.wind));
+    state.profile.waypoints = profileWaypointVertices(state.waypoints, altitudes);
+    refreshSimulationTimeline();
+
+    const samples = await sampleElevationAlongRoute(state.waypoints, {
+      altitudes,
+      isCancelled: () => token !== state.profileToken,
+      onProgress: (partial) => {
+        if (token === state.profileToken) drawElevationProfile(partial);
+      }
+    });
+    if (token !== state.profileToken) return;
+    setTerrainAnalysis(analyzeTerrainClearance(samples, state.minTerrainClearance));
+    setAirspaceConflicts(findAirspaceConflicts(state.waypoints, samples, state.airspaceLayers));
+    drawElevationProfile(samples);
+    updateFlightPath3d();
+  } catch (error) {
+    console.error(error);
+    if (token !== state.profileToken) return;
+    setAirspaceConflicts(findAirspaceConflicts(state.waypoints, [], state.airspaceLayers));
+    drawProfilePlaceholder('地形データの取得に失敗しました。');
+  }
+}
+
+// Samples are grouped by DEM tile and filled in tile by tile, so onProgress can
+// redraw the chart while the remaining tiles are still downloading.
+async function sampleElevationAlongRoute(waypoints, { altitudes: resolved, onProgress, isCancelled } = {}) {
+  const altitudes = resolved ?? await resolveWaypointAltitudes(waypoints, state.altitudeReference);
+  const samples = sampleRoutePositions(waypoints, profileSampleSpacing(waypoints)).map((position) => {
+    const start = altitudes[position.segmentIndex];
+    const end = altitudes[position.segmentIndex + 1];
+    return {
+      ...position,
+      groundElevation: null,
+      plannedAltitude: interpolateCoordinate(start.amsl, end.amsl, position.t)
+    };
+  });
+
+  // Legs that did not move produce the same sample positions, so only modified legs hit the DEM
+  const source = activeDemSource();
+  const groups = new Map();
+  samples.forEach((sample) => {
+    if (groundElevationCache.has(`${sample.lat},${sample.lon}`)) {
+      sample.groundElevation = groundElevationCache.get(`${sample.lat},${sample.lon}`);
+      return;
+    }
+    const { xTile, yTile } = tileCoordinates(sample.lat, sample.lon, source.zoom);
+    const key = `${xTile}/${yTile}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(sample);
+  });
+
+  await runWithConcurrency([...groups.values()], DEM_FETCH_CONCURRENCY, async (group) => {
+    if (isCancelled?.()) return;
+    for (const sample of group) {
+      sample.groundElevation = await cachedGroundElevation(sample.lat, sample.lon);
+    }
+    if (!isCancelled?.()) onProgress?.(samples);
+  });
+  return samples;
+}
+
+// Walks the mission with the vehicle profile. Each waypoint carries the time and
+// energy after its own action (climb, transition, landing) and the leg that follows.
+// Legs are flown at ground speed in the wind at their mean height above ground.
+function estimateFlight(waypoints, altitudes, vehicle, wind = { layers: [] }) {
+  const toWh = (power, seconds) => (power * seconds) / 3600;
+  const verticalTime = (change) => (change >= 0 ? change / vehicle.climbRate : -change / vehicle.descentRate);
+  const heightAboveGround = (index) => Math.max(0, altitudes[index].amsl - (altitudes[index].ground ?? altitudes[index].origin));
+  const courseBetween = (from, to) => initialBearing(from.latitude, from.longitude, to.latitude, to.longitude);
+
+  // Crosswind while hovering up or down, checked at the ground, the hover height and every layer between
+  const hoverCrosswind = (index, heading) => {
+    const top = heightAboveGround(index);
+    const heights = [0, top, ...wind.layers.map((layer) => layer.altitude).filter((altitude) => altitude < top)];
+    return Math.max(...heights.map((height) => {
+      const layerWind = windAt(height, wind.layers);
+      return Math.abs(layerWind.speed * Math.sin(((layerWind.direction - heading) * Math.PI) / 180));
+    }));
+  };
+
+  let phase = 'ground';
+  let distance = 0;
+  let time = 0;
+  let energy = 0;
+  // Set by change_speed actions; dropped at the next phase change since hover and cruise speeds differ
+  let speedChange = null;
+  const phaseTimes = { hover: 0, fixed: 0 };
+  const points = [{ distance: 0, percent: 100 }];
+  const percentOf = (used) => ((vehicle.batteryCapacity - used) / vehicle.batteryCapacity) * 100;
+
+  const results = waypoints.map((wp, index) => {
+    const arrivalTime = time;
+    let actionTime = 0;
+    if (wp.type === 'takeoff') actionTime = heightAboveGround(index) / vehicle.climbRate;
+    if (wp.type === 'transition_to_fixed') actionTime = vehicle.transitionDuration;
+    if (wp.type === 'transition_to_rotary') actionTime = vehicle.backTransitionDuration;
+    if (wp.type === 'landing') actionTime = heightAboveGround(index) / vehicle.descentRate;
+    time += actionTime;
+    energy += toWh(vehicle.hoverPower, actionTime);
+    phaseTimes.hover += actionTime;
+
+    // Loiters and waits are flown in the phase the vehicle arrives in, before any transition
+    const holdPhase = phase === 'fixed' ? 'fixed' : 'hover';
+    const holdSpeed = speedChange && !speedChange.ground ? speedChange.speed : holdPhase === 'fixed' ? vehicle.cruiseSpeed : vehicle.hoverSpeed;
+    const holdTime = waypointHoldTime(wp, holdSpeed);
+    time += holdTime;
+    energy += toWh(holdPhase === 'fixed' ? vehicle.cruisePower : vehicle.hoverPower, holdTime);
+    phaseTimes[holdPhase] += holdTime;
+    points.push({ distance, percent: percentOf(energy) });
+
+    const result = {
+      id: wp.id,
+      distance,
+      arrivalTime,
+      time,
+      holdTime,
+      energy,
+      remainingPercent: percentOf(energy),
+      amsl: altitudes[index].amsl,
+      ground: altitudes[index].ground,
+      hover: null,
+      leg: null
+    };
+
+    const neighbour = wp.type === 'takeoff' ? waypoints[index + 1] : waypoints[index - 1];
+    if ((wp.type === 'takeoff' || wp.type === 'landing') && neighbour) {
+      const heading = wp.type === 'takeoff' ? courseBetween(wp, neighbour) : courseBetween(neighbour, wp);
+      result.hover = { type: wp.type, heading, crosswind: hoverCrosswind(index, heading) };
+    }
+
+    const previousPhase = phase;
+    phase = nextFlightPhase(phase, wp.type);
+    if (phase !== previousPhase) speedChange = null;
+    const commanded = (wp.actions ?? []).filter((action) => action.type === 'change_speed').pop();
+    if (commanded) speedChange = { speed: commanded.speed, ground: commanded.speedType === 1 };
+
+    const next = waypoints[index + 1];
+    if (next) {
+      const legPhase = phase === 'fixed' ? 'fixed' : 'hover';
+      const legDistance = haversineDistance(wp.latitude, wp.longitude, next.latitude, next.longitude);
+      const defaultSpeed = legPhase === 'fixed' ? vehicle.cruiseSpeed : vehicle.hoverSpeed;
+      const speed = speedChange && !speedChange.ground ? speedChange.speed : defaultSpeed;
+      const power = legPhase === 'fixed' ? vehicle.cruisePower : vehicle.hoverPower;
+      const course = courseBetween(wp, next);
+      const legWind = windAt((heightAboveGround(index) + heightAboveGround(index + 1)) / 2, wind.layers);
+      const triangle = windTriangle(course, speed, legWind);
+      // A commanded ground speed is flown whenever the wind lets the vehicle hold the track
+      const groundSpeed = speedChange?.ground && triangle.groundSpeed != null ? speedChange.speed : triangle.groundSpeed;
+      // A leg the vehicle cannot hold is timed at airspeed and reported by checkWindLimits
+      const legTime = Math.max(legDistance / (groundSpeed ?? speed), verticalTime(altitudes[index + 1].amsl - altitudes[index].amsl));
+      const legEnergy = toWh(power, legTime);
+      result.leg = { phase: legPhase, distance: legDistance, time: legTime, energy: legEnergy, course, wind: legWind, ...triangle, groundSpeed };
+      distance += legDistance;
+      time += legTime;
+      energy += legEnergy;
+      phaseTimes[legPhase] += legTime;
+      points.push({ distance, percent: percentOf(energy) });
+    }
+    return result;
+  });
+
+  // A waypoint is flagged when the battery drops below the reserve on its way in or during its action
+  const reserveBreachIndex = results.findIndex((result, index) =>
+    result.remainingPercent < vehicle.reservePercent ||
+    (index > 0 && percentOf(results[index - 1].energy + results[index - 1].leg.energy) < vehicle.reservePercent));
+
+  return {
+    waypoints: results,
+    totalDistance: distance,
+    totalTime: time,
+    totalEnergy: energy,
+    remainingPercent: percentOf(energy),
+    phaseTimes,
+    points,
+    reserveBreachIndex
+  };
+}
+
+// Time spent at a waypoint for its loiter and wait actions
+function waypointHoldTime(wp, airspeed) {
+  return (wp.actions ?? []).reduce((total, action) => {
+    if (action.type === 'loiter_time' || action.type === 'delay') return total + action.seconds;
+    if (action.type === 'loiter_turns') return total + (action.turns * 2 * Math.PI * Math.abs(action.radius)) / airspeed;
+    return total;
+  }, 0);
+}
+
+function setFlightEstimate(estimate) {
+  state.flightEstimate = estimate;
+  state.reachability = analyzeLandingReachability(
+    sampleRoutePositions(state.waypoints),
+    collectLandingSites(state.waypoints, state.rallyPoints),
+    state.vehicle,
+    estimate
+  );
+  renderReachabilitySummary();
+  refreshReachabilityPath();
+  state.windFindings = checkWindLimits(estimate, state.vehicle);
+  renderFlightSummary();
+  renderWindFindings();
+  refreshWindArrows();
+  state.estimateElements.forEach((element, id) => fillWaypointEstimate(element, id));
+}
+
+function renderFlightSummary() {
+  const estimate = state.flightEstimate;
+  if (!estimate) {
+    flightSummary.textContent = '';
+    flightSummary.classList.remove('warning');
+    return;
+  }
+
+  const lines = [
+    `総飛行時間: ${formatDuration(estimate.totalTime)}（回転翼 ${formatDuration(estimate.phaseTimes.hover)} / 固定翼 ${formatDuration(estimate.phaseTimes.fixed)}）`,
+    `総距離: ${(estimate.totalDistance / 1000).toFixed(2)}km`,
+    `消費電力量: ${estimate.totalEnergy.toFixed(0)}Wh / ${state.vehicle.batteryCapacity}Wh（着陸時残量 ${estimate.remainingPercent.toFixed(0)}%）`
+  ];
+  const breached = estimate.reserveBreachIndex !== -1;
+  if (breached) {
+    lines.push(`地点 ${estimate.reserveBreachIndex + 1} までに予備 ${state.vehicle.reservePercent}% を下回ります。1回のバッテリーでは飛行できません。`);
+  }
+  flightSummary.textContent = lines.join('\n');
+  flightSummary.classList.toggle('warning', breached);
+}
+
+function fillWaypointEstimate(element, id) {
+  const estimate = state.flightEstimate;
+  const index = estimate ? estimate.waypoints.findIndex((result) => result.id === id) : -1;
+  if (index === -1) {
+    element.textContent = '';
+    return;
+  }
+
+  const result = estimate.waypoints[index];
+  const holdText = result.holdTime > 0 ? ` ・ 待機 ${formatDuration(result.holdTime)}` : '';
+  const lines = [`到着 ${formatDuration(result.arrivalTime)}${holdText} ・ 消費 ${result.energy.toFixed(0)}Wh ・ 残量 ${result.remainingPercent.toFixed(0)}%`];
+  if (result.leg) {
+    lines.push(`次の区間: ${flightPhaseLabels[result.leg.phase]} ${Math.round(result.leg.distance)}m / ${formatDuration(result.leg.time)} / ${result.leg.energy.toFixed(0)}Wh`);
+  }
+  if (result.leg && result.leg.wind.speed > 0) {
+    const { wind, heading, crab, groundSpeed } = result.leg;
+    const crabText = `${Math.round(crab) > 0 ? '+' : ''}${Math.round(crab)}°`;
+    lines.push(`風 ${Math.round(wind.direction)}° ${wind.speed.toFixed(1)}m/s ・ 機首 ${Math.round(heading)}°（偏流角 ${crabText}）・ 対地 ${groundSpeed == null ? '—' : `${groundSpeed.toFixed(1)}m/s`}`);
+  }
+  lines.push(waypointHeightText(result));
+  const windFindings = state.windFindings.filter((finding) => finding.index === index);
+  windFindings.forEach((finding) => lines.push(finding.message));
+  const breached = estimate.reserveBreachIndex !== -1 && index >= estimate.reserveBreachIndex;
+  if (breached) {
+    lines.push(`予備 ${state.vehicle.reservePercent}% を下回っています`);
+  }
+  element.textContent = lines.join('\n');
+  element.classList.toggle('warning', breached || windFindings.length > 0);
+}
+
+// GSI elevations and AMSL altitudes are orthometric; the ellipsoidal height adds the geoid height
+function waypointHeightText(result) {
+  const wp = state.waypoints.find((item) => item.id === result.id);
+  const groundText = result.ground == null ? '' : `（地表 ${result.ground.toFixed(1)}m）`;
+  const separation = wp ? geoidHeight(wp.latitude, wp.longitude) : null;
+  const ellipsoidText = separation == null
+    ? (state.geoid ? '楕円体高: ジオイドモデル範囲外' : '楕円体高: ジオイドモデル未読込')
+    : `楕円体高 ${(result.amsl + separation).toFixed(1)}m（ジオイド高 ${separation.toFixed(2)}m）`;
+  return `標高 ${result.amsl.toFixed(1)}m${groundText} ・ ${ellipsoidText}`;
+}
+
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
+
+// Ground heights of unchanged positions are reused between profile updates
+async function cachedGroundElevation(lat, lon) {
+  const key = `${lat},${lon}`;
+  if (groundElevationCache.has(key)) return groundElevationCache.get(key);
+  const elevation = await getElevationFromTile(lat, lon);
+  if (elevation != null) {
+    if (groundElevationCache.size >= GROUND_CACHE_LIMIT) groundElevationCache.clear();
+    groundElevationCache.set(key, elevation);
+  }
+  return elevation;
+}
+
+// Spacing moves in powers of two so small edits elsewhere keep the sample positions of other legs
+function profileSampleSpacing(waypoints) {
+  let total = 0;
+  for (let i = 0; i < waypoints.length - 1; i += 1) {
+    total += haversineDistance(waypoints[i].latitude, waypoints[i].longitude, waypoints[i + 1].latitude, waypoints[i + 1].longitude);
+  }
+  const ratio = total / PROFILE_TARGET_SAMPLES / PROFILE_MIN_SPACING_METERS;
+  return ratio <= 1 ? PROFILE_MIN_SPACING_METERS : PROFILE_MIN_SPACING_METERS * 2 ** Math.ceil(Math.log2(ratio));
+}
+
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next];
+      next += 1;
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+function effectiveAltitudeReference(wp) {
+  return wp.altitudeReference ?? state.altitudeReference;
+}
+
+// Planned altitudes are compared with the GSI ground surface, so everything is
+// resolved to AMSL. "relative" is measured from the ground at the takeoff point.
+async function resolveWaypointAltitudes(waypoints, planReference) {
+  const grounds = await Promise.all(waypoints.map((wp) => cachedGroundElevation(wp.latitude, wp.longitude)));
+  const takeoffIndex = Math.max(0, waypoints.findIndex((wp) => wp.type === 'takeoff'));
+  const origin = grounds[takeoffIndex] ?? 0;
+
+  return waypoints.map((wp, index) => ({
+    ground: grounds[index],
+    origin,
+    amsl: altitudeToAmsl(wp.altitude, wp.altitudeReference ?? planReference, grounds[index] ?? origin, origin)
+  }));
+}
+
+function altitudeToAmsl(altitude, reference, ground, origin) {
+  switch (reference) {
+    case 'amsl':
+      return altitude;
+    case 'agl':
+      return ground + altitude;
+    case 'relative':
+    default:
+      return origin + altitude;
+  }
+}
+
+function altitudeFromAmsl(amsl, reference, ground, origin) {
+  switch (reference) {
+    case 'amsl':
+      return amsl;
+    case 'agl':
+      return amsl - ground;
+    case 'relative':
+    default:
+      return amsl - origin;
+  }
+}
+
+async function convertWaypointAltitude(wp, fromReference, toReference) {
+  if (fromReference === toReference) return wp.altitude;
+  const takeoff = state.waypoints.find((item) => item.type === 'takeoff') ?? state.waypoints[0];
+  const origin = await getElevationFromTile(takeoff.latitude, takeoff.longitude);
+  const ground = await getElevationFromTile(wp.latitude, wp.longitude);
+  if (origin == null || ground == null) {
+    throw new Error('標高データを取得できないため高度を換算できません。');
+  }
+  const amsl = altitudeToAmsl(wp.altitude, fromReference, ground, origin);
+  return Math.round(Math.max(0, altitudeFromAmsl(amsl, toReference, ground, origin)) * 10) / 10;
+}
+
+async function changeWaypointAltitudeReference(id, reference) {
+  const wp = state.waypoints.find((item) => item.id === id);
+  if (!wp) return;
+
+  try {
+    const altitude = await convertWaypointAltitude(wp, effectiveAltitudeReference(wp), reference ?? state.altitudeReference);
+    if (reference) {
+      updateWaypoint(id, { altitudeReference: reference, altitude }, '高度基準変更');
+    } else {
+      delete wp.altitudeReference;
+      updateWaypoint(id, { altitude }, '高度基準変更');
+    }
+  } catch (error) {
+    console.error(error);
+    alert(error.message);
+    renderWaypointsList();
+  }
+}
+
+async function changePlanAltitudeReference(reference) {
+  try {
+    const converted = [];
+    for (const wp of state.waypoints) {
+      converted.push(wp.altitudeReference ? wp.altitude : await convertWaypointAltitude(wp, state.altitudeReference, reference));
+    }
+    state.waypoints.forEach((wp, index) => {
+      wp.altitude = converted[index];
+    });
+    state.altitudeReference = reference;
+    recordHistory(`高度基準を${altitudeReferenceLabels[reference]}に変更`);
+  } catch (error) {
+    console.error(error);
+    alert(error.message);
+    altitudeReferenceSelect.value = state.altitudeReference;
+    return;
+  }
+  emitWaypointChange();
+}
+
+function bindTerrainInputs() {
+  altitudeReferenceSelect.value = state.altitudeReference;
+  altitudeReferenceSelect.addEventListener('change', () => changePlanAltitudeReference(altitudeReferenceSelect.value));
+
+  minTerrainClearanceInput.value = state.minTerrainClearance;
+  minTerrainClearanceInput.addEventListener('change', () => {
+    const value = Number(minTerrainClearanceInput.value);
+    if (!(value >= 0)) {
+      minTerrainClearanceInput.value = state.minTerrainClearance;
+      return;
+    }
+    state.minTerrainClearance = value;
+    recordHistory('最低地形クリアランスを変更');
+    updateElevationProfile();
+  });
+}
+
+function bindTerrainFollowInputs() {
+  terrainFollowSection.querySelectorAll('[data-terrain-follow]').forEach((input) => {
+    const key = input.dataset.terrainFollow;
+    input.value = state.terrainFollow[key];
+    input.addEventListener('change', () => {
+      const value = Number(input.value);
+      const valid = key === 'tolerance' ? value > 0 : key === 'targetAgl' ? value >= 0 : value > 0;
+      if (!valid) {
+        input.value = state.terrainFollow[key];
+        return;
+      }
+      state.terrainFollow[key] = value;
+      if (currentTerrainFollowPreview()) {
+        previewTerrainFollow(state.terrainFollowPreview.segmentIndex);
+      }
+    });
+  });
+  document.getElementById('applyTerrainFollowBtn').addEventListener('click', applyTerrainFollow);
+  document.getElementById('cancelTerrainFollowBtn').addEventListener('click', cancelTerrainFollow);
+}
+
+function terrainFollowSignature(segmentIndex) {
+  const start = state.waypoints[segmentIndex];
+  const end = state.waypoints[segmentIndex + 1];
+  if (!start || !end) return null;
+  return JSON.stringify([
+    state.altitudeReference,
+    ...[start, end].map((wp) => [wp.id, wp.latitude, wp.longitude, wp.altitude, wp.altitudeReference ?? null])
+  ]);
+}
+
+// A preview only stays valid while its segment is untouched
+function currentTerrainFollowPreview() {
+  const preview = state.terrainFollowPreview;
+  if (!preview || terrainFollowSignature(preview.segmentIndex) !== preview.signature) return null;
+  return preview;
+}
+
+async function previewTerrainFollow(segmentIndex) {
+  const start = state.waypoints[segmentIndex];
+  const end = state.waypoints[segmentIndex + 1];
+  if (!start || !end) return;
+
+  terrainFollowSection.open = true;
+  terrainFollowSection.scrollIntoView({ block: 'nearest' });
+  terrainFollowStatus.textContent = `区間 ${segmentIndex + 1}→${segmentIndex + 2} の地形を取得中…`;
+  terrainFollowActions.hidden = true;
+  const signature = terrainFollowSignature(segmentIndex);
+
+  const altitudes = await resolveWaypointAltitudes(state.waypoints, state.altitudeReference);
+  const samples = await Promise.all(sampleRoutePositions([start, end]).map(async (position) => ({
+    ...position,
+    ground: await getElevationFromTile(position.lat, position.lon)
+  })));
+  if (terrainFollowSignature(segmentIndex) !== signature) return;
+
+  if (samples.some((sample) => sample.ground == null)) {
+    state.terrainFollowPreview = null;
+    terrainFollowStatus.textContent = '地形データを取得できない地点があるため、地形追従を計算できません。';
+    updateElevationProfile();
+    return;
+  }
+
+  const result = generateTerrainFollowProfile(samples, altitudes[segmentIndex].amsl, altitudes[segmentIndex + 1].amsl, state.terrainFollow);
+  const offset = sampleRoutePositions(state.waypoints.slice(0, segmentIndex + 1)).at(-1)?.distance ?? 0;
+  state.terrainFollowPreview = {
+    segmentIndex,
+    signature,
+    origin: altitudes[segmentIndex].origin,
+    profile: result.profile.map((point) => ({ ...point, distance: offset + point.distance })),
+    breakpoints: result.breakpoints.map((point) => ({ ...point, distance: offset + point.distance }))
+  };
+
+  const lines = [
+    `区間 ${segmentIndex + 1}→${segmentIndex + 2}: 中間地点 ${result.breakpoints.length} 点を追加`,
+    `対地高度 ${result.minAgl.toFixed(1)}m 〜 ${result.maxAgl.toFixed(1)}m（目標 ${state.terrainFollow.targetAgl}m ±${state.terrainFollow.tolerance}m）`,
+    ...result.warnings
+  ];
+  terrainFollowStatus.textContent = lines.join('\n');
+  terrainFollowActions.hidden = result.breakpoints.length === 0;
+  updateElevationProfile();
+}
+
+// Builds the lowest altitude profile that stays at or above the target AGL while
+// respecting the climb/descent gradients, then keeps only the breakpoints needed
+// to stay within the tolerance of it.
+function generateTerrainFollowProfile(samples, startAmsl, endAmsl, settings) {
+  const last = samples.length - 1;
+  const climbGradient = settings.maxClimbRate / settings.groundSpeed;
+  const descentGradient = settings.maxDescentRate / settings.groundSpeed;
+  const z = samples.map((sample) => sample.ground + settings.targetAgl);
+  z[0] = startAmsl;
+  z[last] = endAmsl;
+
+  for (let i = last - 1; i >= 1; i -= 1) {
+    const dx = samples[i + 1].distance - samples[i].distance;
+    z[i] = Math.max(z[i], z[i + 1] - climbGradient * dx);
+  }
+  for (let i = 1; i < last; i += 1) {
+    const dx = samples[i].distance - samples[i - 1].distance;
+    z[i] = Math.max(z[i], z[i - 1] - descentGradient * dx);
+  }
+
+  const warnings = [];
+  const firstDx = samples[1] ? samples[1].distance - samples[0].distance : 0;
+  const lastDx = samples[last] ? samples[last].distance - samples[last - 1]?.distance : 0;
+  if (last > 1 && z[1] - z[0] > climbGradient * firstDx + 1e-6) {
+    warnings.push('始点の高度が低すぎるため、区間の始めで最大上昇率を超えます。');
+  }
+  if (last > 1 && z[last - 1] - z[last] > descentGradient * lastDx + 1e-6) {
+    warnings.push('終点の高度が低すぎるため、区間の終わりで最大降下率を超えます。');
+  }
+
+  const kept = simplifyProfile(samples.map((sample) => sample.distance), z, settings.tolerance);
+  const breakpoints = kept.slice(1, -1).map((index) => ({ ...samples[index], amsl: z[index] }));
+
+  const flown = interpolateProfile(kept.map((index) => [samples[index].distance, z[index]]));
+  const agl = samples.map((sample) => flown(sample.distance) - sample.ground);
+  const interiorAgl = agl.slice(1, -1);
+  const minAgl = Math.min(...(interiorAgl.length ? interiorAgl : agl));
+  const maxAgl = Math.max(...(interiorAgl.length ? interiorAgl : agl));
+  if (maxAgl > settings.targetAgl + settings.tolerance) {
+    warnings.push('上昇・降下率の制限により、目標より高く飛行する箇所があります。');
+  }
+
+  return {
+    profile: samples.map((sample, index) => ({ distance: sample.distance, amsl: z[index] })),
+    breakpoints,
+    minAgl,
+    maxAgl,
+    warnings
+  };
+}
+
+function simplifyProfile(distances, values, tolerance) {
+  const last = values.length - 1;
+  const keep = new Set([0, last]);
+  const stack = [[0, last]];
+  while (stack.length > 0) {
+    const [a, b] = stack.pop();
+    let maxError = 0;
+    let maxIndex = -1;
+    for (let i = a + 1; i < b; i += 1) {
+      const t = (distances[i] - distances[a]) / (distances[b] - distances[a] || 1);
+      const error = Math.abs(values[i] - interpolateCoordinate(values[a], values[b], t));
+      if (error > maxError) {
+        maxError = error;
+        maxIndex = i;
+      }
+    }
+    if (maxError > tolerance) {
+      keep.add(maxIndex);
+      stack.push([a, maxIndex], [maxIndex, b]);
+    }
+  }
+  return [...keep].sort((a, b) => a - b);
+}
+
+function interpolateProfile(points) {
+  return (distance) => {
+    for (let i = 0; i < points.length - 1; i += 1) {
+      const [d0, v0] = points[i];
+      const [d1, v1] = points[i + 1];
+      if (distance <= d1 || i === points.length - 2) {
+        return interpolateCoordinate(v0, v1, (distance - d0) / (d1 - d0 || 1));
+      }
+    }
+    return points[0][1];
+  };
+}
+
+function applyTerrainFollow() {
+  const preview = currentTerrainFollowPreview();
+  if (!preview) {
+    alert('区間が変更されたため、プレビューをやり直してください。');
+    cancelTerrainFollow();
+    return;
+  }
+
+  const inserted = preview.breakpoints.map((point) => {
+    let altitudeReference = state.altitudeReference;
+    let altitude = altitudeFromAmsl(point.amsl, altitudeReference, point.ground, preview.origin);
+    if (altitude < 0) {
+      // Valleys below the takeoff point cannot be expressed as a relative altitude
+      altitudeReference = 'amsl';
+      altitude = point.amsl;
+    }
+    const waypoint = {
+      id: createId('wp'),
+      type: 'transit',
+      latitude: point.lat,
+      longitude: point.lon,
+      altitude: Math.round(altitude * 10) / 10,
+      note: '地形追従'
+    };
+    if (altitudeReference !== state.altitudeReference) {
+      waypoint.altitudeReference = altitudeReference;
+    }
+    return waypoint;
+  });
+
+  state.waypoints.splice(preview.segmentIndex + 1, 0, ...inserted);
+  recordHistory(`区間 ${preview.segmentIndex + 1} に地形追従を適用`);
+  cancelTerrainFollow();
+  emitWaypointChange();
+}
+
+function cancelTerrainFollow() {
+  state.terrainFollowPreview = null;
+  terrainFollowStatus.textContent = '';
+  terrainFollowActions.hidden = true;
+  updateElevationProfile();
+}
+
+function drawTerrainFollowPreview(ctx, xScale, yScale, dpr) {
+  const preview = currentTerrainFollowPreview();
+  if (!preview) return;
+
+  const first = preview.profile[0];
+  const last = preview.profile[preview.profile.length - 1];
+  const points = [first, ...preview.breakpoints, last];
+
+  ctx.save();
+  ctx.setLineDash([6 * dpr, 4 * dpr]);
+  ctx.strokeStyle = '#2b8a3e';
+  ctx.lineWidth = 2.5 * dpr;
+  ctx.beginPath();
+  points.forEach((point, index) => {
+    const x = xScale(point.distance);
+    const y = yScale(point.amsl);
+    if (index === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.fillStyle = '#2b8a3e';
+  preview.breakpoints.forEach((point) => {
+    ctx.beginPath();
+    ctx.arc(xScale(point.distance), yScale(point.amsl), 4 * dpr, 0, Math.PI * 2);
+    ctx.fill();
+  });
+  ctx.restore();
+}
+
+function analyzeTerrainClearance(samples, minClearance) {
+  const segments = new Map();
+  samples.forEach((sample) => {
+    if (sample.groundElevation == null) return;
+    const clearance = sample.plannedAltitude - sample.groundElevation;
+    sample.clearance = clearance;
+    sample.terrainIssue = clearance < minClearance || clearance > REGULATORY_CEILING_AGL;
+
+    const segment = segments.get(sample.segmentIndex) ?? { min: null, max: null };
+    if (!segment.min || clearance < segment.min.clearance) segment.min = { clearance, distance: sample.distance };
+    if (!segment.max || clearance > segment.max.clearance) segment.max = { clearance, distance: sample.distance };
+    segments.set(sample.segmentIndex, segment);
+  });
+
+  const findings = [];
+  const violated = new Set();
+  [...segments.entries()].sort(([a], [b]) => a - b).forEach(([index, { min, max }]) => {
+    const label = `区間 ${index + 1}→${index + 2}`;
+    if (min.clearance < minClearance) {
+      violated.add(index);
+      findings.push({
+        segmentIndex: index,
+        message: min.clearance < 0
+          ? `${label}: 地表より ${Math.abs(min.clearance).toFixed(1)}m 低くなります（${Math.round(min.distance)}m 地点）`
+          : `${label}: 対地高度 ${min.clearance.toFixed(1)}m が最小クリアランス ${minClearance}m を下回ります（${Math.round(min.distance)}m 地点）`
+      });
+    }
+    if (max.clearance > REGULATORY_CEILING_AGL) {
+      violated.add(index);
+      findings.push({
+        segmentIndex: index,
+        message: `${label}: 対地高度 ${max.clearance.toFixed(1)}m が上限 ${REGULATORY_CEILING_AGL}m を超えます（${Math.round(max.distance)}m 地点）`
+      });
+    }
+  });
+
+  return { findings, segments: violated };
+}
+
+function setTerrainAnalysis({ findings, segments }) {
+  state.terrainFindings = findings;
+  state.terrainViolationSegments = segments;
+  renderTerrainFindings();
+  refreshPath();
+}
+
+function renderTerrainFindings() {
+  terrainFindingsElement.innerHTML = '';
+  if (state.waypoints.length < 2) return;
+
+  if (state.terrainFindings.length === 0) {
+    const entry = document.createElement('li');
+    entry.className = 'ok';
+    entry.textContent = '地形クリアランスと高度上限の問題はありません。';
+    terrainFindingsElement.appendChild(entry);
     return;
   }
 
-  try {
-    const samples = await sampleElevationAlongRoute(state.waypoints);
-    if (token !== state.profileToken) return;
-    drawElevationProfile(samples);
-  } catch (error) {
-    console.error(error);
-    if (token !== state.profileToken) return;
-    drawProfilePlaceholder('地形データの取得に失敗しました。');
-  }
+  state.terrainFindings.forEach((finding) => {
+    const entry = document.createElement('li');
+    entry.textContent = finding.message;
+    terrainFindingsElement.appendChild(entry);
+  });
 }
 
-async function sampleElevationAlongRoute(waypoints) {
-  const samples = [];
+function sampleRoutePositions(waypoints, spacing = SAMPLE_SPACING_METERS) {
+  const positions = [];
   let cumulativeDistance = 0;
 
   for (let i = 0; i < waypoints.length - 1; i += 1) {
     const start = waypoints[i];
     const end = waypoints[i + 1];
     const segmentDistance = haversineDistance(start.latitude, start.longitude, end.latitude, end.longitude);
-    const steps = Math.max(1, Math.ceil(segmentDistance / SAMPLE_SPACING_METERS));
+    const steps = Math.max(1, Math.ceil(segmentDistance / spacing));
 
     for (let step = 0; step <= steps; step += 1) {
-      const t = step / steps;
-      const lat = interpolateCoordinate(start.latitude, end.latitude, t);
-      const lon = interpolateCoordinate(start.longitude, end.longitude, t);
-      const groundElevation = await getElevationFromTile(lat, lon);
-      const plannedAltitude = interpolateCoordinate(start.altitude, end.altitude, t);
-      const distance = cumulativeDistance + segmentDistance * t;
-
       if (step === 0 && i !== 0) {
         continue; // avoid duplicates except for very first point
       }
 
-      samples.push({
-        distance,
-        lat,
-        lon,
-        groundElevation,
-        plannedAltitude
+      const t = step / steps;
+      positions.push({
+        segmentIndex: i,
+        distance: cumulativeDistance + segmentDistance * t,
+        lat: interpolateCoordinate(start.latitude, end.latitude, t),
+        lon: interpolateCoordinate(start.longitude, end.longitude, t),
+        t
       });
     }
 
     cumulativeDistance += segmentDistance;
   }
 
-  return samples;
+  return positions;
 }
 
-async function getElevationFromTile(lat, lon) {
-  try {
-    const latRad = (lat * Math.PI) / 180;
-    const n = Math.pow(2, TILE_ZOOM);
-    const x = ((lon + 180) / 360) * n;
-    const y = (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n;
-    const xTile = Math.floor(x);
-    const yTile = Math.floor(y);
-    const xPixel = Math.floor((x - xTile) * 256);
-    const yPixel = Math.floor((y - yTile) * 256);
+function activeDemLayers() {
+  const source = demSources[state.demSettings.sourceId] ?? demSources.gsi_best;
+  return (source.layers ?? [state.demSettings.sourceId]).map(resolveDemSource);
+}
+
+function activeDemSource() {
+  return activeDemLayers()[0];
+}
 
-    const tileData = await fetchElevationTile(TILE_ZOOM, xTile, yTile);
-    if (!tileData) return null;
+function resolveDemSource(sourceId) {
+  const settings = state.demSettings;
+  const source = demSources[sourceId];
+  if (sourceId === 'custom') {
+    return {
+      key: `custom:${settings.customUrl}:${settings.customEncoding}`,
+      url: settings.customUrl,
+      zoom: settings.customZoom,
+      encoding: settings.customEncoding
+    };
+  }
+  return {
+    key: sourceId,
+    url: source.url.replace('{token}', encodeURIComponent(settings.mapboxToken)),
+    zoom: source.zoom,
+    encoding: source.encoding
+  };
+}
 
-    const index = (yPixel * 256 + xPixel) * 4;
-    const r = tileData[index];
-    const g = tileData[index + 1];
-    const b = tileData[index + 2];
-    const elevation = decodeElevation(r, g, b);
-    return Number.isFinite(elevation) ? elevation : null;
+function loadDemSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(DEM_SETTINGS_KEY) ?? 'null');
+    if (stored) Object.assign(state.demSettings, stored);
   } catch (error) {
-    console.warn('標高取得失敗', error);
-    return null;
+    console.warn(error);
+  }
+}
+
+function bindDemSettings() {
+  loadDemSettings();
+
+  Object.entries(demSources).forEach(([id, source]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = source.label;
+    demSourceSelect.appendChild(option);
+  });
+  document.querySelectorAll('[data-dem-encoding-options]').forEach((select) => {
+    Object.entries(demEncodingLabels).forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  });
+
+  demSourceSelect.value = state.demSettings.sourceId;
+  demSourceSelect.addEventListener('change', () => changeDemSettings({ sourceId: demSourceSelect.value }));
+  document.querySelectorAll('[data-dem]').forEach((input) => {
+    const key = input.dataset.dem;
+    input.value = state.demSettings[key];
+    input.addEventListener('change', () => {
+      const numeric = typeof state.demSettings[key] === 'number';
+      const value = numeric ? Number(input.value) : input.value.trim();
+      if (numeric && !(value >= 0)) {
+        input.value = state.demSettings[key];
+        return;
+      }
+      changeDemSettings({ [key]: value });
+    });
+  });
+
+  document.getElementById('prefetchTerrainBtn').addEventListener('click', prefetchPlanTerrain);
+  document.getElementById('clearDemCacheBtn').addEventListener('click', clearDemCache);
+  document.getElementById('demFolderInput').addEventListener('change', importDemTileFolder);
+  refreshDemSettingsVisibility();
+  renderDemCacheUsage();
+}
+
+function changeDemSettings(updates) {
+  Object.assign(state.demSettings, updates);
+  localStorage.setItem(DEM_SETTINGS_KEY, JSON.stringify(state.demSettings));
+  refreshDemSettingsVisibility();
+  if (!('cacheLimitMb' in updates) && !('prefetchBuffer' in updates)) {
+    groundElevationCache.clear();
+    refreshTerrainSource();
+    updateElevationProfile();
+  }
+}
+
+function refreshDemSettingsVisibility() {
+  demCustomSettings.hidden = state.demSettings.sourceId !== 'custom';
+  demMapboxSettings.hidden = state.demSettings.sourceId !== 'mapbox';
+}
+
+function tileCoordinates(lat, lon, zoom) {
+  const latRad = (lat * Math.PI) / 180;
+  const n = Math.pow(2, zoom);
+  const x = ((lon + 180) / 360) * n;
+  const y = (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n;
+  return { x, y, xTile: Math.floor(x), yTile: Math.floor(y) };
+}
+
+// Layers are tried from the finest to the coarsest until one covers the point
+async function getElevationFromTile(lat, lon) {
+  for (const source of activeDemLayers()) {
+    try {
+      const elevation = await sampleDemBilinear(source, lat, lon);
+      if (elevation != null) return elevation;
+    } catch (error) {
+      console.warn('標高取得失敗', error);
+    }
+  }
+  return null;
+}
+
+// Interpolates between the four surrounding pixel centres, which may sit in
+// neighbouring tiles. No-data pixels are left out of the weighting.
+async function sampleDemBilinear(source, lat, lon) {
+  const { x, y, xTile, yTile } = tileCoordinates(lat, lon, source.zoom);
+  const tile = await fetchElevationTile(source, xTile, yTile);
+  if (!tile) return null;
+
+  const { width, height } = tile;
+  const gx = x * width - 0.5;
+  const gy = y * height - 0.5;
+  const x0 = Math.floor(gx);
+  const y0 = Math.floor(gy);
+  const fx = gx - x0;
+  const fy = gy - y0;
+  const corners = [
+    [x0, y0, (1 - fx) * (1 - fy)],
+    [x0 + 1, y0, fx * (1 - fy)],
+    [x0, y0 + 1, (1 - fx) * fy],
+    [x0 + 1, y0 + 1, fx * fy]
+  ];
+
+  let sum = 0;
+  let weight = 0;
+  for (const [px, py, w] of corners) {
+    if (w === 0) continue;
+    const tx = Math.floor(px / width);
+    const ty = Math.floor(py / height);
+    const cornerTile = tx === xTile && ty === yTile ? tile : await fetchElevationTile(source, tx, ty);
+    const value = cornerTile?.elevations[(py - ty * height) * cornerTile.width + (px - tx * width)];
+    if (Number.isFinite(value)) {
+      sum += value * w;
+      weight += w;
+    }
+  }
+  return weight > 0 ? sum / weight : null;
+}
+
+// Map order doubles as recency: a tile is moved to the end on every use and the front is evicted
+function rememberElevationTile(key, tile) {
+  tileCache.delete(key);
+  tileCache.set(key, tile);
+  if (tileCache.size > DEM_MEMORY_TILE_LIMIT) {
+    tileCache.delete(tileCache.keys().next().value);
   }
 }
 
-async function fetchElevationTile(z, x, y) {
-  const key = `${z}/${x}/${y}`;
+// Memory first, then the persistent cache, then the network. Concurrent requests
+// for the same tile share one download.
+function fetchElevationTile(source, x, y, zoom = source.zoom) {
+  const key = `${source.key}|${zoom}/${x}/${y}`;
   if (tileCache.has(key)) {
-    return tileCache.get(key);
+    const tile = tileCache.get(key);
+    rememberElevationTile(key, tile);
+    return Promise.resolve(tile);
+  }
+  if (!pendingTiles.has(key)) {
+    const pending = (async () => {
+      const stored = await readCachedDemTile(key);
+      if (stored !== undefined) {
+        rememberElevationTile(key, stored);
+        return stored;
+      }
+      const tile = await downloadElevationTile(source, x, y, zoom);
+      rememberElevationTile(key, tile);
+      await writeCachedDemTile(key, tile);
+      return tile;
+    })().finally(() => pendingTiles.delete(key));
+    pendingTiles.set(key, pending);
   }
+  return pendingTiles.get(key);
+}
 
-  const url = `https://cyberjapandata.gsi.go.jp/xyz/dem_png/${z}/${x}/${y}.png`;
+async function downloadElevationTile(source, x, y, zoom = source.zoom) {
+  const url = source.url
+    .replace('{z}', zoom)
+    .replace('{x}', x)
+    .replace('{y}', y);
   const response = await fetch(url, { mode: 'cors' });
+  if (response.status === 404) {
+    return null; // outside the coverage of this source
+  }
   if (!response.ok) {
     throw new Error(`タイル取得に失敗しました: ${response.status}`);
   }
-  const blob = await response.blob();
+  return decodeElevationTile(await response.blob(), source.encoding);
+}
+
+async function decodeElevationTile(blob, encoding) {
   const imageBitmap = await createImageBitmap(blob);
   const canvas = document.createElement('canvas');
   canvas.width = imageBitmap.width;
   canvas.height = imageBitmap.height;
   const ctx = canvas.getContext('2d');
   ctx.drawImage(imageBitmap, 0, 0);
-  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
-  tileCache.set(key, imageData);
-  return imageData;
+  const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+
+  const elevations = new Float32Array(canvas.width * canvas.height);
+  for (let i = 0; i < elevations.length; i += 1) {
+    const offset = i * 4;
+    elevations[i] = pixels[offset + 3] === 0
+      ? NaN
+      : decodeElevation(pixels[offset], pixels[offset + 1], pixels[offset + 2], encoding);
+  }
+  return { width: canvas.width, height: canvas.height, elevations };
 }
 
-function decodeElevation(r, g, b) {
+function decodeElevation(r, g, b, encoding = 'gsi') {
+  if (encoding === 'terrarium') {
+    return r * 256 + g + b / 256 - 32768;
+  }
   const value = r * 256 * 256 + g * 256 + b;
-  if (value === 0 || value === 256 * 256 * 256 - 1) {
-    return null;
+  if (encoding === 'mapbox') {
+    return value / 10 - 10000;
+  }
+  // GSI: 24-bit two's complement in 0.01 m, with 2^23 marking no data
+  if (value === 2 ** 23) return NaN;
+  return (value < 2 ** 23 ? value : value - 2 ** 24) / 100;
+}
+
+function openDemCacheDatabase() {
+  if (!demCacheDbPromise) {
+    demCacheDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('このブラウザでは IndexedDB を利用できません。'));
+        return;
+      }
+      const request = window.indexedDB.open(DEM_CACHE_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore('tiles', { keyPath: 'key' });
+        store.createIndex('lastAccess', 'lastAccess');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return demCacheDbPromise;
+}
+
+async function demTileStore(mode = 'readonly') {
+  const db = await openDemCacheDatabase();
+  return db.transaction('tiles', mode).objectStore('tiles');
+}
+
+// The persistent cache is best effort; failures fall back to the network, and a
+// browser without IndexedDB (reported in the DEM panel) simply skips it.
+// A tile the source has no data for (404) is stored as null, so undefined means not cached.
+async function readCachedDemTile(key) {
+  if (!(await openDemCacheDatabase().catch(() => null))) return undefined;
+  try {
+    const record = await idbRequest((await demTileStore()).get(key));
+    if (!record) return undefined;
+    touchCachedDemTile(key);
+    return record.tile;
+  } catch (error) {
+    console.warn(error);
+    return undefined;
+  }
+}
+
+// Access times only order the eviction, so reads collect them and write them back together
+function touchCachedDemTile(key) {
+  state.demCacheAccess.set(key, Date.now());
+  if (!state.demCacheAccessTimer) {
+    state.demCacheAccessTimer = setTimeout(flushDemCacheAccess, DEM_CACHE_ACCESS_FLUSH_MS);
+  }
+}
+
+async function flushDemCacheAccess() {
+  clearTimeout(state.demCacheAccessTimer);
+  state.demCacheAccessTimer = null;
+  if (state.demCacheAccess.size === 0) return;
+  const accesses = [...state.demCacheAccess];
+  state.demCacheAccess.clear();
+  try {
+    const store = await demTileStore('readwrite');
+    await new Promise((resolve, reject) => {
+      accesses.forEach(([key, time]) => {
+        const request = store.get(key);
+        request.onsuccess = () => {
+          const record = request.result;
+          if (record && record.lastAccess < time) store.put({ ...record, lastAccess: time });
+        };
+      });
+      store.transaction.oncomplete = () => resolve();
+      store.transaction.onerror = () => reject(store.transaction.error);
+    });
+  } catch (error) {
+    console.warn(error);
+  }
+}
+
+async function writeCachedDemTile(key, tile) {
+  if (!(await openDemCacheDatabase().catch(() => null))) return;
+  try {
+    await idbRequest((await demTileStore('readwrite')).put({
+      key,
+      tile,
+      size: tile?.elevations.byteLength ?? 0,
+      lastAccess: Date.now()
+    }));
+    state.demCacheWrites += 1;
+    if (state.demCacheWrites % DEM_CACHE_EVICT_INTERVAL === 0) {
+      await enforceDemCacheLimit();
+    }
+  } catch (error) {
+    console.warn(error);
+  }
+}
+
+// Keeps the most recently used tiles and evicts the rest once over the size cap
+async function enforceDemCacheLimit() {
+  await flushDemCacheAccess();
+  const limit = state.demSettings.cacheLimitMb * 1024 * 1024;
+  const store = await demTileStore('readwrite');
+  let total = 0;
+  await new Promise((resolve, reject) => {
+    const request = store.index('lastAccess').openCursor(null, 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      total += cursor.value.size;
+      if (total > limit) {
+        cursor.delete();
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  return Math.min(total, limit);
+}
+
+async function renderDemCacheUsage() {
+  try {
+    const records = (await idbRequest((await demTileStore()).getAll())).filter((record) => record.tile);
+    const bytes = records.reduce((sum, record) => sum + record.size, 0);
+    demStatus.textContent = `キャッシュ: ${records.length} タイル / ${(bytes / 1024 / 1024).toFixed(1)} MB（上限 ${state.demSettings.cacheLimitMb} MB）`;
+  } catch (error) {
+    demStatus.textContent = `標高キャッシュを利用できません: ${error.message}`;
+  }
+}
+
+async function clearDemCache() {
+  try {
+    state.demCacheAccess.clear();
+    await idbRequest((await demTileStore('readwrite')).clear());
+    tileCache.clear();
+    groundElevationCache.clear();
+  } catch (error) {
+    console.error(error);
+  }
+  await renderDemCacheUsage();
+}
+
+function planBounds() {
+  const points = [
+    ...state.waypoints.map((wp) => [wp.latitude, wp.longitude]),
+    ...state.rallyPoints.map((point) => [point.latitude, point.longitude]),
+    ...state.geoFence.polygons.flatMap((fence) => fence.polygon),
+    ...state.geoFence.circles.flatMap((fence) => [0, 90, 180, 270].map((bearing) => destinationPoint(fence.center[0], fence.center[1], bearing, fence.radius))),
+    ...state.surveys.flatMap((survey) => survey.polygon)
+  ];
+  if (points.length === 0) return null;
+  return {
+    south: Math.min(...points.map(([lat]) => lat)),
+    north: Math.max(...points.map(([lat]) => lat)),
+    west: Math.min(...points.map(([, lon]) => lon)),
+    east: Math.max(...points.map(([, lon]) => lon))
+  };
+}
+
+async function prefetchPlanTerrain() {
+  const bounds = planBounds();
+  if (!bounds) {
+    alert('地形を取得する範囲がありません。ウェイポイントを追加してください。');
+    return;
+  }
+
+  const buffer = state.demSettings.prefetchBuffer;
+  const [south] = destinationPoint(bounds.south, bounds.west, 180, buffer);
+  const [north] = destinationPoint(bounds.north, bounds.west, 0, buffer);
+  const [, west] = destinationPoint((south + north) / 2, bounds.west, 270, buffer);
+  const [, east] = destinationPoint((south + north) / 2, bounds.east, 90, buffer);
+
+  const tiles = activeDemLayers().flatMap((source) => {
+    const northWest = tileCoordinates(north, west, source.zoom);
+    const southEast = tileCoordinates(south, east, source.zoom);
+    const layerTiles = [];
+    for (let x = northWest.xTile; x <= southEast.xTile; x += 1) {
+      for (let y = northWest.yTile; y <= southEast.yTile; y += 1) {
+        layerTiles.push({ source, x, y });
+      }
+    }
+    return layerTiles;
+  });
+  const estimatedMb = (tiles.length * 256 * 256 * 4) / 1024 / 1024;
+  if (estimatedMb > state.demSettings.cacheLimitMb) {
+    alert(`必要なタイル ${tiles.length} 枚（約 ${estimatedMb.toFixed(0)} MB）がキャッシュ上限を超えます。範囲か上限を見直してください。`);
+    return;
+  }
+
+  let done = 0;
+  let missing = 0;
+  let failed = 0;
+  await runWithConcurrency(tiles, DEM_FETCH_CONCURRENCY, async ({ source, x, y }) => {
+    const key = `${source.key}|${source.zoom}/${x}/${y}`;
+    try {
+      // Straight to the persistent cache so large areas do not pile up in memory
+      const cached = await idbRequest((await demTileStore()).getKey(key));
+      if (cached === undefined) {
+        const tile = await downloadElevationTile(source, x, y);
+        await writeCachedDemTile(key, tile);
+        if (!tile) missing += 1;
+      }
+    } catch (error) {
+      console.warn(error);
+      failed += 1;
+    }
+    done += 1;
+    demStatus.textContent = `地形タイルを取得中… ${done}/${tiles.length}`;
+  });
+  await enforceDemCacheLimit();
+  await renderDemCacheUsage();
+  const stored = tiles.length - missing - failed;
+  demStatus.textContent += failed > 0
+    ? `\n${stored}/${tiles.length} タイルを取得しました（${failed} 件失敗、${missing} 件は範囲外）。`
+    : `\n${stored} タイルを取得しました（${missing} 件は範囲外）。オフラインでも利用できます。`;
+}
+
+// Imports a z/x/y tile folder (e.g. copied from a USB stick) for the active source
+async function importDemTileFolder(event) {
+  const source = activeDemSource();
+  const files = [...(event.target.files ?? [])];
+  let imported = 0;
+  let skipped = 0;
+
+  for (const file of files) {
+    const match = (file.webkitRelativePath || file.name).match(/(\d+)\/(\d+)\/(\d+)\.(png|webp)$/i);
+    if (!match || Number(match[1]) !== source.zoom) {
+      skipped += 1;
+      continue;
+    }
+    try {
+      const tile = await decodeElevationTile(file, source.encoding);
+      const key = `${source.key}|${source.zoom}/${match[2]}/${match[3]}`;
+      rememberElevationTile(key, tile);
+      await writeCachedDemTile(key, tile);
+      imported += 1;
+    } catch (error) {
+      console.warn(error);
+      skipped += 1;
+    }
   }
-  return value / 10 - 10000; // GSI dem_png specification
+  event.target.value = '';
+  await enforceDemCacheLimit().catch(console.warn);
+  await renderDemCacheUsage();
+  groundElevationCache.clear();
+  demStatus.textContent += `\n${imported} タイルを取り込みました（ズーム ${source.zoom} 以外など ${skipped} 件は対象外）。`;
+  updateElevationProfile();
 }
 
 function drawProfilePlaceholder(message) {
@@ -572,14 +9477,34 @@ function drawElevationProfile(samples) {
 
   const distances = samples.map((s) => s.distance);
   const totalDistance = distances[distances.length - 1] || 1;
+  const view = profileViewRange(totalDistance);
   const elevations = samples.map((s) => s.groundElevation).filter((v) => v != null);
   const planned = samples.map((s) => s.plannedAltitude);
+  const preview = currentTerrainFollowPreview();
+  const previewAltitudes = preview ? preview.profile.map((point) => point.amsl) : [];
   const minElevation = Math.min(...elevations, 0);
-  const maxElevation = Math.max(...elevations, ...planned, minElevation + 10);
+  const maxElevation = Math.max(...elevations, ...planned, ...previewAltitudes, minElevation + 10);
 
-  const xScale = (distance) => margin + (distance / totalDistance) * plotWidth;
+  const xScale = (distance) => margin + ((distance - view.start) / (view.end - view.start)) * plotWidth;
   const yScale = (value) =>
     margin + plotHeight - ((value - minElevation) / Math.max(maxElevation - minElevation, 1)) * plotHeight;
+  state.profile.samples = samples;
+  state.profile.layout = { margin, plotWidth, plotHeight, width, height, dpr, view, minElevation, maxElevation, xScale, yScale };
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(margin, 0, plotWidth, height);
+  ctx.clip();
+
+  // Ranges where no landing site is reachable within the reserve
+  ctx.fillStyle = 'rgba(247, 103, 7, 0.18)';
+  const reachability = state.reachability;
+  for (let i = 0; i < reachability.length - 1; i += 1) {
+    if (!reachability[i].violation && !reachability[i + 1].violation) continue;
+    const x0 = xScale(reachability[i].distance);
+    const x1 = xScale(reachability[i + 1].distance);
+    ctx.fillRect(x0, margin, Math.max(x1 - x0, dpr), plotHeight);
+  }
 
   const validSamples = samples.filter((s) => s.groundElevation != null);
   if (validSamples.length >= 2) {
@@ -615,6 +9540,25 @@ function drawElevationProfile(samples) {
   });
   ctx.stroke();
 
+  drawTerrainFollowPreview(ctx, xScale, yScale, dpr);
+
+  // Clearance and ceiling violations
+  ctx.strokeStyle = '#c92a2a';
+  ctx.lineWidth = 5 * dpr;
+  for (let i = 0; i < samples.length - 1; i += 1) {
+    if (!samples[i].terrainIssue && !samples[i + 1].terrainIssue) continue;
+    ctx.beginPath();
+    ctx.moveTo(xScale(samples[i].distance), yScale(samples[i].plannedAltitude));
+    ctx.lineTo(xScale(samples[i + 1].distance), yScale(samples[i + 1].plannedAltitude));
+    ctx.stroke();
+  }
+
+  drawBatteryLine(ctx, xScale, margin, plotHeight, dpr);
+  drawProfileWaypoints(ctx, xScale, yScale, margin, plotHeight, dpr);
+  drawTelemetryTrace(ctx, xScale, yScale, dpr);
+  drawSimulationCursor(ctx, xScale, yScale, margin, plotHeight, dpr);
+  ctx.restore();
+
   // Axes
   ctx.strokeStyle = '#444';
   ctx.lineWidth = dpr;
@@ -628,27 +9572,322 @@ function drawElevationProfile(samples) {
   ctx.font = `${12 * dpr}px sans-serif`;
   ctx.textAlign = 'center';
 
-  const effectiveTotal = Math.max(totalDistance, 1);
-  const stepMeters = chooseNiceStep(effectiveTotal / 5);
-  for (let d = 0; d <= effectiveTotal + 1e-6; d += stepMeters) {
-    const actual = Math.min(d, totalDistance);
-    const x = xScale(actual);
+  const stepMeters = chooseNiceStep((view.end - view.start) / 5);
+  for (let d = Math.ceil(view.start / stepMeters) * stepMeters; d <= view.end + 1e-6; d += stepMeters) {
+    const x = xScale(d);
     ctx.beginPath();
     ctx.moveTo(x, height - margin);
     ctx.lineTo(x, height - margin + 6 * dpr);
     ctx.strokeStyle = '#666';
     ctx.stroke();
-    ctx.fillText(`${Math.round(actual)}m`, x, height - margin + 18 * dpr);
+    ctx.fillText(`${Math.round(d)}m`, x, height - margin + 18 * dpr);
   }
 
   ctx.save();
   ctx.translate(margin - 26 * dpr, margin + plotHeight / 2);
   ctx.rotate(-Math.PI / 2);
-  ctx.fillText('高度 (m)', 0, 0);
+  ctx.fillText('標高 (m)', 0, 0);
   ctx.restore();
 
   ctx.textAlign = 'right';
   ctx.fillText('距離 (m)', width - margin, height - margin + 32 * dpr);
+
+  drawBatteryAxis(ctx, { margin, width, height, plotHeight, dpr });
+  drawProfileCursor(ctx);
+}
+
+function batteryPercentScale(margin, plotHeight) {
+  return (percent) => margin + plotHeight - (Math.max(0, Math.min(100, percent)) / 100) * plotHeight;
+}
+
+function drawBatteryLine(ctx, xScale, margin, plotHeight, dpr) {
+  const estimate = state.flightEstimate;
+  if (!estimate) return;
+  const yPercent = batteryPercentScale(margin, plotHeight);
+
+  ctx.save();
+  ctx.strokeStyle = 'rgba(201, 42, 42, 0.7)';
+  ctx.setLineDash([4 * dpr, 4 * dpr]);
+  ctx.lineWidth = dpr;
+  ctx.beginPath();
+  ctx.moveTo(xScale(0), yPercent(state.vehicle.reservePercent));
+  ctx.lineTo(xScale(estimate.totalDistance), yPercent(state.vehicle.reservePercent));
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.strokeStyle = '#1c7ed6';
+  ctx.lineWidth = 2 * dpr;
+  ctx.beginPath();
+  estimate.points.forEach((point, index) => {
+    const x = xScale(point.distance);
+    const y = yPercent(point.percent);
+    if (index === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+  ctx.restore();
+}
+
+// Remaining battery on a second axis (right side, 0–100 %)
+function drawBatteryAxis(ctx, { margin, width, height, plotHeight, dpr }) {
+  if (!state.flightEstimate) return;
+  const yPercent = batteryPercentScale(margin, plotHeight);
+  const right = width - margin;
+
+  ctx.save();
+  ctx.strokeStyle = '#444';
+  ctx.lineWidth = dpr;
+  ctx.beginPath();
+  ctx.moveTo(right, margin);
+  ctx.lineTo(right, height - margin);
+  ctx.stroke();
+
+  ctx.fillStyle = '#1c7ed6';
+  ctx.font = `${11 * dpr}px sans-serif`;
+  ctx.textAlign = 'left';
+  [0, 25, 50, 75, 100].forEach((percent) => {
+    ctx.fillText(`${percent}%`, right + 4 * dpr, yPercent(percent) + 4 * dpr);
+  });
+  ctx.translate(right + 32 * dpr, margin + plotHeight / 2);
+  ctx.rotate(Math.PI / 2);
+  ctx.textAlign = 'center';
+  ctx.fillText('バッテリー残量 (%)', 0, 0);
+  ctx.restore();
+}
+
+function profileWaypointVertices(waypoints, altitudes) {
+  let distance = 0;
+  return waypoints.map((wp, index) => {
+    if (index > 0) {
+      const previous = waypoints[index - 1];
+      distance += haversineDistance(previous.latitude, previous.longitude, wp.latitude, wp.longitude);
+    }
+    return { id: wp.id, type: wp.type, distance, ...altitudes[index], reference: effectiveAltitudeReference(wp) };
+  });
+}
+
+function profileViewRange(totalDistance) {
+  const view = state.profile.view;
+  if (!view) return { start: 0, end: totalDistance };
+  const span = Math.min(view.end - view.start, totalDistance);
+  const start = Math.max(0, Math.min(view.start, totalDistance - span));
+  return { start, end: start + span };
+}
+
+function drawProfileWaypoints(ctx, xScale, yScale, margin, plotHeight, dpr) {
+  const pointer = state.profile.pointer;
+  state.profile.waypoints.forEach((vertex) => {
+    const dragging = pointer?.mode === 'vertex' && pointer.vertex.id === vertex.id;
+    const x = xScale(vertex.distance);
+    const y = yScale(dragging ? pointer.amsl : vertex.amsl);
+
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.15)';
+    ctx.lineWidth = dpr;
+    ctx.beginPath();
+    ctx.moveTo(x, margin);
+    ctx.lineTo(x, margin + plotHeight);
+    ctx.stroke();
+
+    ctx.fillStyle = typeColors[vertex.type] ?? '#3b3b3b';
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 1.5 * dpr;
+    ctx.beginPath();
+    ctx.arc(x, y, (dragging ? 7 : 5) * dpr, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  });
+}
+
+function drawProfileCursor(ctx) {
+  const hover = state.profile.hover;
+  const layout = state.profile.layout;
+  if (!hover || !layout) return;
+  const { margin, plotHeight, width, dpr, xScale, yScale } = layout;
+  const x = xScale(hover.distance);
+
+  ctx.save();
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
+  ctx.lineWidth = dpr;
+  ctx.setLineDash([3 * dpr, 3 * dpr]);
+  ctx.beginPath();
+  ctx.moveTo(x, margin);
+  ctx.lineTo(x, margin + plotHeight);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  const clearance = hover.groundElevation == null ? null : hover.plannedAltitude - hover.groundElevation;
+  const lines = [
+    `距離 ${Math.round(hover.distance)}m`,
+    `地表 ${hover.groundElevation == null ? '—' : `${hover.groundElevation.toFixed(1)}m`}`,
+    `計画 ${hover.plannedAltitude.toFixed(1)}m`,
+    `クリアランス ${clearance == null ? '—' : `${clearance.toFixed(1)}m`}`
+  ];
+  ctx.font = `${11 * dpr}px sans-serif`;
+  const boxWidth = Math.max(...lines.map((line) => ctx.measureText(line).width)) + 12 * dpr;
+  const boxHeight = lines.length * 14 * dpr + 8 * dpr;
+  const boxX = x + boxWidth + 8 * dpr > width - margin ? x - boxWidth - 8 * dpr : x + 8 * dpr;
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.fillRect(boxX, margin, boxWidth, boxHeight);
+  ctx.fillStyle = '#222';
+  ctx.textAlign = 'left';
+  lines.forEach((line, index) => ctx.fillText(line, boxX + 6 * dpr, margin + (index + 1) * 14 * dpr));
+
+  if (hover.groundElevation != null) {
+    ctx.fillStyle = 'rgba(132, 94, 247, 0.9)';
+    ctx.beginPath();
+    ctx.arc(x, yScale(hover.groundElevation), 3 * dpr, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.fillStyle = '#ff6b6b';
+  ctx.beginPath();
+  ctx.arc(x, yScale(hover.plannedAltitude), 3 * dpr, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.restore();
+}
+
+function bindProfileInteractions() {
+  profileCanvas.addEventListener('mousedown', handleProfilePointerDown);
+  profileCanvas.addEventListener('mousemove', handleProfilePointerMove);
+  window.addEventListener('mouseup', handleProfilePointerUp);
+  profileCanvas.addEventListener('mouseleave', () => setProfileHover(null));
+  profileCanvas.addEventListener('wheel', handleProfileWheel, { passive: false });
+  profileCanvas.addEventListener('dblclick', () => {
+    state.profile.view = null;
+    redrawProfile();
+  });
+}
+
+function redrawProfile() {
+  if (state.profile.samples.length > 0) {
+    drawElevationProfile(state.profile.samples);
+  }
+}
+
+function profilePointer(event) {
+  const rect = profileCanvas.getBoundingClientRect();
+  const dpr = window.devicePixelRatio || 1;
+  return { x: (event.clientX - rect.left) * dpr, y: (event.clientY - rect.top) * dpr };
+}
+
+function profileDistanceAt(x) {
+  const { margin, plotWidth, view } = state.profile.layout;
+  const ratio = Math.max(0, Math.min(1, (x - margin) / plotWidth));
+  return view.start + ratio * (view.end - view.start);
+}
+
+function profileAltitudeAt(y) {
+  const { margin, plotHeight, minElevation, maxElevation } = state.profile.layout;
+  return minElevation + ((margin + plotHeight - y) / plotHeight) * Math.max(maxElevation - minElevation, 1);
+}
+
+function nearestProfileSample(distance) {
+  return state.profile.samples.reduce((best, sample) =>
+    (Math.abs(sample.distance - distance) < Math.abs(best.distance - distance) ? sample : best));
+}
+
+function nearestProfileVertex(point, radius) {
+  const { xScale, yScale } = state.profile.layout;
+  let nearest = null;
+  let nearestDistance = radius;
+  state.profile.waypoints.forEach((vertex) => {
+    const d = Math.hypot(xScale(vertex.distance) - point.x, yScale(vertex.amsl) - point.y);
+    if (d <= nearestDistance) {
+      nearest = vertex;
+      nearestDistance = d;
+    }
+  });
+  return nearest;
+}
+
+function handleProfilePointerDown(event) {
+  if (!state.profile.layout || state.profile.samples.length === 0) return;
+  const point = profilePointer(event);
+  const vertex = nearestProfileVertex(point, 8 * state.profile.layout.dpr);
+  state.profile.pointer = vertex
+    ? { mode: 'vertex', vertex, amsl: vertex.amsl, startY: point.y }
+    : { mode: 'pan', startX: point.x, moved: false, view: state.profile.layout.view };
+  event.preventDefault();
+}
+
+function handleProfilePointerMove(event) {
+  if (!state.profile.layout || state.profile.samples.length === 0) return;
+  const point = profilePointer(event);
+  const pointer = state.profile.pointer;
+
+  if (pointer?.mode === 'vertex') {
+    pointer.amsl = profileAltitudeAt(point.y);
+    redrawProfile();
+    return;
+  }
+  if (pointer?.mode === 'pan') {
+    const dx = point.x - pointer.startX;
+    if (Math.abs(dx) > 3) pointer.moved = true;
+    if (pointer.moved) {
+      const span = pointer.view.end - pointer.view.start;
+      const shift = (-dx / state.profile.layout.plotWidth) * span;
+      state.profile.view = { start: pointer.view.start + shift, end: pointer.view.end + shift };
+    }
+  }
+  setProfileHover(nearestProfileSample(profileDistanceAt(point.x)));
+}
+
+function handleProfilePointerUp(event) {
+  const pointer = state.profile.pointer;
+  if (!pointer) return;
+  state.profile.pointer = null;
+
+  if (pointer.mode === 'vertex') {
+    if (Math.abs(profilePointer(event).y - pointer.startY) < 2) {
+      selectWaypointCard(pointer.vertex.id);
+      redrawProfile();
+      return;
+    }
+    const { vertex } = pointer;
+    const altitude = altitudeFromAmsl(pointer.amsl, vertex.reference, vertex.ground ?? vertex.origin, vertex.origin);
+    updateWaypoint(vertex.id, { altitude: Math.max(0, Math.round(altitude)) }, '高度変更（断面図）');
+    return;
+  }
+  if (!pointer.moved) {
+    const distance = profileDistanceAt(profilePointer(event).x);
+    const nearest = state.profile.waypoints.reduce((best, vertex) =>
+      (Math.abs(vertex.distance - distance) < Math.abs(best.distance - distance) ? vertex : best), state.profile.waypoints[0]);
+    if (nearest) selectWaypointCard(nearest.id);
+  }
+}
+
+function handleProfileWheel(event) {
+  if (!state.profile.layout || state.profile.samples.length === 0) return;
+  event.preventDefault();
+  const total = state.profile.samples[state.profile.samples.length - 1].distance;
+  const { view } = state.profile.layout;
+  const anchor = profileDistanceAt(profilePointer(event).x);
+  const factor = event.deltaY > 0 ? 1.25 : 0.8;
+  const span = Math.max(50, Math.min(total, (view.end - view.start) * factor));
+  const ratio = (anchor - view.start) / (view.end - view.start);
+  const start = anchor - ratio * span;
+  state.profile.view = span >= total ? null : { start, end: start + span };
+  redrawProfile();
+}
+
+// Mirrors the profile cursor on the map
+function setProfileHover(sample) {
+  state.profile.hover = sample;
+  if (sample) {
+    if (!state.profile.cursorMarker) {
+      const element = document.createElement('div');
+      element.className = 'profile-cursor';
+      state.profile.cursorMarker = new maplibregl.Marker({ element });
+    }
+    state.profile.cursorMarker.setLngLat([sample.lon, sample.lat]).addTo(map);
+  } else {
+    state.profile.cursorMarker?.remove();
+  }
+  redrawProfile();
+}
+
+function selectWaypointCard(id) {
+  setWaypointSelection([id], id);
+  scrollToWaypointCard(id);
 }
 
 function chooseNiceStep(rawStep) {